@@ -0,0 +1,384 @@
+/**
+ * Anthropic Messages API Adapter
+ *
+ * Translates between the Anthropic Messages API (/v1/messages) and the
+ * OpenAI chat completions format used internally by the gateway, so that
+ * Anthropic-SDK clients can be routed through MODEL_MAPPING / MODEL_PROVIDER.
+ *
+ * - convertAnthropicRequest: Anthropic request body -> OpenAI chat completion body
+ * - convertToAnthropicResponse: OpenAI chat.completion -> Anthropic message
+ * - streamAnthropicEvents: OpenAI chat.completion.chunk stream -> Anthropic SSE events
+ */
+
+const crypto = require('crypto');
+
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  content_filter: 'end_turn'
+};
+
+function generateMessageId() {
+  return `msg_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Validate an Anthropic request body.
+ * Returns an error message, or null when the request is valid.
+ */
+function validateAnthropicRequest(body) {
+  if (!body || typeof body !== 'object') {
+    return 'Request body must be a JSON object';
+  }
+  if (!body.model || typeof body.model !== 'string') {
+    return 'model: Field required';
+  }
+  if (typeof body.max_tokens !== 'number' || body.max_tokens < 1) {
+    return 'max_tokens: Field required and must be a positive integer';
+  }
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    return 'messages: Field required and must be a non-empty array';
+  }
+
+  for (let i = 0; i < body.messages.length; i++) {
+    const message = body.messages[i];
+    if (!message || !['user', 'assistant'].includes(message.role)) {
+      return `messages.${i}.role: Input should be 'user' or 'assistant'`;
+    }
+    if (typeof message.content !== 'string' && !Array.isArray(message.content)) {
+      return `messages.${i}.content: Input should be a string or a list of content blocks`;
+    }
+    if (Array.isArray(message.content)) {
+      for (let j = 0; j < message.content.length; j++) {
+        const block = message.content[j];
+        if (!block || !['text', 'image', 'tool_use', 'tool_result', 'thinking', 'redacted_thinking'].includes(block.type)) {
+          return `messages.${i}.content.${j}.type: Unsupported content block type '${block?.type}'`;
+        }
+        if (block.type === 'image' && message.role !== 'user') {
+          return `messages.${i}.content.${j}: image blocks are only allowed in user messages`;
+        }
+      }
+    }
+  }
+
+  if (body.tools !== undefined) {
+    const toolsValid = Array.isArray(body.tools) && body.tools.every(tool => tool && typeof tool.name === 'string');
+    if (!toolsValid) {
+      return 'tools: Each tool must have a name';
+    }
+  }
+
+  return null;
+}
+
+// Tekst z bloku treści (string lub lista bloków text)
+function getBlocksText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+  return content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+}
+
+function convertImageBlock(block) {
+  const source = block.source || {};
+  const url = source.type === 'base64'
+    ? `data:${source.media_type};base64,${source.data}`
+    : source.url;
+  return { type: 'image_url', image_url: { url } };
+}
+
+function convertUserMessage(message, openAIMessages) {
+  if (typeof message.content === 'string') {
+    openAIMessages.push({ role: 'user', content: message.content });
+    return;
+  }
+
+  // Wyniki narzędzi muszą następować bezpośrednio po wiadomości asystenta z tool_calls
+  for (const block of message.content) {
+    if (block.type === 'tool_result') {
+      const output = getBlocksText(block.content);
+      openAIMessages.push({
+        role: 'tool',
+        tool_call_id: block.tool_use_id,
+        content: block.is_error ? `Error: ${output}` : output
+      });
+    }
+  }
+
+  const parts = message.content.filter(block => block.type === 'text' || block.type === 'image');
+  if (parts.length === 0) {
+    return;
+  }
+
+  if (parts.some(block => block.type === 'image')) {
+    openAIMessages.push({
+      role: 'user',
+      content: parts.map(block => block.type === 'image'
+        ? convertImageBlock(block)
+        : { type: 'text', text: block.text })
+    });
+  } else {
+    openAIMessages.push({ role: 'user', content: getBlocksText(parts) });
+  }
+}
+
+function convertAssistantMessage(message, openAIMessages) {
+  if (typeof message.content === 'string') {
+    openAIMessages.push({ role: 'assistant', content: message.content });
+    return;
+  }
+
+  const text = getBlocksText(message.content);
+  const toolCalls = message.content
+    .filter(block => block.type === 'tool_use')
+    .map(block => ({
+      id: block.id,
+      type: 'function',
+      function: {
+        name: block.name,
+        arguments: JSON.stringify(block.input || {})
+      }
+    }));
+
+  const openAIMessage = {
+    role: 'assistant',
+    content: text || (toolCalls.length > 0 ? null : '')
+  };
+  if (toolCalls.length > 0) {
+    openAIMessage.tool_calls = toolCalls;
+  }
+  openAIMessages.push(openAIMessage);
+}
+
+function convertToolChoice(toolChoice) {
+  if (!toolChoice) return undefined;
+  switch (toolChoice.type) {
+    case 'auto':
+      return 'auto';
+    case 'any':
+      return 'required';
+    case 'none':
+      return 'none';
+    case 'tool':
+      return { type: 'function', function: { name: toolChoice.name } };
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Convert an Anthropic Messages request into an OpenAI chat completion body.
+ */
+function convertAnthropicRequest(body) {
+  const messages = [];
+
+  const systemText = getBlocksText(body.system);
+  if (systemText) {
+    messages.push({ role: 'system', content: systemText });
+  }
+
+  for (const message of body.messages) {
+    if (message.role === 'user') {
+      convertUserMessage(message, messages);
+    } else {
+      convertAssistantMessage(message, messages);
+    }
+  }
+
+  const openAIBody = {
+    model: body.model,
+    messages,
+    max_tokens: body.max_tokens,
+    stream: !!body.stream
+  };
+
+  if (body.temperature !== undefined) openAIBody.temperature = body.temperature;
+  if (body.top_p !== undefined) openAIBody.top_p = body.top_p;
+  if (Array.isArray(body.stop_sequences) && body.stop_sequences.length > 0) {
+    openAIBody.stop = body.stop_sequences;
+  }
+
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    openAIBody.tools = body.tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description || '',
+        parameters: tool.input_schema || { type: 'object', properties: {} }
+      }
+    }));
+
+    const toolChoice = convertToolChoice(body.tool_choice);
+    if (toolChoice) openAIBody.tool_choice = toolChoice;
+  }
+
+  return openAIBody;
+}
+
+function parseToolInput(args) {
+  if (!args) return {};
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Convert an OpenAI chat.completion response into an Anthropic message.
+ */
+function convertToAnthropicResponse(openAIResponse, requestedModel) {
+  const choice = openAIResponse.choices?.[0] || {};
+  const message = choice.message || {};
+  const content = [];
+
+  const text = typeof message.content === 'string' ? message.content : getBlocksText(message.content);
+  if (text) {
+    content.push({ type: 'text', text });
+  }
+
+  for (const toolCall of message.tool_calls || []) {
+    content.push({
+      type: 'tool_use',
+      id: toolCall.id,
+      name: toolCall.function.name,
+      input: parseToolInput(toolCall.function.arguments)
+    });
+  }
+
+  return {
+    id: generateMessageId(),
+    type: 'message',
+    role: 'assistant',
+    model: requestedModel,
+    content,
+    stop_reason: STOP_REASONS[choice.finish_reason] || 'end_turn',
+    stop_sequence: null,
+    usage: {
+      input_tokens: openAIResponse.usage?.prompt_tokens || 0,
+      output_tokens: openAIResponse.usage?.completion_tokens || 0
+    }
+  };
+}
+
+/**
+ * Translate a stream of OpenAI chat.completion.chunk objects into Anthropic SSE events
+ * (message_start, content_block_start, content_block_delta, content_block_stop,
+ * message_delta, message_stop).
+ */
+async function* streamAnthropicEvents(chunks, requestedModel) {
+  yield {
+    type: 'message_start',
+    message: {
+      id: generateMessageId(),
+      type: 'message',
+      role: 'assistant',
+      model: requestedModel,
+      content: [],
+      stop_reason: null,
+      stop_sequence: null,
+      usage: { input_tokens: 0, output_tokens: 0 }
+    }
+  };
+
+  let blockIndex = -1;
+  let currentBlock = null; // { type: 'text' } | { type: 'tool_use', toolIndex }
+  let finishReason = null;
+  let usage = null;
+
+  const closeBlock = function* () {
+    if (currentBlock) {
+      yield { type: 'content_block_stop', index: blockIndex };
+      currentBlock = null;
+    }
+  };
+
+  for await (const chunk of chunks) {
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+    const delta = choice.delta || {};
+
+    if (delta.content) {
+      if (!currentBlock || currentBlock.type !== 'text') {
+        yield* closeBlock();
+        blockIndex++;
+        currentBlock = { type: 'text' };
+        yield { type: 'content_block_start', index: blockIndex, content_block: { type: 'text', text: '' } };
+      }
+      yield { type: 'content_block_delta', index: blockIndex, delta: { type: 'text_delta', text: delta.content } };
+    }
+
+    for (const toolCall of delta.tool_calls || []) {
+      const toolIndex = toolCall.index ?? 0;
+      if (!currentBlock || currentBlock.type !== 'tool_use' || currentBlock.toolIndex !== toolIndex) {
+        yield* closeBlock();
+        blockIndex++;
+        currentBlock = { type: 'tool_use', toolIndex };
+        yield {
+          type: 'content_block_start',
+          index: blockIndex,
+          content_block: { type: 'tool_use', id: toolCall.id, name: toolCall.function?.name, input: {} }
+        };
+      }
+      if (toolCall.function?.arguments) {
+        yield {
+          type: 'content_block_delta',
+          index: blockIndex,
+          delta: { type: 'input_json_delta', partial_json: toolCall.function.arguments }
+        };
+      }
+    }
+
+    if (choice.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+  }
+
+  yield* closeBlock();
+
+  yield {
+    type: 'message_delta',
+    delta: { stop_reason: STOP_REASONS[finishReason] || 'end_turn', stop_sequence: null },
+    usage: { output_tokens: usage?.completion_tokens || 0 }
+  };
+  yield { type: 'message_stop' };
+}
+
+/**
+ * Map an HTTP status code to an Anthropic error type.
+ */
+function getAnthropicErrorType(statusCode) {
+  if (statusCode === 400 || statusCode === 413) return 'invalid_request_error';
+  if (statusCode === 401) return 'authentication_error';
+  if (statusCode === 403) return 'permission_error';
+  if (statusCode === 404) return 'not_found_error';
+  if (statusCode === 429) return 'rate_limit_error';
+  if (statusCode === 503 || statusCode === 529) return 'overloaded_error';
+  return 'api_error';
+}
+
+function createAnthropicError(statusCode, message) {
+  return {
+    type: 'error',
+    error: {
+      type: getAnthropicErrorType(statusCode),
+      message
+    }
+  };
+}
+
+module.exports = {
+  validateAnthropicRequest,
+  convertAnthropicRequest,
+  convertToAnthropicResponse,
+  streamAnthropicEvents,
+  createAnthropicError
+};
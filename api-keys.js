@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Gateway-issued API keys (sk-gw-...)
+ *
+ * Keys are tied to UserManager users and stored only as SHA-256 hashes.
+ * Each key can carry a model allow-list, a requests-per-minute limit,
+ * a daily token budget and an expiry date.
+ */
+
+const KEY_PREFIX = 'sk-gw-';
+const RATE_WINDOW_MS = 60000;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+class ApiKeyError extends Error {
+  constructor(message, code, statusCode, type) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.type = type;
+  }
+}
+
+class ApiKeyManager {
+  // logger: obiekt z metodą error(module, message, error) - w gatewayu jego logger
+  constructor(dbPath = './api-keys-db.json', { logger = console } = {}) {
+    this.dbPath = dbPath;
+    this.logger = logger;
+    this.keys = this.loadKeys(); // { keyId: record }
+    this.requestLog = new Map(); // { keyId: [timestamps] } - okno RPM w pamięci
+    this.saveTimer = null;
+  }
+
+  loadKeys() {
+    if (!fs.existsSync(this.dbPath)) {
+      return {};
+    }
+    try {
+      return JSON.parse(fs.readFileSync(this.dbPath, 'utf-8'));
+    } catch (error) {
+      // Nie startujemy bez kluczy - kolejny zapis nadpisałby nieczytelny plik
+      throw new Error(`Failed to load API keys database from ${this.dbPath}: ${error.message}`);
+    }
+  }
+
+  saveKeys() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      // Zapis atomowy: najpierw plik tymczasowy, potem rename (brak uszkodzonego pliku po awarii)
+      fs.mkdirSync(path.dirname(path.resolve(this.dbPath)), { recursive: true });
+      const tmpPath = `${this.dbPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.keys, null, 2), 'utf-8');
+      fs.renameSync(tmpPath, this.dbPath);
+    } catch (error) {
+      this.logger.error('ApiKeys', 'Failed to save API keys database', error, { path: this.dbPath });
+    }
+  }
+
+  // Zużycie tokenów zmienia się przy każdym zapytaniu - zapis jest grupowany
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.saveKeys(), 1000);
+    this.saveTimer.unref?.();
+  }
+
+  static isGatewayKey(key) {
+    return typeof key === 'string' && key.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Mint a new key. The plaintext key is returned only once.
+   */
+  createKey({ userId, name, allowedModels = [], rpm = null, dailyTokens = null, expiresAt = null }) {
+    if (!userId) {
+      throw new Error('userId is required');
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: `key_${crypto.randomBytes(8).toString('hex')}`,
+      userId,
+      name: name || 'default',
+      keyHash: hashKey(key),
+      keyPreview: `${key.slice(0, 10)}...${key.slice(-4)}`,
+      allowedModels: Array.isArray(allowedModels) ? allowedModels : [],
+      rpm: rpm || null,
+      dailyTokens: dailyTokens || null,
+      expiresAt: expiresAt || null,
+      revoked: false,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      usage: { date: today(), tokens: 0, requests: 0 }
+    };
+
+    this.keys[record.id] = record;
+    this.saveKeys();
+
+    return { key, record: this.sanitize(record) };
+  }
+
+  updateKey(keyId, fields) {
+    const record = this.keys[keyId];
+    if (!record) return null;
+
+    for (const field of ['name', 'allowedModels', 'rpm', 'dailyTokens', 'expiresAt', 'revoked']) {
+      if (fields[field] !== undefined) {
+        record[field] = fields[field];
+      }
+    }
+    this.saveKeys();
+    return this.sanitize(record);
+  }
+
+  deleteKey(keyId) {
+    if (!this.keys[keyId]) return false;
+    delete this.keys[keyId];
+    this.requestLog.delete(keyId);
+    this.saveKeys();
+    return true;
+  }
+
+  getKey(keyId) {
+    return this.keys[keyId] ? this.sanitize(this.keys[keyId]) : null;
+  }
+
+  hasKeys() {
+    return Object.keys(this.keys).length > 0;
+  }
+
+  listKeys(userId = null) {
+    return Object.values(this.keys)
+      .filter(record => !userId || record.userId === userId)
+      .map(record => this.sanitize(record));
+  }
+
+  // Rekord bez skrótu klucza - do odpowiedzi API
+  sanitize(record) {
+    const { keyHash, ...rest } = record;
+    return { ...rest, usage: this.getUsage(record) };
+  }
+
+  getUsage(record) {
+    return record.usage?.date === today() ? record.usage : { date: today(), tokens: 0, requests: 0 };
+  }
+
+  /**
+   * Resolve a presented key. Throws ApiKeyError when it is unknown, revoked or expired.
+   */
+  authenticate(key) {
+    const keyHash = hashKey(key);
+    const record = Object.values(this.keys).find(candidate => candidate.keyHash === keyHash);
+
+    if (!record) {
+      throw new ApiKeyError('Incorrect API key provided.', 'invalid_api_key', 401, 'authentication_error');
+    }
+    if (record.revoked) {
+      throw new ApiKeyError('This API key has been revoked.', 'api_key_revoked', 401, 'authentication_error');
+    }
+    if (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now()) {
+      throw new ApiKeyError('This API key has expired.', 'api_key_expired', 401, 'authentication_error');
+    }
+    return record;
+  }
+
+  isModelAllowed(record, model) {
+    if (!record.allowedModels || record.allowedModels.length === 0) {
+      return true;
+    }
+    // Wpis zakończony "*" dopuszcza wszystkie modele z danym prefiksem
+    return record.allowedModels.some(pattern => pattern.endsWith('*')
+      ? model.startsWith(pattern.slice(0, -1))
+      : model === pattern);
+  }
+
+  /**
+   * Check model allow-list, requests-per-minute and daily token budget.
+   * Counts the request when it is allowed; throws ApiKeyError otherwise.
+   */
+  authorizeRequest(record, model) {
+    if (model && !this.isModelAllowed(record, model)) {
+      throw new ApiKeyError(`This API key is not allowed to use model '${model}'.`, 'model_not_allowed', 403, 'permission_error');
+    }
+
+    const usage = this.getUsage(record);
+    if (record.dailyTokens && usage.tokens >= record.dailyTokens) {
+      throw new ApiKeyError(`Daily token budget of ${record.dailyTokens} tokens exhausted for this API key.`, 'insufficient_quota', 429, 'rate_limit_error');
+    }
+
+    const now = Date.now();
+    const recent = (this.requestLog.get(record.id) || []).filter(timestamp => now - timestamp < RATE_WINDOW_MS);
+    if (record.rpm && recent.length >= record.rpm) {
+      this.requestLog.set(record.id, recent);
+      throw new ApiKeyError(`Rate limit of ${record.rpm} requests per minute exceeded for this API key.`, 'rate_limit_exceeded', 429, 'rate_limit_error');
+    }
+    recent.push(now);
+    this.requestLog.set(record.id, recent);
+
+    record.usage = { ...usage, requests: usage.requests + 1 };
+    record.lastUsedAt = new Date(now).toISOString();
+    this.scheduleSave();
+
+    return {
+      remainingRequests: record.rpm ? record.rpm - recent.length : null,
+      remainingTokens: record.dailyTokens ? record.dailyTokens - usage.tokens : null
+    };
+  }
+
+  recordTokens(keyId, tokens) {
+    const record = this.keys[keyId];
+    if (!record || !tokens) return;
+
+    const usage = this.getUsage(record);
+    record.usage = { ...usage, tokens: usage.tokens + tokens };
+    this.scheduleSave();
+  }
+}
+
+module.exports = ApiKeyManager;
+module.exports.ApiKeyError = ApiKeyError;
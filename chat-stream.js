@@ -0,0 +1,120 @@
+/**
+ * Chat stream assembling and replay
+ *
+ * ChatStreamAssembler rebuilds a complete chat.completion from the
+ * chat.completion.chunk objects forwarded to the client, so streamed
+ * answers can be stored in the response cache. completionToChunks turns a
+ * cached chat.completion back into chunks for a synthetic SSE stream.
+ */
+
+class ChatStreamAssembler {
+  constructor() {
+    this.id = null;
+    this.created = null;
+    this.choices = new Map(); // { index: { content, role, toolCalls: Map, finishReason } }
+    this.usage = null;
+  }
+
+  add(chunk) {
+    this.id = this.id || chunk.id || null;
+    this.created = this.created || chunk.created || null;
+    if (chunk.usage) {
+      this.usage = chunk.usage;
+    }
+
+    for (const choice of chunk.choices || []) {
+      const index = choice.index ?? 0;
+      if (!this.choices.has(index)) {
+        this.choices.set(index, { role: 'assistant', content: '', toolCalls: new Map(), finishReason: null });
+      }
+      const state = this.choices.get(index);
+      const delta = choice.delta || {};
+
+      if (delta.role) state.role = delta.role;
+      if (typeof delta.content === 'string') state.content += delta.content;
+
+      for (const [position, toolCall] of (delta.tool_calls || []).entries()) {
+        const toolIndex = toolCall.index ?? position;
+        if (!state.toolCalls.has(toolIndex)) {
+          state.toolCalls.set(toolIndex, { id: null, type: 'function', function: { name: '', arguments: '' } });
+        }
+        const call = state.toolCalls.get(toolIndex);
+        if (toolCall.id) call.id = toolCall.id;
+        if (toolCall.type) call.type = toolCall.type;
+        if (toolCall.function?.name) call.function.name += toolCall.function.name;
+        if (toolCall.function?.arguments) call.function.arguments += toolCall.function.arguments;
+      }
+
+      if (choice.finish_reason) {
+        state.finishReason = choice.finish_reason;
+      }
+    }
+  }
+
+  // Odpowiedź nadaje się do cache'a dopiero, gdy każdy choice został zakończony
+  isComplete() {
+    return this.choices.size > 0 && Array.from(this.choices.values()).every(state => state.finishReason);
+  }
+
+  toCompletion(model) {
+    const choices = Array.from(this.choices.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([index, state]) => {
+        const message = { role: state.role, content: state.content };
+        if (state.toolCalls.size > 0) {
+          message.tool_calls = Array.from(state.toolCalls.entries())
+            .sort(([a], [b]) => a - b)
+            .map(([, call]) => call);
+          message.content = state.content || null;
+        }
+        return { index, message, finish_reason: state.finishReason };
+      });
+
+    return {
+      id: this.id,
+      object: 'chat.completion',
+      created: this.created || Math.floor(Date.now() / 1000),
+      model,
+      choices,
+      usage: this.usage
+    };
+  }
+}
+
+/**
+ * Convert a chat.completion into chat.completion.chunk objects.
+ * The usage chunk is added only when `includeUsage` is set.
+ */
+function completionToChunks(completion, { includeUsage = false } = {}) {
+  const base = {
+    id: completion.id,
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    model: completion.model
+  };
+  const chunks = [];
+
+  for (const choice of completion.choices || []) {
+    const message = choice.message || {};
+    const index = choice.index ?? 0;
+    const delta = { role: message.role || 'assistant', content: message.content ?? '' };
+    chunks.push({ ...base, choices: [{ index, delta, finish_reason: null }] });
+
+    if (Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+      const toolCalls = message.tool_calls.map((call, toolIndex) => ({ index: toolIndex, ...call }));
+      chunks.push({ ...base, choices: [{ index, delta: { tool_calls: toolCalls }, finish_reason: null }] });
+    }
+
+    chunks.push({ ...base, choices: [{ index, delta: {}, finish_reason: choice.finish_reason || 'stop' }] });
+  }
+
+  if (includeUsage && completion.usage) {
+    chunks.push({ ...base, choices: [], usage: completion.usage });
+  }
+  return chunks;
+}
+
+module.exports = {
+  ChatStreamAssembler,
+  completionToChunks
+};
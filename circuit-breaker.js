@@ -0,0 +1,191 @@
+/**
+ * Circuit Breaker
+ *
+ * Per-provider and per-model circuits (closed -> open -> half-open). A circuit
+ * opens after `failureThreshold` consecutive provider failures and rejects
+ * requests until `resetTimeout` passes. Then up to `halfOpenMaxRequests` trial
+ * requests are let through: a success closes the circuit, a failure opens it
+ * again. Trial slots that are never reported (e.g. a cancelled stream) are
+ * released after another `resetTimeout`.
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeout = 30000, halfOpenMaxRequests = 1 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.halfOpenMaxRequests = halfOpenMaxRequests;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialsInFlight = 0;
+    this.trialStartedAt = null;
+    this.stats = { successes: 0, failures: 0, rejected: 0, opened: 0 };
+    this.lastError = null;
+  }
+
+  // Sprawdzenie bez zmiany stanu (open po upływie resetTimeout przepuszcza próbę)
+  canPass(now = Date.now()) {
+    if (this.state === STATES.CLOSED) {
+      return true;
+    }
+    if (this.state === STATES.OPEN) {
+      return now - this.openedAt >= this.resetTimeout;
+    }
+    return this.trialsInFlight < this.halfOpenMaxRequests || now - this.trialStartedAt >= this.resetTimeout;
+  }
+
+  // Zapytanie przepuszczone przez obwód - w stanie half-open zajmuje slot próby
+  onRequest(now = Date.now()) {
+    if (this.state === STATES.CLOSED) {
+      return;
+    }
+    if (this.state === STATES.OPEN || now - this.trialStartedAt >= this.resetTimeout) {
+      this.state = STATES.HALF_OPEN;
+      this.trialsInFlight = 0;
+    }
+    this.trialsInFlight += 1;
+    this.trialStartedAt = now;
+  }
+
+  recordSuccess() {
+    this.stats.successes += 1;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialsInFlight = 0;
+  }
+
+  recordFailure(error = null, now = Date.now()) {
+    this.stats.failures += 1;
+    this.failures += 1;
+    this.lastError = error ? { message: error.message, at: new Date(now).toISOString() } : null;
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      if (this.state !== STATES.OPEN) {
+        this.stats.opened += 1;
+      }
+      this.state = STATES.OPEN;
+      this.openedAt = now;
+      this.trialsInFlight = 0;
+    }
+  }
+
+  getStatus(now = Date.now()) {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryInMs: this.state === STATES.OPEN ? Math.max(0, this.resetTimeout - (now - this.openedAt)) : 0,
+      lastError: this.lastError,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Circuits per provider and per provider model. A request needs both
+ * circuits to let it through.
+ *
+ * Model names can come straight from clients (custom provider prefixes), so
+ * at most `maxModelCircuits` model circuits are kept: the least recently used
+ * closed one is dropped first.
+ */
+class CircuitBreakerRegistry {
+  constructor({ maxModelCircuits = 1000, ...options } = {}) {
+    this.options = options;
+    this.maxModelCircuits = maxModelCircuits;
+    this.modelCircuits = 0;
+    this.circuits = new Map(); // { "provider" | "provider model": { provider, model, breaker } }, od najdawniej używanego
+  }
+
+  get(provider, model = null) {
+    const key = model ? `${provider} ${model}` : provider;
+    const circuit = this.circuits.get(key);
+    if (circuit) {
+      if (model) {
+        this.circuits.delete(key);
+        this.circuits.set(key, circuit);
+      }
+      return circuit.breaker;
+    }
+    if (model) {
+      if (this.modelCircuits >= this.maxModelCircuits) {
+        this.evictModelCircuit();
+      }
+      this.modelCircuits += 1;
+    }
+    const breaker = new CircuitBreaker(this.options);
+    this.circuits.set(key, { provider, model, breaker });
+    return breaker;
+  }
+
+  // Usunięcie najdawniej używanego obwodu modelu - zamknięte w pierwszej kolejności
+  evictModelCircuit() {
+    let victim = null;
+    for (const [key, circuit] of this.circuits) {
+      if (!circuit.model) continue;
+      if (circuit.breaker.state === STATES.CLOSED) {
+        victim = key;
+        break;
+      }
+      victim = victim || key;
+    }
+    if (victim) {
+      this.circuits.delete(victim);
+      this.modelCircuits -= 1;
+    }
+  }
+
+  isAvailable(provider, model, now = Date.now()) {
+    return this.get(provider).canPass(now) && this.get(provider, model).canPass(now);
+  }
+
+  // Zwraca false (i liczy odrzucenie), gdy któryś z obwodów jest otwarty
+  allowRequest(provider, model, now = Date.now()) {
+    const providerBreaker = this.get(provider);
+    const modelBreaker = this.get(provider, model);
+    if (!providerBreaker.canPass(now) || !modelBreaker.canPass(now)) {
+      const rejectedBy = providerBreaker.canPass(now) ? modelBreaker : providerBreaker;
+      rejectedBy.stats.rejected += 1;
+      return false;
+    }
+    providerBreaker.onRequest(now);
+    modelBreaker.onRequest(now);
+    return true;
+  }
+
+  recordSuccess(provider, model) {
+    this.get(provider).recordSuccess();
+    this.get(provider, model).recordSuccess();
+  }
+
+  recordFailure(provider, model, error = null, now = Date.now()) {
+    this.get(provider).recordFailure(error, now);
+    this.get(provider, model).recordFailure(error, now);
+  }
+
+  list(now = Date.now()) {
+    return Array.from(this.circuits.values()).map(({ provider, model, breaker }) => ({
+      provider,
+      model,
+      ...breaker.getStatus(now)
+    }));
+  }
+
+  reset() {
+    const count = this.circuits.size;
+    this.circuits.clear();
+    this.modelCircuits = 0;
+    return count;
+  }
+}
+
+module.exports = CircuitBreakerRegistry;
+module.exports.CircuitBreaker = CircuitBreaker;
+module.exports.STATES = STATES;
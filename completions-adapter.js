@@ -0,0 +1,118 @@
+/**
+ * Legacy Completions API Adapter
+ *
+ * Implements /v1/completions (text_completion) on top of the gateway's chat
+ * completions routing. Every prompt is sent to the upstream model as a chat
+ * conversation and the assistant reply is returned as completion text.
+ *
+ * - validateCompletionRequest: checks prompt / suffix / n / echo
+ * - normalizePrompts: string | string[] -> string[]
+ * - convertPromptToMessages: prompt (+ suffix) -> chat messages
+ * - createTextCompletion / createTextCompletionChunk: text_completion objects
+ */
+
+const crypto = require('crypto');
+
+const COMPLETION_INSTRUCTIONS = 'Continue the text provided by the user. Reply only with the continuation, without repeating the given text or adding any commentary.';
+const INSERTION_INSTRUCTIONS = 'The user provides a prefix and a suffix. Reply only with the text that belongs between them, without repeating the prefix or the suffix and without any commentary.';
+
+// Każdy wariant (prompt × n) to osobne wywołanie upstream - limit na jedno zapytanie
+const MAX_COMPLETION_CHOICES = 16;
+
+function generateCompletionId() {
+  return `cmpl-${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Validate a completions request body.
+ * Returns { message, param } describing the problem, or null when valid.
+ */
+function validateCompletionRequest(body) {
+  if (!body || typeof body !== 'object') {
+    return { message: 'Request body must be a JSON object', param: null };
+  }
+  if (!body.model || typeof body.model !== 'string') {
+    return { message: 'model is required and must be a string', param: 'model' };
+  }
+
+  const prompt = body.prompt;
+  if (prompt === undefined || prompt === null) {
+    return { message: 'prompt is required', param: 'prompt' };
+  }
+  if (Array.isArray(prompt)) {
+    if (prompt.length === 0) {
+      return { message: 'prompt must not be an empty array', param: 'prompt' };
+    }
+    if (!prompt.every(item => typeof item === 'string')) {
+      return { message: 'Token array prompts are not supported; send the prompt as a string or an array of strings', param: 'prompt' };
+    }
+  } else if (typeof prompt !== 'string') {
+    return { message: 'prompt must be a string or an array of strings', param: 'prompt' };
+  }
+
+  if (body.suffix !== undefined && body.suffix !== null && typeof body.suffix !== 'string') {
+    return { message: 'suffix must be a string', param: 'suffix' };
+  }
+  if (body.n !== undefined && (!Number.isInteger(body.n) || body.n < 1 || body.n > MAX_COMPLETION_CHOICES)) {
+    return { message: `n must be an integer between 1 and ${MAX_COMPLETION_CHOICES}`, param: 'n' };
+  }
+  const choiceCount = normalizePrompts(prompt).length * (body.n || 1);
+  if (choiceCount > MAX_COMPLETION_CHOICES) {
+    return { message: `A request may produce at most ${MAX_COMPLETION_CHOICES} choices (number of prompts × n), got ${choiceCount}`, param: 'prompt' };
+  }
+  if (body.echo !== undefined && typeof body.echo !== 'boolean') {
+    return { message: 'echo must be a boolean', param: 'echo' };
+  }
+  return null;
+}
+
+function normalizePrompts(prompt) {
+  return Array.isArray(prompt) ? prompt : [prompt];
+}
+
+/**
+ * Convert a single prompt (and optional suffix) into chat messages.
+ */
+function convertPromptToMessages(prompt, suffix) {
+  if (suffix) {
+    return [
+      { role: 'system', content: INSERTION_INSTRUCTIONS },
+      { role: 'user', content: `Prefix:\n${prompt}\n\nSuffix:\n${suffix}` }
+    ];
+  }
+  return [
+    { role: 'system', content: COMPLETION_INSTRUCTIONS },
+    { role: 'user', content: prompt }
+  ];
+}
+
+function createTextCompletion(id, requestedModel, choices, usage) {
+  return {
+    id,
+    object: 'text_completion',
+    created: Math.floor(Date.now() / 1000),
+    model: requestedModel,
+    choices,
+    usage
+  };
+}
+
+function createTextCompletionChunk(id, requestedModel, index, text, finishReason = null) {
+  return {
+    id,
+    object: 'text_completion',
+    created: Math.floor(Date.now() / 1000),
+    model: requestedModel,
+    choices: [{ text, index, logprobs: null, finish_reason: finishReason }]
+  };
+}
+
+module.exports = {
+  MAX_COMPLETION_CHOICES,
+  generateCompletionId,
+  validateCompletionRequest,
+  normalizePrompts,
+  convertPromptToMessages,
+  createTextCompletion,
+  createTextCompletionChunk
+};
@@ -0,0 +1,179 @@
+/**
+ * Persistent Configuration Store
+ *
+ * Keeps the gateway's admin-editable configuration (model mappings, fallbacks,
+ * provider keys, custom providers) across restarts. Every saved change gets a
+ * new version number and an entry in the change history.
+ *
+ * Backends:
+ * - json (default): single JSON file, written atomically (temp file + rename)
+ * - sqlite: requires the optional `better-sqlite3` package
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_JSON_HISTORY = 200;
+
+class JsonConfigStore {
+  constructor(filePath = './config-store.json') {
+    this.type = 'json';
+    this.filePath = filePath;
+    this.state = { version: 0, updatedAt: null, config: null, history: [] };
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    this.state = {
+      version: data.version || 0,
+      updatedAt: data.updatedAt || null,
+      config: data.config || null,
+      history: Array.isArray(data.history) ? data.history : []
+    };
+    return this.state.config ? { version: this.state.version, updatedAt: this.state.updatedAt, config: this.state.config } : null;
+  }
+
+  save(config, change = {}) {
+    const version = this.state.version + 1;
+    const updatedAt = new Date().toISOString();
+    const history = [...this.state.history, { version, timestamp: updatedAt, ...change }].slice(-MAX_JSON_HISTORY);
+    const nextState = { version, updatedAt, config, history };
+
+    // Zapis atomowy: najpierw plik tymczasowy, potem rename (brak uszkodzonego pliku po awarii)
+    fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(nextState, null, 2), 'utf-8');
+    fs.renameSync(tmpPath, this.filePath);
+
+    this.state = nextState;
+    return version;
+  }
+
+  getVersion() {
+    return this.state.version;
+  }
+
+  getHistory(limit = 50) {
+    return this.state.history.slice(-limit).reverse();
+  }
+
+  // Historia JSON nie przechowuje poprzednich konfiguracji - nie ma czego przepisywać
+  rewriteHistory() {
+    return 0;
+  }
+
+  close() {}
+}
+
+class SqliteConfigStore {
+  constructor(filePath = './config-store.db') {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite config store requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    this.type = 'sqlite';
+    this.filePath = filePath;
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS config_versions (
+        version INTEGER PRIMARY KEY,
+        timestamp TEXT NOT NULL,
+        section TEXT,
+        action TEXT,
+        detail TEXT,
+        user TEXT,
+        config TEXT NOT NULL
+      )
+    `);
+  }
+
+  load() {
+    const row = this.db.prepare('SELECT version, timestamp, config FROM config_versions ORDER BY version DESC LIMIT 1').get();
+    if (!row) {
+      return null;
+    }
+    return { version: row.version, updatedAt: row.timestamp, config: JSON.parse(row.config) };
+  }
+
+  save(config, change = {}) {
+    const insert = this.db.transaction(() => {
+      const { version: current } = this.db.prepare('SELECT COALESCE(MAX(version), 0) AS version FROM config_versions').get();
+      const version = current + 1;
+      this.db.prepare(`
+        INSERT INTO config_versions (version, timestamp, section, action, detail, user, config)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(version, new Date().toISOString(), change.section || null, change.action || null,
+        change.detail || null, change.user || null, JSON.stringify(config));
+      return version;
+    });
+    return insert();
+  }
+
+  getVersion() {
+    return this.db.prepare('SELECT COALESCE(MAX(version), 0) AS version FROM config_versions').get().version;
+  }
+
+  getHistory(limit = 50) {
+    return this.db.prepare(`
+      SELECT version, timestamp, section, action, detail, user
+      FROM config_versions ORDER BY version DESC LIMIT ?
+    `).all(limit);
+  }
+
+  /**
+   * Rewrite the config stored with every version (e.g. to re-encrypt secrets).
+   * transform(config) returns the new config; unchanged rows are left as they are.
+   * Returns the number of rewritten versions.
+   */
+  rewriteHistory(transform) {
+    const rewrite = this.db.transaction(() => {
+      const update = this.db.prepare('UPDATE config_versions SET config = ? WHERE version = ?');
+      let rewritten = 0;
+      for (const row of this.db.prepare('SELECT version, config FROM config_versions').all()) {
+        const config = JSON.stringify(transform(JSON.parse(row.config)));
+        if (config !== row.config) {
+          update.run(config, row.version);
+          rewritten++;
+        }
+      }
+      return rewritten;
+    });
+    const rewritten = rewrite();
+    if (rewritten > 0) {
+      // Stare wartości nie mogą zostać w wolnych stronach bazy ani w pliku WAL
+      this.db.exec('VACUUM');
+      this.db.pragma('wal_checkpoint(TRUNCATE)');
+    }
+    return rewritten;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Create a config store for the given backend ('json' or 'sqlite').
+ */
+function createConfigStore({ type = 'json', path: filePath } = {}) {
+  if (type === 'sqlite') {
+    return new SqliteConfigStore(filePath || './config-store.db');
+  }
+  if (type !== 'json') {
+    throw new Error(`Unknown config store type '${type}'. Supported: json, sqlite`);
+  }
+  return new JsonConfigStore(filePath || './config-store.json');
+}
+
+module.exports = {
+  createConfigStore,
+  JsonConfigStore,
+  SqliteConfigStore
+};
@@ -0,0 +1,95 @@
+/**
+ * Hedged Requests
+ *
+ * Runs the same request against several targets to cut tail latency. Each task
+ * is a function receiving an AbortSignal and a `responding` callback. The first
+ * task starts immediately, the next one when the running tasks produced no
+ * result within `delayMs` or as soon as all of them failed. A task that calls
+ * `responding()` (e.g. on the first byte of a response that is still being
+ * generated) cancels the pending hedge, so long answers are not duplicated.
+ * The first task to resolve wins and the others are aborted. When every task
+ * fails, the error of the last one is thrown.
+ * A result that arrives after the winner is passed to `discard` (e.g. to
+ * close a stream that was opened anyway).
+ */
+
+/**
+ * @param {Array<function(AbortSignal, function): Promise>} tasks
+ * @param {{ delayMs: number, signal?: AbortSignal, discard?: function }} options - `signal` aborts every task (e.g. client disconnect)
+ * @returns {Promise<{ value, index: number, started: number, hedged: boolean }>} `started` is the number of
+ *   tasks that were run, `hedged` tells whether one of them was started by the delay (not after a failure)
+ */
+function hedgeRequest(tasks, { delayMs, signal = null, discard = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const controllers = [];
+    let running = 0;
+    let settled = false;
+    let timer = null;
+    let lastError = null;
+    let hedged = false;
+
+    const finish = () => {
+      settled = true;
+      clearTimeout(timer);
+    };
+
+    // Zadanie zaczęło odpowiadać - kolejne nie jest uruchamiane po opóźnieniu (tylko po błędzie)
+    const responding = () => clearTimeout(timer);
+
+    // Uruchamia kolejne zadanie; false gdy nie ma już czego uruchomić
+    const startNext = () => {
+      clearTimeout(timer);
+      const index = controllers.length;
+      if (settled || index >= tasks.length || signal?.aborted) {
+        return false;
+      }
+
+      const controller = new AbortController();
+      controllers.push(controller);
+      running += 1;
+      if (index + 1 < tasks.length) {
+        timer = setTimeout(() => {
+          hedged = true;
+          startNext();
+        }, delayMs);
+      }
+
+      Promise.resolve()
+        .then(() => tasks[index](controller.signal, responding))
+        .then(value => {
+          running -= 1;
+          if (settled) {
+            discard(value);
+            return;
+          }
+          finish();
+          controllers.forEach((other, otherIndex) => {
+            if (otherIndex !== index) other.abort();
+          });
+          resolve({ value, index, started: controllers.length, hedged });
+        }, error => {
+          running -= 1;
+          if (settled) return;
+          lastError = error;
+          if (running === 0 && !startNext()) {
+            finish();
+            reject(lastError);
+          }
+        });
+      return true;
+    };
+
+    // Przerwanie przez wywołującego dotyczy także zwycięzcy (np. trwającego streamu)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      controllers.forEach(controller => controller.abort());
+    }, { once: true });
+
+    if (!startNext()) {
+      finish();
+      reject(new Error(signal?.aborted ? 'Request aborted' : 'No tasks to run'));
+    }
+  });
+}
+
+module.exports = { hedgeRequest };
@@ -0,0 +1,242 @@
+/**
+ * Provider Key Pool
+ *
+ * Round-robin over the API keys of a provider that skips keys parked after a
+ * rate limit. A key stays parked until the reset time announced by the
+ * provider (Retry-After or x-ratelimit-* headers), or for `defaultParkMs` when
+ * the response does not say.
+ *
+ * The pool also keeps per-key health: request and failure counts, the last
+ * error, and a quarantine for keys the provider rejects (401, or 402/403 whose
+ * error body names an invalid key or missing credits). A quarantined key stays
+ * out of rotation until restore() - the gateway calls it after the key passes a
+ * periodic re-validation.
+ */
+
+// 402/403 zwracane są też z powodów dotyczących samego zapytania (moderacja, max_tokens ponad saldo) -
+// kwarantanna tylko, gdy treść błędu wskazuje na klucz lub brak środków na koncie
+const KEY_REJECTION_PATTERN = /invalid (api )?key|key (is )?(invalid|revoked|disabled|expired)|user not found|insufficient credits|out of credits|no credits/i;
+
+function isKeyRejection(status, message = '') {
+  if (status === 401) {
+    return true;
+  }
+  return (status === 402 || status === 403) && KEY_REJECTION_PATTERN.test(message || '');
+}
+
+/**
+ * Parse a reset value into milliseconds from `now`.
+ * Accepts epoch milliseconds (OpenRouter), epoch seconds, seconds from now,
+ * durations such as "1m30s" or "250ms", and HTTP dates.
+ */
+function parseResetValue(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const text = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const number = parseFloat(text);
+    if (number > 1e12) return Math.max(0, number - now);
+    if (number > 1e9) return Math.max(0, number * 1000 - now);
+    return number * 1000;
+  }
+
+  const parts = text.match(/(\d+(?:\.\d+)?)(ms|s|m|h)/g);
+  if (parts && parts.join('') === text) {
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+    return parts.reduce((sum, part) => {
+      const [, amount, unit] = part.match(/(\d+(?:\.\d+)?)(ms|s|m|h)/);
+      return sum + parseFloat(amount) * units[unit];
+    }, 0);
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Read rate limit headers of a provider response.
+ * Returns { resetMs, exhausted }: `resetMs` is the wait announced by
+ * Retry-After (preferred) or the latest x-ratelimit-reset*, `exhausted` tells
+ * whether x-ratelimit-remaining* reached 0.
+ */
+function parseRateLimitHeaders(headers = {}, now = Date.now()) {
+  const get = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  let resetMs = parseResetValue(get('retry-after'), now);
+  if (resetMs === null) {
+    const resets = ['x-ratelimit-reset', 'x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens']
+      .map(name => parseResetValue(get(name), now))
+      .filter(value => value !== null);
+    resetMs = resets.length > 0 ? Math.max(...resets) : null;
+  }
+
+  const exhausted = ['x-ratelimit-remaining', 'x-ratelimit-remaining-requests', 'x-ratelimit-remaining-tokens']
+    .some(name => get(name) !== undefined && get(name) !== null && Number(get(name)) <= 0);
+
+  return { resetMs, exhausted };
+}
+
+class KeyPool {
+  constructor({ defaultParkMs = 10000, minParkMs = 1000 } = {}) {
+    this.defaultParkMs = defaultParkMs;
+    this.minParkMs = minParkMs;
+    this.indexes = new Map(); // { provider: indeks round-robin }
+    this.parked = new Map(); // { "provider key": { provider, key, until, reason } }
+    this.health = new Map(); // { "provider key": { provider, key, requests, failures, lastUsedAt, lastError, lastErrorAt, quarantine } }
+  }
+
+  getHealth(provider, key) {
+    const id = `${provider} ${key}`;
+    if (!this.health.has(id)) {
+      this.health.set(id, { provider, key, requests: 0, failures: 0, lastUsedAt: null, lastError: null, lastErrorAt: null, quarantine: null });
+    }
+    return this.health.get(id);
+  }
+
+  recordSuccess(provider, key, now = Date.now()) {
+    const health = this.getHealth(provider, key);
+    health.requests += 1;
+    health.lastUsedAt = now;
+  }
+
+  // Błąd zapytania z kluczem; zwraca true, gdy klucz trafił do kwarantanny (patrz isKeyRejection)
+  recordFailure(provider, key, { status = null, message = '' } = {}, now = Date.now()) {
+    const health = this.getHealth(provider, key);
+    health.requests += 1;
+    health.failures += 1;
+    health.lastUsedAt = now;
+    health.lastError = status ? `HTTP ${status}: ${message}` : message;
+    health.lastErrorAt = now;
+    if (isKeyRejection(status, message)) {
+      this.quarantine(provider, key, `http_${status}`, now);
+      return true;
+    }
+    return false;
+  }
+
+  quarantine(provider, key, reason, now = Date.now()) {
+    this.getHealth(provider, key).quarantine = { reason, since: now, checkedAt: null, checkError: null };
+  }
+
+  isQuarantined(provider, key) {
+    return !!this.health.get(`${provider} ${key}`)?.quarantine;
+  }
+
+  // Klucz wraca do rotacji (np. po udanej ponownej walidacji)
+  restore(provider, key) {
+    const health = this.health.get(`${provider} ${key}`);
+    if (!health || !health.quarantine) {
+      return false;
+    }
+    health.quarantine = null;
+    return true;
+  }
+
+  // Nieudana ponowna walidacja - klucz zostaje w kwarantannie
+  markChecked(provider, key, checkError = null, now = Date.now()) {
+    const quarantine = this.health.get(`${provider} ${key}`)?.quarantine;
+    if (quarantine) {
+      quarantine.checkedAt = now;
+      quarantine.checkError = checkError;
+    }
+  }
+
+  quarantined() {
+    return Array.from(this.health.values())
+      .filter(health => health.quarantine)
+      .map(({ provider, key, quarantine }) => ({ provider, key, ...quarantine }));
+  }
+
+  isAvailable(provider, key, now = Date.now()) {
+    return !this.isQuarantined(provider, key) && !this.isParked(provider, key, now);
+  }
+
+  isParked(provider, key, now = Date.now()) {
+    const entry = this.parked.get(`${provider} ${key}`);
+    if (entry && entry.until <= now) {
+      this.parked.delete(`${provider} ${key}`);
+      return false;
+    }
+    return !!entry;
+  }
+
+  // Następny wolny klucz (round-robin) albo null, gdy wszystkie są odstawione lub w kwarantannie
+  pick(provider, keys, now = Date.now()) {
+    const start = this.indexes.get(provider) || 0;
+    for (let offset = 0; offset < keys.length; offset++) {
+      const index = (start + offset) % keys.length;
+      if (this.isAvailable(provider, keys[index], now)) {
+        this.indexes.set(provider, (index + 1) % keys.length);
+        return keys[index];
+      }
+    }
+    return null;
+  }
+
+  // Odstawienie klucza na resetMs (domyślnie defaultParkMs, co najmniej minParkMs); zwraca czas odstawienia
+  park(provider, key, resetMs = null, reason = 'rate_limit', now = Date.now()) {
+    const duration = Math.max(this.minParkMs, resetMs === null ? this.defaultParkMs : resetMs);
+    this.parked.set(`${provider} ${key}`, { provider, key, until: now + duration, reason });
+    return duration;
+  }
+
+  release(provider, key) {
+    return this.parked.delete(`${provider} ${key}`);
+  }
+
+  // Klucz usunięty z konfiguracji - bez odstawienia i statystyk
+  forget(provider, key) {
+    this.release(provider, key);
+    this.health.delete(`${provider} ${key}`);
+  }
+
+  availableCount(provider, keys, now = Date.now()) {
+    return keys.filter(key => this.isAvailable(provider, key, now)).length;
+  }
+
+  // Czas do zwolnienia pierwszego odstawionego klucza (0 gdy któryś jest wolny, null gdy pozostałe są w kwarantannie)
+  nextReleaseIn(provider, keys, now = Date.now()) {
+    if (keys.length === 0 || this.availableCount(provider, keys, now) > 0) {
+      return 0;
+    }
+    const parked = keys.filter(key => !this.isQuarantined(provider, key));
+    return parked.length > 0 ? Math.min(...parked.map(key => this.parked.get(`${provider} ${key}`).until - now)) : null;
+  }
+
+  // Stan i statystyki kluczy providera (status: active, parked lub quarantined)
+  keyStatus(provider, keys, now = Date.now()) {
+    return keys.map(key => {
+      const health = this.health.get(`${provider} ${key}`) || {};
+      const parked = this.isParked(provider, key, now) ? this.parked.get(`${provider} ${key}`) : null;
+      return {
+        key,
+        status: health.quarantine ? 'quarantined' : parked ? 'parked' : 'active',
+        requests: health.requests || 0,
+        failures: health.failures || 0,
+        lastUsedAt: health.lastUsedAt ? new Date(health.lastUsedAt).toISOString() : null,
+        lastError: health.lastError || null,
+        lastErrorAt: health.lastErrorAt ? new Date(health.lastErrorAt).toISOString() : null,
+        parkedUntil: parked ? new Date(parked.until).toISOString() : null,
+        quarantine: health.quarantine ? {
+          reason: health.quarantine.reason,
+          since: new Date(health.quarantine.since).toISOString(),
+          checkedAt: health.quarantine.checkedAt ? new Date(health.quarantine.checkedAt).toISOString() : null,
+          checkError: health.quarantine.checkError
+        } : null
+      };
+    });
+  }
+
+  list(now = Date.now()) {
+    return Array.from(this.parked.values())
+      .filter(entry => entry.until > now)
+      .map(({ provider, key, until, reason }) => ({ provider, key, until: new Date(until).toISOString(), retryInMs: until - now, reason }));
+  }
+}
+
+module.exports = KeyPool;
+module.exports.parseRateLimitHeaders = parseRateLimitHeaders;
+module.exports.parseResetValue = parseResetValue;
+module.exports.isKeyRejection = isKeyRejection;
@@ -0,0 +1,106 @@
+/**
+ * Model Routing Strategies
+ *
+ * A virtual model (e.g. "gpt-4o") can be served by a pool of target models.
+ * The strategy decides the order in which the pool is tried for a request:
+ * the first target handles it, the others are used as fallbacks.
+ *
+ * - priority: configured order
+ * - weighted: weighted random order (weight defaults to 1)
+ * - latency: lowest observed p50 latency first; targets without samples go first so they get measured
+ * - least-errors: fewest recent errors first
+ * - round-robin: the starting target rotates on every request
+ */
+
+const ROUTING_STRATEGIES = ['priority', 'weighted', 'latency', 'least-errors', 'round-robin'];
+
+/**
+ * Validate a routing definition from the API or the config store.
+ * Targets may be model ids or { model, weight } objects.
+ * Returns { strategy, targets: [{ model, weight }] } or throws a TypeError.
+ */
+function normalizeRouting({ strategy = 'priority', targets } = {}) {
+  if (!ROUTING_STRATEGIES.includes(strategy)) {
+    throw new TypeError(`Unknown routing strategy '${strategy}'. Supported: ${ROUTING_STRATEGIES.join(', ')}`);
+  }
+  if (!Array.isArray(targets) || targets.length === 0) {
+    throw new TypeError('targets must be a non-empty array of model ids or { model, weight } objects');
+  }
+
+  const normalized = targets.map(target => {
+    const { model, weight = 1 } = typeof target === 'string' ? { model: target } : (target || {});
+    if (typeof model !== 'string' || !model.trim()) {
+      throw new TypeError('Each target needs a model id');
+    }
+    if (typeof weight !== 'number' || !(weight > 0)) {
+      throw new TypeError(`Weight of ${model} must be a positive number`);
+    }
+    return { model: model.trim(), weight };
+  });
+
+  if (new Set(normalized.map(target => target.model)).size !== normalized.length) {
+    throw new TypeError('targets must not repeat a model');
+  }
+  return { strategy, targets: normalized };
+}
+
+class ModelRouter {
+  constructor({ random = Math.random } = {}) {
+    this.random = random;
+    this.rotation = new Map(); // { virtualModel: licznik round-robin }
+  }
+
+  /**
+   * Order the pool of a virtual model. `getStats(model)` returns
+   * { p50LatencyMs, recentErrors } collected by the gateway.
+   */
+  order(virtualModel, { strategy, targets }, getStats = () => ({})) {
+    const models = targets.map(target => target.model);
+
+    switch (strategy) {
+      case 'weighted':
+        return this.weightedOrder(targets);
+
+      case 'latency': {
+        // Modele bez próbek (-1) idą pierwsze, żeby zostały zmierzone
+        const latency = model => {
+          const p50 = getStats(model)?.p50LatencyMs;
+          return p50 === null || p50 === undefined ? -1 : p50;
+        };
+        return [...models].sort((a, b) => latency(a) - latency(b));
+      }
+
+      case 'least-errors': {
+        const errors = model => getStats(model)?.recentErrors || 0;
+        return [...models].sort((a, b) => errors(a) - errors(b));
+      }
+
+      case 'round-robin': {
+        const start = (this.rotation.get(virtualModel) || 0) % models.length;
+        this.rotation.set(virtualModel, start + 1);
+        return [...models.slice(start), ...models.slice(0, start)];
+      }
+
+      default:
+        return models;
+    }
+  }
+
+  // Losowanie bez zwracania - kolejne pozycje z prawdopodobieństwem proporcjonalnym do wagi
+  weightedOrder(targets) {
+    const remaining = [...targets];
+    const ordered = [];
+    while (remaining.length > 0) {
+      const total = remaining.reduce((sum, target) => sum + target.weight, 0);
+      let pick = this.random() * total;
+      let index = remaining.findIndex(target => (pick -= target.weight) < 0);
+      if (index === -1) index = remaining.length - 1;
+      ordered.push(remaining.splice(index, 1)[0].model);
+    }
+    return ordered;
+  }
+}
+
+module.exports = ModelRouter;
+module.exports.ROUTING_STRATEGIES = ROUTING_STRATEGIES;
+module.exports.normalizeRouting = normalizeRouting;
@@ -7,14 +7,56 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const dotenv = require('dotenv');
 const cookieParser = require('cookie-parser');
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 
 // OAuth & Authentication
 const GitHubAuthManager = require('./auth.js');
 const GitHubDeviceAuthManager = require('./device-auth.js');
 const UserManager = require('./users.js');
+const ApiKeyManager = require('./api-keys.js');
+const UsageLedger = require('./usage-ledger.js');
+const ResponseCache = require('./response-cache.js');
+const { SharedResponseCache } = require('./response-cache.js');
+const { createStateStore } = require('./state-store.js');
+const SemanticCache = require('./semantic-cache.js');
+const { parseModelThresholds } = require('./semantic-cache.js');
+const { ChatStreamAssembler, completionToChunks } = require('./chat-stream.js');
+const CircuitBreakerRegistry = require('./circuit-breaker.js');
+const ModelRouter = require('./model-routing.js');
+const { normalizeRouting } = require('./model-routing.js');
+const { hedgeRequest } = require('./hedge-request.js');
+const { UpstreamTimer, UpstreamTimeoutError, createConnectAgent, normalizeTimeouts } = require('./upstream-timeout.js');
+const KeyPool = require('./key-pool.js');
+const { parseRateLimitHeaders } = require('./key-pool.js');
 const { createAuthMiddleware, optionalAuthMiddleware } = require('./middleware.js');
 const registerDeviceFlowRoutes = require('./device-flow-routes.js');
+const {
+  validateAnthropicRequest,
+  convertAnthropicRequest,
+  convertToAnthropicResponse,
+  streamAnthropicEvents,
+  createAnthropicError
+} = require('./anthropic-adapter.js');
+const {
+  ResponseStore,
+  validateResponsesRequest,
+  convertResponsesRequest,
+  buildResponse,
+  streamResponsesEvents,
+  outputToChatMessage
+} = require('./responses-adapter.js');
+const {
+  generateCompletionId,
+  validateCompletionRequest,
+  normalizePrompts,
+  convertPromptToMessages,
+  createTextCompletion,
+  createTextCompletionChunk
+} = require('./completions-adapter.js');
+const { createConfigStore } = require('./config-store.js');
+const SecretStore = require('./secret-store.js');
 
 // Dynamic import for ES module
 let createOpencodeClient;
@@ -66,6 +108,26 @@ const githubAuth = new GitHubAuthManager({
   jwtSecret: process.env.JWT_SECRET || 'default-secret-key'
 });
 const userManager = new UserManager('./users-db.json');
+const apiKeyManager = new ApiKeyManager(process.env.API_KEYS_DB_PATH || './api-keys-db.json', { logger });
+// REQUIRE_API_KEY: true - endpointy /v1/* zawsze wymagają klucza sk-gw-... wydanego przez gateway,
+// false - dopuszczalne są też inne klucze, auto (domyślnie) - klucz wymagany, gdy wydano choć jeden klucz gateway
+// (inaczej unieważniony lub wyczerpany klucz dałoby się obejść, po prostu go pomijając)
+const REQUIRE_API_KEY = ['true', 'false'].includes(process.env.REQUIRE_API_KEY) ? process.env.REQUIRE_API_KEY : 'auto';
+
+function isApiKeyRequired() {
+  if (REQUIRE_API_KEY === 'auto') {
+    return apiKeyManager.hasKeys();
+  }
+  return REQUIRE_API_KEY === 'true';
+}
+const usageLedger = new UsageLedger(process.env.USAGE_LEDGER_PATH || './usage-ledger.jsonl', { logger });
+// Stan współdzielony przez instancje gateway: cache odpowiedzi, limity zapytań, sesje OpenCode
+const stateStore = createStateStore({
+  type: process.env.STATE_STORE || 'memory',
+  url: process.env.REDIS_URL,
+  prefix: process.env.STATE_STORE_PREFIX || 'portatel:',
+  commandTimeout: parseInt(process.env.REDIS_COMMAND_TIMEOUT || '2000', 10)
+});
 const deviceAuth = new GitHubDeviceAuthManager(
   process.env.GITHUB_CLIENT_ID,
   process.env.GITHUB_CLIENT_SECRET
@@ -78,63 +140,44 @@ const RATE_LIMIT_WINDOW = parseInt(process.env.RATE_LIMIT_WINDOW || '60000', 10)
 const RATE_LIMIT_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100', 10); // requests per window
 
 class RateLimiter {
-  constructor(window = RATE_LIMIT_WINDOW, maxRequests = RATE_LIMIT_MAX_REQUESTS) {
+  constructor(store, window = RATE_LIMIT_WINDOW, maxRequests = RATE_LIMIT_MAX_REQUESTS) {
+    this.store = store;
     this.window = window;
     this.maxRequests = maxRequests;
-    this.buckets = new Map(); // { apiKey: { tokens, lastRefill } }
-    this.cleanupInterval = setInterval(() => this.cleanup(), 60000); // Cleanup every minute
   }
 
-  isAllowed(apiKey = 'default') {
-    const now = Date.now();
-    const bucket = this.buckets.get(apiKey) || { tokens: this.maxRequests, lastRefill: now };
-    
-    // Refill tokens based on elapsed time
-    const elapsed = now - bucket.lastRefill;
-    const refillRate = this.maxRequests / this.window;
-    const tokensToAdd = (elapsed * refillRate) / 1000;
-    bucket.tokens = Math.min(this.maxRequests, bucket.tokens + tokensToAdd);
-    bucket.lastRefill = now;
-    
-    if (bucket.tokens >= 1) {
-      bucket.tokens -= 1;
-      this.buckets.set(apiKey, bucket);
-      return { allowed: true, remaining: Math.floor(bucket.tokens), resetAt: now + (this.window / refillRate / 1000) };
-    }
-    
-    return { allowed: false, remaining: 0, resetAt: bucket.lastRefill + this.window };
+  // Kubełki są trzymane w magazynie stanu pod skrótem klucza - nie pod samym kluczem
+  bucketKey(apiKey) {
+    return `ratelimit:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 32)}`;
   }
 
-  cleanup() {
-    const now = Date.now();
-    for (const [apiKey, bucket] of this.buckets.entries()) {
-      if (now - bucket.lastRefill > this.window * 2) {
-        this.buckets.delete(apiKey);
-      }
-    }
+  async isAllowed(apiKey = 'default') {
+    return this.store.consumeToken(this.bucketKey(apiKey), this.maxRequests, this.window);
   }
 
   stats() {
     return {
-      activeBuckets: this.buckets.size,
+      store: this.store.type,
       window: this.window,
-      maxRequests: this.maxRequests,
-      bucketsData: Array.from(this.buckets.entries()).map(([apiKey, bucket]) => ({
-        apiKey: apiKey === 'default' ? 'default' : `${apiKey.substring(0, 8)}...`,
-        tokens: Math.floor(bucket.tokens),
-        lastRefill: bucket.lastRefill
-      }))
+      maxRequests: this.maxRequests
     };
   }
-
-  destroy() {
-    clearInterval(this.cleanupInterval);
-  }
 }
 
-const rateLimiter = new RateLimiter();
+const rateLimiter = new RateLimiter(stateStore);
 logger.info('RateLimiter', 'Initialized', { window: RATE_LIMIT_WINDOW, maxRequests: RATE_LIMIT_MAX_REQUESTS });
 
+// Statystyki modeli dla strategii routingu: mediana z ostatnich próbek, błędy z ostatnich 5 minut
+const MODEL_LATENCY_SAMPLES = 100;
+const MODEL_ERROR_WINDOW_MS = 5 * 60 * 1000;
+// Nazwy modeli providerów niestandardowych pochodzą od klientów - statystyki najdawniej używanych modeli są usuwane
+const MODEL_STATS_MAX_ENTRIES = 1000;
+
+// Wartość etykiety Prometheus - nazwy modeli mogą pochodzić wprost od klientów
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
 // Prometheus Metrics System
 class PrometheusMetrics {
   constructor() {
@@ -151,10 +194,32 @@ class PrometheusMetrics {
       geminiRequestErrors: 0,
       rateLimitHits: 0,
       validationErrors: 0,
-      activeSessions: 0,
-      responseCache: { hits: 0, misses: 0 }
+      hedgedRequests: { primary: 0, hedge: 0 },
+      activeSessions: 0
     };
+    this.modelStats = new Map(); // { model: { provider, requests, errors, latencies: [], errorTimes: [] } }
     this.startTime = Date.now();
+    this.responseCache = null;
+    this.semanticCache = null;
+    this.circuitBreakers = null;
+    this.keyPool = null;
+  }
+
+  // Liczniki cache'a są prowadzone przez sam ResponseCache
+  setResponseCache(cache) {
+    this.responseCache = cache;
+  }
+
+  setSemanticCache(cache) {
+    this.semanticCache = cache;
+  }
+
+  setCircuitBreakers(registry) {
+    this.circuitBreakers = registry;
+  }
+
+  setKeyPool(pool) {
+    this.keyPool = pool;
   }
 
   recordRequest(endpoint, method, duration) {
@@ -187,6 +252,52 @@ class PrometheusMetrics {
     }
   }
 
+  // Wynik wywołania modelu (jeden krok trasy) - podstawa strategii routingu latency i least-errors
+  recordModelCall(provider, model, latencyMs, error = false) {
+    // Map zachowuje kolejność wstawiania - ostatnio używany model trafia na koniec
+    const stats = this.modelStats.get(model) || { provider, requests: 0, errors: 0, latencies: [], errorTimes: [] };
+    this.modelStats.delete(model);
+    if (this.modelStats.size >= MODEL_STATS_MAX_ENTRIES) {
+      this.modelStats.delete(this.modelStats.keys().next().value);
+    }
+    this.modelStats.set(model, stats);
+    stats.provider = provider;
+    stats.requests += 1;
+    if (error) {
+      stats.errors += 1;
+      stats.errorTimes.push(Date.now());
+      if (stats.errorTimes.length > 100) stats.errorTimes.shift();
+    } else {
+      stats.latencies.push(latencyMs);
+      if (stats.latencies.length > MODEL_LATENCY_SAMPLES) stats.latencies.shift();
+    }
+  }
+
+  getModelStats(model) {
+    const stats = this.modelStats.get(model);
+    if (!stats) {
+      return { provider: null, requests: 0, errors: 0, recentErrors: 0, p50LatencyMs: null };
+    }
+    const sorted = [...stats.latencies].sort((a, b) => a - b);
+    const since = Date.now() - MODEL_ERROR_WINDOW_MS;
+    return {
+      provider: stats.provider,
+      requests: stats.requests,
+      errors: stats.errors,
+      recentErrors: stats.errorTimes.filter(time => time >= since).length,
+      p50LatencyMs: sorted.length > 0 ? sorted[Math.floor((sorted.length - 1) / 2)] : null
+    };
+  }
+
+  getAllModelStats() {
+    return Object.fromEntries(Array.from(this.modelStats.keys()).map(model => [model, this.getModelStats(model)]));
+  }
+
+  // Zapytanie z uruchomionym hedgingiem - winner: 'primary' lub 'hedge'
+  recordHedgedRequest(winner) {
+    this.metrics.hedgedRequests[winner] += 1;
+  }
+
   recordRateLimitHit() {
     this.metrics.rateLimitHits += 1;
   }
@@ -213,7 +324,7 @@ class PrometheusMetrics {
     lines.push('# TYPE portatel_http_requests_total counter');
     for (const [endpoint, methods] of this.metrics.httpRequestsTotal.entries()) {
       for (const [method, count] of Object.entries(methods)) {
-        lines.push(`portatel_http_requests_total{endpoint="${endpoint}",method="${method}"} ${count}`);
+        lines.push(`portatel_http_requests_total{endpoint="${escapeLabelValue(endpoint)}",method="${escapeLabelValue(method)}"} ${count}`);
       }
     }
     lines.push('');
@@ -242,6 +353,113 @@ class PrometheusMetrics {
     }
     lines.push('');
 
+    if (this.responseCache) {
+      const cacheStats = this.responseCache.getStats();
+      lines.push('# HELP portatel_response_cache_requests_total Response cache lookups');
+      lines.push('# TYPE portatel_response_cache_requests_total counter');
+      lines.push(`portatel_response_cache_requests_total{result="hit"} ${cacheStats.hits}`);
+      lines.push(`portatel_response_cache_requests_total{result="miss"} ${cacheStats.misses}`);
+      lines.push('# HELP portatel_response_cache_evictions_total Entries evicted by the LRU limits');
+      lines.push('# TYPE portatel_response_cache_evictions_total counter');
+      lines.push(`portatel_response_cache_evictions_total ${cacheStats.evictions}`);
+      lines.push('# HELP portatel_response_cache_expirations_total Entries removed after TTL');
+      lines.push('# TYPE portatel_response_cache_expirations_total counter');
+      lines.push(`portatel_response_cache_expirations_total ${cacheStats.expirations}`);
+      // Rozmiar wspólnego cache'a (Redis) zna tylko magazyn stanu
+      if (cacheStats.entries !== null) {
+        lines.push('# HELP portatel_response_cache_entries Cached responses');
+        lines.push('# TYPE portatel_response_cache_entries gauge');
+        lines.push(`portatel_response_cache_entries ${cacheStats.entries}`);
+        lines.push('# HELP portatel_response_cache_bytes Approximate cache size in bytes');
+        lines.push('# TYPE portatel_response_cache_bytes gauge');
+        lines.push(`portatel_response_cache_bytes ${cacheStats.bytes}`);
+      }
+      lines.push('');
+    }
+
+    if (this.semanticCache) {
+      const semanticStats = this.semanticCache.getStats();
+      lines.push('# HELP portatel_semantic_cache_requests_total Semantic cache lookups');
+      lines.push('# TYPE portatel_semantic_cache_requests_total counter');
+      lines.push(`portatel_semantic_cache_requests_total{result="hit"} ${semanticStats.hits}`);
+      lines.push(`portatel_semantic_cache_requests_total{result="miss"} ${semanticStats.misses}`);
+      lines.push('# HELP portatel_semantic_cache_entries Cached prompt embeddings');
+      lines.push('# TYPE portatel_semantic_cache_entries gauge');
+      lines.push(`portatel_semantic_cache_entries ${semanticStats.entries}`);
+      lines.push('');
+    }
+
+    if (this.modelStats.size > 0) {
+      const modelStats = this.getAllModelStats();
+      lines.push('# HELP portatel_model_requests_total Calls per target model (each fallback step counts)');
+      lines.push('# TYPE portatel_model_requests_total counter');
+      for (const [model, stats] of Object.entries(modelStats)) {
+        lines.push(`portatel_model_requests_total{provider="${escapeLabelValue(stats.provider)}",model="${escapeLabelValue(model)}"} ${stats.requests}`);
+      }
+      lines.push('# HELP portatel_model_errors_total Failed calls per target model');
+      lines.push('# TYPE portatel_model_errors_total counter');
+      for (const [model, stats] of Object.entries(modelStats)) {
+        lines.push(`portatel_model_errors_total{provider="${escapeLabelValue(stats.provider)}",model="${escapeLabelValue(model)}"} ${stats.errors}`);
+      }
+      lines.push('# HELP portatel_model_latency_p50_seconds Median latency of recent successful calls');
+      lines.push('# TYPE portatel_model_latency_p50_seconds gauge');
+      for (const [model, stats] of Object.entries(modelStats)) {
+        if (stats.p50LatencyMs !== null) {
+          lines.push(`portatel_model_latency_p50_seconds{provider="${escapeLabelValue(stats.provider)}",model="${escapeLabelValue(model)}"} ${stats.p50LatencyMs / 1000}`);
+        }
+      }
+      lines.push('');
+    }
+
+    if (this.circuitBreakers) {
+      const circuits = this.circuitBreakers.list();
+      const stateValues = { closed: 0, 'half-open': 1, open: 2 };
+      lines.push('# HELP portatel_circuit_breaker_state Circuit state (0 closed, 1 half-open, 2 open)');
+      lines.push('# TYPE portatel_circuit_breaker_state gauge');
+      for (const circuit of circuits) {
+        lines.push(`portatel_circuit_breaker_state{provider="${escapeLabelValue(circuit.provider)}",model="${escapeLabelValue(circuit.model || '')}"} ${stateValues[circuit.state]}`);
+      }
+      lines.push('# HELP portatel_circuit_breaker_opened_total Times the circuit opened');
+      lines.push('# TYPE portatel_circuit_breaker_opened_total counter');
+      for (const circuit of circuits) {
+        lines.push(`portatel_circuit_breaker_opened_total{provider="${escapeLabelValue(circuit.provider)}",model="${escapeLabelValue(circuit.model || '')}"} ${circuit.opened}`);
+      }
+      lines.push('# HELP portatel_circuit_breaker_rejected_total Requests rejected by an open circuit');
+      lines.push('# TYPE portatel_circuit_breaker_rejected_total counter');
+      for (const circuit of circuits) {
+        lines.push(`portatel_circuit_breaker_rejected_total{provider="${escapeLabelValue(circuit.provider)}",model="${escapeLabelValue(circuit.model || '')}"} ${circuit.rejected}`);
+      }
+      lines.push('');
+    }
+
+    if (this.keyPool) {
+      const parkedByProvider = {};
+      for (const entry of this.keyPool.list()) {
+        parkedByProvider[entry.provider] = (parkedByProvider[entry.provider] || 0) + 1;
+      }
+      lines.push('# HELP portatel_provider_keys_parked API keys parked after a provider rate limit');
+      lines.push('# TYPE portatel_provider_keys_parked gauge');
+      for (const [provider, count] of Object.entries(parkedByProvider)) {
+        lines.push(`portatel_provider_keys_parked{provider="${provider}"} ${count}`);
+      }
+      const quarantinedByProvider = {};
+      for (const entry of this.keyPool.quarantined()) {
+        quarantinedByProvider[entry.provider] = (quarantinedByProvider[entry.provider] || 0) + 1;
+      }
+      lines.push('# HELP portatel_provider_keys_quarantined API keys quarantined after the provider rejected them, until re-validation');
+      lines.push('# TYPE portatel_provider_keys_quarantined gauge');
+      for (const [provider, count] of Object.entries(quarantinedByProvider)) {
+        lines.push(`portatel_provider_keys_quarantined{provider="${provider}"} ${count}`);
+      }
+      lines.push('');
+    }
+
+    lines.push('# HELP portatel_hedged_requests_total Requests where a hedge was sent, by the target that answered first');
+    lines.push('# TYPE portatel_hedged_requests_total counter');
+    lines.push(`portatel_hedged_requests_total{winner="primary"} ${this.metrics.hedgedRequests.primary}`);
+    lines.push(`portatel_hedged_requests_total{winner="hedge"} ${this.metrics.hedgedRequests.hedge}`);
+    lines.push('');
+
     lines.push('# HELP portatel_rate_limit_hits Rate limit violations');
     lines.push('# TYPE portatel_rate_limit_hits counter');
     lines.push(`portatel_rate_limit_hits ${this.metrics.rateLimitHits}`);
@@ -260,9 +478,9 @@ class PrometheusMetrics {
           const avg = durations.reduce((a, b) => a + b, 0) / durations.length;
           const max = Math.max(...durations);
           const p95 = durations.sort((a, b) => a - b)[Math.floor(durations.length * 0.95)] || 0;
-          lines.push(`portatel_http_request_duration_seconds_sum{endpoint="${endpoint}"} ${avg}`);
-          lines.push(`portatel_http_request_duration_seconds_max{endpoint="${endpoint}"} ${max}`);
-          lines.push(`portatel_http_request_duration_seconds{endpoint="${endpoint}",le="p95"} ${p95}`);
+          lines.push(`portatel_http_request_duration_seconds_sum{endpoint="${escapeLabelValue(endpoint)}"} ${avg}`);
+          lines.push(`portatel_http_request_duration_seconds_max{endpoint="${escapeLabelValue(endpoint)}"} ${max}`);
+          lines.push(`portatel_http_request_duration_seconds{endpoint="${escapeLabelValue(endpoint)}",le="p95"} ${p95}`);
         }
       }
     }
@@ -286,9 +504,10 @@ class PrometheusMetrics {
       geminiRequestErrors: 0,
       rateLimitHits: 0,
       validationErrors: 0,
-      activeSessions: 0,
-      responseCache: { hits: 0, misses: 0 }
+      hedgedRequests: { primary: 0, hedge: 0 },
+      activeSessions: 0
     };
+    this.modelStats = new Map(); // { model: { provider, requests, errors, latencies: [], errorTimes: [] } }
     this.startTime = Date.now();
   }
 }
@@ -336,10 +555,10 @@ initializeOpencodeClient().catch(error => {
 });
 
 // OpenCode Session Management System
+// Sesje i historia wiadomości żyją w magazynie stanu; wygasają przez TTL magazynu
 class SessionManager {
-  constructor(ttl = 3600000) {
-    this.sessions = new Map();
-    this.messageHistory = new Map();
+  constructor(store, ttl = 3600000) {
+    this.store = store;
     this.sessionTTL = ttl;
   }
 
@@ -351,125 +570,138 @@ class SessionManager {
     const sessionId = this.generateSessionId();
     const timestamp = Date.now();
     
-    this.sessions.set(sessionId, {
+    await this.store.set(`session:${sessionId}`, {
       id: sessionId,
       created: timestamp,
       lastActivity: timestamp,
       status: 'active'
-    });
+    }, this.sessionTTL);
 
-    this.messageHistory.set(sessionId, []);
     logger.debug('SESSION', 'Session created', { sessionId, createdAt: new Date(timestamp).toISOString() });
     
     return sessionId;
   }
 
-  getSession(sessionId) {
-    return this.sessions.get(sessionId);
+  async getSession(sessionId) {
+    return this.store.get(`session:${sessionId}`);
   }
 
-  updateSessionActivity(sessionId) {
-    const session = this.sessions.get(sessionId);
+  async updateSessionActivity(sessionId) {
+    const session = await this.getSession(sessionId);
     if (session) {
       session.lastActivity = Date.now();
+      await this.store.set(`session:${sessionId}`, session, this.sessionTTL);
+      await this.store.expire(`session-messages:${sessionId}`, this.sessionTTL);
     }
   }
 
-  getMessageHistory(sessionId) {
-    const history = this.messageHistory.get(sessionId) || [];
+  async getMessageHistory(sessionId) {
+    const history = await this.store.range(`session-messages:${sessionId}`);
     logger.debug('SESSION', 'Message history retrieved', { sessionId, count: history.length });
     return history;
   }
 
-  addMessage(sessionId, role, content) {
-    if (!this.messageHistory.has(sessionId)) {
-      this.messageHistory.set(sessionId, []);
-    }
-    
-    const history = this.messageHistory.get(sessionId);
-    history.push({
+  async addMessage(sessionId, role, content) {
+    const totalMessages = await this.store.append(`session-messages:${sessionId}`, {
       role,
       content,
       timestamp: Date.now()
-    });
+    }, this.sessionTTL);
 
-    logger.debug('SESSION', 'Message added to history', { sessionId, role, contentLength: content.length, totalMessages: history.length });
-    this.updateSessionActivity(sessionId);
-    return history;
+    logger.debug('SESSION', 'Message added to history', { sessionId, role, contentLength: content.length, totalMessages });
+    await this.updateSessionActivity(sessionId);
+    return totalMessages;
   }
 
-  closeSession(sessionId) {
-    const session = this.sessions.get(sessionId);
+  async closeSession(sessionId) {
+    const session = await this.getSession(sessionId);
     if (session) {
       session.status = 'closed';
+      await this.store.set(`session:${sessionId}`, session, this.sessionTTL);
       logger.debug('SESSION', 'Session closed', { sessionId });
     }
   }
 
-  deleteSession(sessionId) {
-    this.sessions.delete(sessionId);
-    this.messageHistory.delete(sessionId);
+  async deleteSession(sessionId) {
+    await this.store.delete(`session:${sessionId}`);
+    await this.store.delete(`session-messages:${sessionId}`);
     logger.debug('SESSION', 'Session deleted', { sessionId });
   }
 
-  cleanupExpiredSessions() {
-    const now = Date.now();
-    let cleaned = 0;
-
-    for (const [sessionId, session] of this.sessions.entries()) {
-      if (now - session.lastActivity > this.sessionTTL) {
-        this.deleteSession(sessionId);
-        cleaned++;
-      }
-    }
-
-    if (cleaned > 0) {
-      logger.info('SESSION', 'Expired sessions cleaned up', { count: cleaned, totalActive: this.sessions.size });
-    }
-    
-    return cleaned;
-  }
-
-  getAllSessions() {
-    return Array.from(this.sessions.values()).map(session => ({
+  async getAllSessions() {
+    const keys = await this.store.keys('session:');
+    const sessions = await Promise.all(keys.map(key => this.store.get(key)));
+    return Promise.all(sessions.filter(Boolean).map(async session => ({
       ...session,
-      messagesCount: (this.messageHistory.get(session.id) || []).length
-    }));
+      messagesCount: (await this.store.range(`session-messages:${session.id}`)).length
+    })));
   }
 
-  getSessionStats() {
-    const sessions = this.getAllSessions();
+  async getSessionStats() {
+    const sessions = await this.getAllSessions();
     return {
       totalSessions: sessions.length,
       activeSessions: sessions.filter(s => s.status === 'active').length,
       closedSessions: sessions.filter(s => s.status === 'closed').length,
-      totalMessages: Array.from(this.messageHistory.values()).reduce((sum, msgs) => sum + msgs.length, 0)
+      totalMessages: sessions.reduce((sum, session) => sum + session.messagesCount, 0)
     };
   }
 }
 
-const sessionManager = new SessionManager(parseInt(process.env.SESSION_TTL || '3600000', 10));
-
-// Cleanup expired sessions every 5 minutes
-setInterval(() => {
-  sessionManager.cleanupExpiredSessions();
-}, 300000);
+const sessionManager = new SessionManager(stateStore, parseInt(process.env.SESSION_TTL || '3600000', 10));
 
 const app = express();
 const PORT = process.env.PORT || 8787;
 const MAX_RETRIES = parseInt(process.env.MAX_RETRIES || '3', 10);
 const RETRY_DELAY = parseInt(process.env.RETRY_DELAY || '1000', 10);
+
+// Circuit breaker per provider i model - CIRCUIT_BREAKER_THRESHOLD kolejnych błędów otwiera obwód
+const CIRCUIT_BREAKER_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD || '5', 10);
+const CIRCUIT_BREAKER_RESET_TIMEOUT = parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT || '30000', 10);
+const circuitBreakers = new CircuitBreakerRegistry({
+  failureThreshold: CIRCUIT_BREAKER_THRESHOLD,
+  resetTimeout: CIRCUIT_BREAKER_RESET_TIMEOUT
+});
+metrics.setCircuitBreakers(circuitBreakers);
+
+// Limity czasu zapytań do providerów (ms, 0 = bez limitu): UPSTREAM_* domyślnie, <PROVIDER>_* nadpisują (np. GEMINI_FIRST_BYTE_TIMEOUT)
+function readTimeoutsFromEnv(prefix, defaults) {
+  const read = (name, fallback) => (process.env[prefix + name] !== undefined ? parseInt(process.env[prefix + name], 10) : fallback);
+  return {
+    connect: read('CONNECT_TIMEOUT', defaults.connect),
+    firstByte: read('FIRST_BYTE_TIMEOUT', defaults.firstByte),
+    total: read('TOTAL_TIMEOUT', defaults.total)
+  };
+}
+const UPSTREAM_TIMEOUTS = readTimeoutsFromEnv('UPSTREAM_', { connect: 10000, firstByte: 120000, total: 600000 });
+const PROVIDER_TIMEOUTS = {
+  openrouter: readTimeoutsFromEnv('OPENROUTER_', UPSTREAM_TIMEOUTS),
+  gemini: readTimeoutsFromEnv('GEMINI_', UPSTREAM_TIMEOUTS),
+  opencode: readTimeoutsFromEnv('OPENCODE_', UPSTREAM_TIMEOUTS)
+};
+
+// Hedging /v1/chat/completions: bez pierwszego bajtu po HEDGE_DELAY ms to samo zapytanie idzie do kolejnego kroku trasy (0 = wyłączone)
+const HEDGE_DELAY = parseInt(process.env.HEDGE_DELAY || '0', 10);
 const CACHE_TTL = parseInt(process.env.CACHE_TTL || '3600000', 10);
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || '1000', 10);
+const CACHE_MAX_BYTES = parseInt(process.env.CACHE_MAX_BYTES || String(50 * 1024 * 1024), 10);
 
 // Konfiguracja middleware
 app.use(cors());
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: '10mb' })); // obrazy base64 w treści wiadomości
 app.use(cookieParser());
 
 // Rate Limiting Middleware
-app.use((req, res, next) => {
+app.use(async (req, res, next) => {
   const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '') || 'default';
-  const rateLimitCheck = rateLimiter.isAllowed(apiKey);
+  let rateLimitCheck;
+  try {
+    rateLimitCheck = await rateLimiter.isAllowed(apiKey);
+  } catch (error) {
+    // Niedostępny magazyn stanu nie blokuje ruchu
+    logger.warn('RateLimiter', 'State store unavailable, skipping rate limit', { error: error.message });
+    return next();
+  }
   
   res.setHeader('X-RateLimit-Limit', rateLimiter.maxRequests);
   res.setHeader('X-RateLimit-Remaining', rateLimitCheck.remaining);
@@ -490,6 +722,60 @@ app.use((req, res, next) => {
   next();
 });
 
+// Endpointy modeli objęte kluczami API gateway
+const API_KEY_PROTECTED_PATHS = ['/v1/chat/completions', '/v1/completions', '/v1/messages', '/v1/responses', '/v1/embeddings'];
+
+function sendApiKeyError(req, res, error) {
+  // Klienci Anthropic SDK oczekują błędów w formacie Anthropic
+  if (req.path === '/v1/messages') {
+    return res.status(error.statusCode).json(createAnthropicError(error.statusCode, error.message));
+  }
+  res.status(error.statusCode).json({
+    error: {
+      message: error.message,
+      type: error.type,
+      param: null,
+      code: error.code
+    }
+  });
+}
+
+// Gateway API Key Middleware - weryfikacja kluczy sk-gw-... przed routingiem
+app.use((req, res, next) => {
+  if (!API_KEY_PROTECTED_PATHS.some(path => req.path.startsWith(path))) {
+    return next();
+  }
+  
+  const presentedKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+  
+  // Klucze spoza gateway są dopuszczalne tylko gdy klucz gateway nie jest wymagany (patrz REQUIRE_API_KEY)
+  if (!ApiKeyManager.isGatewayKey(presentedKey)) {
+    if (!isApiKeyRequired()) {
+      return next();
+    }
+    const message = presentedKey
+      ? 'Incorrect API key provided. Use a gateway-issued sk-gw-... key.'
+      : 'You didn\'t provide an API key. Send a gateway-issued key in the Authorization header (Bearer sk-gw-...) or x-api-key.';
+    return sendApiKeyError(req, res, new ApiKeyManager.ApiKeyError(message, presentedKey ? 'invalid_api_key' : 'missing_api_key', 401, 'authentication_error'));
+  }
+  
+  try {
+    const keyRecord = apiKeyManager.authenticate(presentedKey);
+    // Odczyt/usuwanie zapisanych odpowiedzi nie zużywa limitów klucza
+    if (req.method === 'POST') {
+      apiKeyManager.authorizeRequest(keyRecord, req.body?.model);
+    }
+    req.apiKey = keyRecord;
+    next();
+  } catch (error) {
+    if (!(error instanceof ApiKeyManager.ApiKeyError)) {
+      return next(error);
+    }
+    logger.warn('ApiKeys', 'Request rejected', { code: error.code, path: req.path });
+    sendApiKeyError(req, res, error);
+  }
+});
+
 // Metrics Recording Middleware
 app.use((req, res, next) => {
   const startTime = Date.now();
@@ -557,10 +843,10 @@ app.use((req, res, next) => {
     // Validate message format
     for (let i = 0; i < messages.length; i++) {
       const msg = messages[i];
-      if (!msg.role || !['system', 'user', 'assistant'].includes(msg.role)) {
+      if (!msg.role || !['system', 'user', 'assistant', 'tool'].includes(msg.role)) {
         return res.status(400).json({
           error: {
-            message: `messages[${i}].role must be 'system', 'user', or 'assistant'`,
+            message: `messages[${i}].role must be 'system', 'user', 'assistant', or 'tool'`,
             type: 'invalid_request_error',
             param: `messages[${i}].role`,
             code: 'invalid_request'
@@ -568,50 +854,108 @@ app.use((req, res, next) => {
         });
       }
 
-      if (!msg.content || typeof msg.content !== 'string') {
+      // Wiadomość asystenta z tool_calls może mieć content równy null
+      const hasToolCalls = msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0;
+      const contentIsValid = Array.isArray(msg.content)
+        ? msg.content.length > 0
+        : typeof msg.content === 'string' && (msg.content.length > 0 || msg.role === 'tool');
+      if (!contentIsValid && !(hasToolCalls && msg.content == null)) {
         return res.status(400).json({
           error: {
-            message: `messages[${i}].content is required and must be a string`,
+            message: `messages[${i}].content is required and must be a string or an array of content parts`,
             type: 'invalid_request_error',
             param: `messages[${i}].content`,
             code: 'invalid_request'
           }
         });
       }
-    }
 
-    // Validate optional parameters
-    const maxTokens = req.body.max_tokens;
-    if (maxTokens !== undefined && (typeof maxTokens !== 'number' || maxTokens < 1 || maxTokens > 100000)) {
-      return res.status(400).json({
-        error: {
-          message: 'max_tokens must be a number between 1 and 100000',
-          type: 'invalid_request_error',
-          param: 'max_tokens',
-          code: 'invalid_request'
+      if (Array.isArray(msg.content)) {
+        for (let j = 0; j < msg.content.length; j++) {
+          const partError = validateContentPart(msg.content[j], msg.role);
+          if (partError) {
+            return res.status(400).json({
+              error: {
+                message: `messages[${i}].content[${j}] ${partError}`,
+                type: 'invalid_request_error',
+                param: `messages[${i}].content[${j}]`,
+                code: 'invalid_request'
+              }
+            });
+          }
         }
-      });
-    }
+      }
 
-    const temperature = req.body.temperature;
-    if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
-      return res.status(400).json({
-        error: {
-          message: 'temperature must be a number between 0 and 2',
-          type: 'invalid_request_error',
-          param: 'temperature',
-          code: 'invalid_request'
+      if (msg.role === 'tool' && (!msg.tool_call_id || typeof msg.tool_call_id !== 'string')) {
+        return res.status(400).json({
+          error: {
+            message: `messages[${i}].tool_call_id is required for tool messages`,
+            type: 'invalid_request_error',
+            param: `messages[${i}].tool_call_id`,
+            code: 'invalid_request'
+          }
+        });
+      }
+
+      if (msg.tool_calls !== undefined) {
+        const toolCallsValid = msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.every(call =>
+          call && typeof call.id === 'string' && call.type === 'function' &&
+          call.function && typeof call.function.name === 'string'
+        );
+        if (!toolCallsValid) {
+          return res.status(400).json({
+            error: {
+              message: `messages[${i}].tool_calls must be an array of function calls on an assistant message`,
+              type: 'invalid_request_error',
+              param: `messages[${i}].tool_calls`,
+              code: 'invalid_request'
+            }
+          });
         }
-      });
+      }
+    }
+
+    // Validate tools / tool_choice
+    const { tools, tool_choice: toolChoice } = req.body;
+    if (tools !== undefined) {
+      const toolsValid = Array.isArray(tools) && tools.every(tool =>
+        tool && tool.type === 'function' && tool.function && typeof tool.function.name === 'string' && tool.function.name.length > 0
+      );
+      if (!toolsValid) {
+        return res.status(400).json({
+          error: {
+            message: 'tools must be an array of { type: "function", function: { name, description?, parameters? } }',
+            type: 'invalid_request_error',
+            param: 'tools',
+            code: 'invalid_request'
+          }
+        });
+      }
+    }
+
+    if (toolChoice !== undefined) {
+      const toolChoiceValid = ['none', 'auto', 'required'].includes(toolChoice) ||
+        (toolChoice && toolChoice.type === 'function' && typeof toolChoice.function?.name === 'string');
+      if (!toolChoiceValid) {
+        return res.status(400).json({
+          error: {
+            message: 'tool_choice must be "none", "auto", "required" or { type: "function", function: { name } }',
+            type: 'invalid_request_error',
+            param: 'tool_choice',
+            code: 'invalid_request'
+          }
+        });
+      }
     }
 
-    const topP = req.body.top_p;
-    if (topP !== undefined && (typeof topP !== 'number' || topP < 0 || topP > 1)) {
+    // Validate optional parameters
+    const samplingError = validateSamplingParams(req.body);
+    if (samplingError) {
       return res.status(400).json({
         error: {
-          message: 'top_p must be a number between 0 and 1',
+          message: samplingError.message,
           type: 'invalid_request_error',
-          param: 'top_p',
+          param: samplingError.param,
           code: 'invalid_request'
         }
       });
@@ -621,6 +965,66 @@ app.use((req, res, next) => {
   next();
 });
 
+// Walidacja zakresów max_tokens / temperature / top_p - wspólna dla /v1/chat/completions i endpointów emulujących inne API
+function validateSamplingParams(body, maxTokensParam = 'max_tokens') {
+  const { max_tokens: maxTokens, temperature, top_p: topP } = body;
+  if (maxTokens !== undefined && (typeof maxTokens !== 'number' || maxTokens < 1 || maxTokens > 100000)) {
+    return { message: `${maxTokensParam} must be a number between 1 and 100000`, param: maxTokensParam };
+  }
+  if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+    return { message: 'temperature must be a number between 0 and 2', param: 'temperature' };
+  }
+  if (topP !== undefined && (typeof topP !== 'number' || topP < 0 || topP > 1)) {
+    return { message: 'top_p must be a number between 0 and 1', param: 'top_p' };
+  }
+  return null;
+}
+
+// Walidacja pojedynczej części treści wiadomości (format OpenAI: text / image_url)
+function validateContentPart(part, role) {
+  if (!part || typeof part !== 'object') {
+    return 'must be an object';
+  }
+  if (part.type === 'text') {
+    return typeof part.text === 'string' ? null : 'text must be a string';
+  }
+  if (part.type === 'image_url') {
+    if (role !== 'user') {
+      return 'image_url parts are only allowed in user messages';
+    }
+    const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+    return typeof url === 'string' && url.length > 0 ? null : 'image_url.url must be a non-empty string';
+  }
+  return `has unsupported type '${part.type}' (expected 'text' or 'image_url')`;
+}
+
+// Tekst wiadomości niezależnie od formatu content (string lub tablica części)
+function getMessageText(content) {
+  if (Array.isArray(content)) {
+    return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+  }
+  return content || '';
+}
+
+function hasImageContent(messages) {
+  return messages.some(msg => Array.isArray(msg.content) && msg.content.some(part => part.type === 'image_url'));
+}
+
+// Gemini nie pobiera obrazów z dowolnych adresów - przyjmuje data URL lub plik wgrany przez Gemini Files API
+const GEMINI_FILE_URI_PREFIX = 'https://generativelanguage.googleapis.com/';
+
+function isGeminiImageUrl(url) {
+  return url.startsWith('data:') || url.startsWith(GEMINI_FILE_URI_PREFIX);
+}
+
+function getImageUrl(imageUrl) {
+  return (typeof imageUrl === 'string' ? imageUrl : imageUrl?.url) || '';
+}
+
+function hasRemoteImageUrl(messages) {
+  return messages.some(msg => Array.isArray(msg.content) && msg.content.some(part => part.type === 'image_url' && !isGeminiImageUrl(getImageUrl(part.image_url))));
+}
+
 const MODEL_MAPPING = {
   // Standard GPT models -> Mistral/DeepSeek
   'gpt-3.5-turbo': 'deepseek/deepseek-r1-0528:free',
@@ -640,7 +1044,9 @@ const MODEL_MAPPING = {
   
   // Embedding models
   'text-embedding-ada-002': 'mistralai/mistral-embed:free',
-  'text-davinci-003': 'mistralai/mistral-embed:free',
+  
+  // Legacy completion models (/v1/completions)
+  'text-davinci-003': 'qwen/qwen3-next-80b-a3b-instruct:free',
   
   // Vision models -> Qwen Vision
   'gpt-4-vision-preview': 'qwen/qwen3-vl-235b-a22b-thinking:free',
@@ -695,6 +1101,23 @@ const MODEL_PROVIDER = {
   'opencode/minimax-m2.5-free:free': 'opencode',
 };
 
+// Modele docelowe przyjmujące obrazy (image_url) - modele Gemini obsługują je zawsze
+const VISION_MODELS = new Set([
+  'qwen/qwen3-vl-235b-a22b-thinking:free',
+  'qwen/qwen3-vl-30b-a3b-thinking:free',
+  'mistralai/mistral-small-3.1-24b-instruct:free'
+]);
+
+function supportsImageInput(model, provider) {
+  // Możliwości modeli niestandardowych providerów nie są znane - decyduje endpoint providera
+  return provider === 'gemini' || customProviders.has(provider) || VISION_MODELS.has(model);
+}
+
+// Pule modeli dla modeli wirtualnych: { openaiModel: { strategy, targets: [{ model, weight }] } }
+// Model z pulą ignoruje MODEL_MAPPING (tam trafia pierwszy model puli dla /v1/models)
+const MODEL_ROUTING = {};
+const modelRouter = new ModelRouter();
+
 // Mapowanie fallbacków dla modeli (gdy główny model jest niedostępny)
 const FALLBACK_MAPPING = {
   // DeepSeek fallbacks
@@ -728,22 +1151,74 @@ const FALLBACK_MAPPING = {
   'opencode/minimax-m2.5-free:free': 'deepseek/deepseek-r1-0528:free'
 };
 
-// Konfiguracja cache'a dla odpowiedzi
-const responseCache = new Map();
+// Konfiguracja cache'a dla odpowiedzi (LRU z limitem wpisów i rozmiaru, przy STATE_STORE=redis wspólny dla instancji)
+const responseCache = stateStore.type === 'memory'
+  ? new ResponseCache({ ttl: CACHE_TTL, maxEntries: CACHE_MAX_ENTRIES, maxBytes: CACHE_MAX_BYTES })
+  : new SharedResponseCache(stateStore, { ttl: CACHE_TTL, maxBytes: CACHE_MAX_BYTES });
+metrics.setResponseCache(responseCache);
+
+// Błąd wspólnego cache'a (np. niedostępny Redis) nie przerywa zapytania
+async function readResponseCache(cacheKey) {
+  try {
+    return await responseCache.get(cacheKey);
+  } catch (error) {
+    logger.warn('CACHE', 'Response cache read failed', { error: error.message });
+    return undefined;
+  }
+}
+
+async function writeResponseCache(cacheKey, value) {
+  try {
+    await responseCache.set(cacheKey, value);
+  } catch (error) {
+    logger.warn('CACHE', 'Response cache write failed', { error: error.message });
+  }
+}
+
+// Semantyczny cache (SEMANTIC_CACHE=true) - podobne ostatnie pytanie użytkownika zwraca zapisaną odpowiedź
+const SEMANTIC_CACHE_EMBEDDING_MODEL = process.env.SEMANTIC_CACHE_EMBEDDING_MODEL || 'text-embedding-ada-002';
+const semanticCache = process.env.SEMANTIC_CACHE === 'true'
+  ? new SemanticCache({
+    threshold: parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD || '0.95'),
+    modelThresholds: parseModelThresholds(process.env.SEMANTIC_CACHE_MODEL_THRESHOLDS),
+    ttl: CACHE_TTL,
+    maxEntries: parseInt(process.env.SEMANTIC_CACHE_MAX_ENTRIES || '1000', 10)
+  })
+  : null;
+metrics.setSemanticCache(semanticCache);
+
+// Zapisane odpowiedzi /v1/responses (dla previous_response_id)
+const responseStore = new ResponseStore(
+  parseInt(process.env.RESPONSES_TTL || '3600000', 10),
+  parseInt(process.env.RESPONSES_MAX_ENTRIES || '1000', 10),
+  parseInt(process.env.RESPONSES_MAX_BYTES || String(50 * 1024 * 1024), 10)
+);
 
-// Zarządzanie wieloma kluczami API dla providerów (in-memory storage)
-// UWAGA: Konfiguracja jest przechowywana tylko w pamięci i zostanie zresetowana po restarcie serwera
-// Dla trwałej konfiguracji używaj zmiennych środowiskowych w pliku .env
+// Zarządzanie wieloma kluczami API dla providerów
+// Zmiany z panelu administracyjnego są zapisywane w configStore (patrz loadPersistedConfig)
 const providerApiKeys = {
   openrouter: OPENROUTER_API_KEY ? [OPENROUTER_API_KEY] : [],
   gemini: GEMINI_API_KEY ? [GEMINI_API_KEY] : []
 };
 
-// Indeksy aktualnie używanych kluczy (dla round-robin)
-const providerKeyIndex = {
-  openrouter: 0,
-  gemini: 0
-};
+// Klucze z .env nie są zapisywane w configStore - zapisywane są tylko klucze dodane w panelu
+// oraz skróty (SHA-256) kluczy z .env usuniętych w panelu, aby nie wracały po restarcie
+const envProviderKeys = Object.fromEntries(Object.entries(providerApiKeys).map(([provider, keys]) => [provider, [...keys]]));
+const removedEnvKeys = Object.fromEntries(Object.keys(providerApiKeys).map(provider => [provider, new Set()]));
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function isEnvProviderKey(provider, apiKey) {
+  return envProviderKeys[provider]?.includes(apiKey) || false;
+}
+
+// Round-robin kluczy z odstawianiem kluczy po 429 do czasu resetu limitu (Retry-After / x-ratelimit-*)
+const keyPool = new KeyPool({ defaultParkMs: parseInt(process.env.KEY_PARK_DEFAULT || '10000', 10) });
+metrics.setKeyPool(keyPool);
+// Co ile ms klucze w kwarantannie (odrzucone przez providera) są sprawdzane ponownie (0 = tylko ręczne przywrócenie przez usunięcie i dodanie)
+const KEY_REVALIDATE_INTERVAL = parseInt(process.env.KEY_REVALIDATE_INTERVAL || '600000', 10);
 
 // Konfiguracja niestandardowych providerów
 const customProviders = new Map();
@@ -756,619 +1231,2164 @@ const customProviders = new Map();
 //   modelPrefix: string 
 // }
 
-// Funkcja do generowania klucza cache'a
-function generateCacheKey(model, messages, options) {
-  return JSON.stringify({
-    model,
-    messages,
-    options
-  });
-}
+// Trwała konfiguracja: CONFIG_STORE=json (domyślnie, zapis atomowy) lub sqlite
+const configStore = createConfigStore({
+  type: process.env.CONFIG_STORE || 'json',
+  path: process.env.CONFIG_STORE_PATH
+});
 
-// Funkcja do pobierania klucza API z round-robin
-function getProviderApiKey(providerName) {
-  const keys = providerApiKeys[providerName];
-  if (!keys || keys.length === 0) {
-    return null;
+// Klucze API providerów są zapisywane zaszyfrowane (AES-GCM) kluczem głównym z SECRETS_MASTER_KEY
+// Rotacja: nowy klucz w SECRETS_MASTER_KEY, poprzedni w SECRETS_PREVIOUS_MASTER_KEYS - przy starcie klucze są szyfrowane ponownie
+const secretStore = new SecretStore({
+  masterKey: process.env.SECRETS_MASTER_KEY,
+  previousKeys: (process.env.SECRETS_PREVIOUS_MASTER_KEYS || '').split(',').map(key => key.trim()).filter(Boolean)
+});
+
+// Zastąpienie zawartości obiektu konfiguracji (referencje do MODEL_MAPPING itp. pozostają ważne)
+function replaceObjectContents(target, source) {
+  for (const key of Object.keys(target)) {
+    delete target[key];
   }
-  
-  // Round-robin selection
-  const index = providerKeyIndex[providerName] || 0;
-  const key = keys[index];
-  
-  // Update index for next call
-  providerKeyIndex[providerName] = (index + 1) % keys.length;
-  
-  return key;
+  Object.assign(target, source);
 }
 
-// Opóźnienie wykonania (do mechanizmu retry)
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// Mapowania edytowane w panelu. Zapisywane są tylko różnice względem wartości domyślnych z kodu
+// oraz usunięte wpisy domyślne - wpisy domyślne dodane w nowszych wersjach pojawiają się po aktualizacji
+const CONFIG_MAPPINGS = {
+  modelMapping: MODEL_MAPPING,
+  modelProvider: MODEL_PROVIDER,
+  modelRouting: MODEL_ROUTING,
+  fallbackMapping: FALLBACK_MAPPING
+};
+const CONFIG_MAPPING_DEFAULTS = structuredClone(CONFIG_MAPPINGS);
+
+function getMappingOverrides(name) {
+  const defaults = CONFIG_MAPPING_DEFAULTS[name];
+  return Object.fromEntries(Object.entries(CONFIG_MAPPINGS[name]).filter(([key, value]) => !isDeepStrictEqual(value, defaults[key])));
 }
 
-// Funkcja do konwersji wiadomości OpenAI na format Gemini
-function convertMessagesToGemini(messages) {
-  const history = [];
-  const systemInstructions = [];
-  
-  for (const msg of messages) {
-    if (msg.role === 'system') {
-      systemInstructions.push(msg.content);
-    } else if (msg.role === 'user') {
-      history.push({
-        role: 'user',
-        parts: [{ text: msg.content }]
-      });
-    } else if (msg.role === 'assistant') {
-      history.push({
-        role: 'model',
-        parts: [{ text: msg.content }]
-      });
-    }
-  }
-  
-  return { history, systemInstructions };
+function getRemovedMappingDefaults(name) {
+  return Object.keys(CONFIG_MAPPING_DEFAULTS[name]).filter(key => !Object.hasOwn(CONFIG_MAPPINGS[name], key));
 }
 
-// Funkcja do wykonania zapytania do Google Gemini
-async function fetchGeminiWithRetry(model, messages, options = {}, retries = 0) {
-  if (!geminiClient) {
-    throw new Error('Gemini API client not configured. Set GEMINI_API_KEY in environment variables.');
-  }
-  
-  try {
-    const { history, systemInstructions } = convertMessagesToGemini(messages);
-    
-    // Pobierz ostatnią wiadomość użytkownika jako prompt
-    const lastUserMessage = messages.filter(m => m.role === 'user').pop();
-    if (!lastUserMessage) {
-      throw new Error('No user message found');
-    }
-    
-    // Konfiguracja modelu
-    const modelConfig = {
-      model: model,
-    };
-    
-    if (systemInstructions.length > 0) {
-      modelConfig.systemInstruction = systemInstructions.join('\n\n');
+function getConfigSnapshot() {
+  const encryptKeys = keys => (keys || []).map(key => secretStore.encrypt(key));
+  const mappingNames = Object.keys(CONFIG_MAPPINGS);
+  return {
+    ...Object.fromEntries(mappingNames.map(name => [name, getMappingOverrides(name)])),
+    removedDefaults: Object.fromEntries(mappingNames.map(name => [name, getRemovedMappingDefaults(name)])),
+    providerApiKeys: Object.fromEntries(Object.entries(providerApiKeys).map(([provider, keys]) => [provider, encryptKeys(keys.filter(key => !isEnvProviderKey(provider, key)))])),
+    // Tylko usunięcia kluczy, które nadal są w .env
+    removedEnvKeys: Object.fromEntries(Object.entries(removedEnvKeys).map(([provider, hashes]) => [
+      provider,
+      envProviderKeys[provider].map(hashApiKey).filter(hash => hashes.has(hash))
+    ])),
+    customProviders: Object.fromEntries(Array.from(customProviders, ([name, config]) => [name, { ...config, apiKeys: encryptKeys(config.apiKeys) }]))
+  };
+}
+
+// Wartość klucza z historii konfiguracji, którego nie da się już odszyfrować
+const REDACTED_SECRET = '[redacted]';
+
+// Zapisane klucze API (providerApiKeys i apiKeys providerów niestandardowych) w postaci z configStore
+function getStoredApiKeys(config) {
+  return [
+    ...Object.values(config.providerApiKeys || {}),
+    ...Object.values(config.customProviders || {}).map(providerConfig => providerConfig.apiKeys || [])
+  ].flat();
+}
+
+// Kopia konfiguracji z configStore z kluczami API przekształconymi przez mapKey
+function mapStoredApiKeys(config, mapKey) {
+  const mapKeys = keys => Array.isArray(keys) ? keys.map(mapKey) : keys;
+  return {
+    ...config,
+    ...(config.providerApiKeys && {
+      providerApiKeys: Object.fromEntries(Object.entries(config.providerApiKeys).map(([provider, keys]) => [provider, mapKeys(keys)]))
+    }),
+    ...(config.customProviders && {
+      customProviders: Object.fromEntries(Object.entries(config.customProviders).map(([name, providerConfig]) => [name, { ...providerConfig, apiKeys: mapKeys(providerConfig.apiKeys) }]))
+    })
+  };
+}
+
+// Poprzednie wersje konfiguracji (sqlite) - klucze jawne lub zaszyfrowane starym kluczem głównym są szyfrowane
+// bieżącym kluczem, a te, których nie da się już odszyfrować, usuwane z historii
+function reencryptConfigHistory() {
+  if (!secretStore.enabled) {
+    return;
+  }
+  const rewriteKey = key => {
+    if (key === REDACTED_SECRET || !secretStore.needsRotation(key)) {
+      return key;
+    }
+    try {
+      return secretStore.encrypt(secretStore.decrypt(key));
+    } catch (error) {
+      return REDACTED_SECRET;
+    }
+  };
+  const rewritten = configStore.rewriteHistory(config => mapStoredApiKeys(config, rewriteKey));
+  if (rewritten > 0) {
+    logger.info('CONFIG', 'Provider API keys in configuration history re-encrypted', { store: configStore.type, versions: rewritten });
+  }
+}
+
+// Wczytanie zapisanej konfiguracji przy starcie - uzupełnia wartości domyślne z kodu
+function loadPersistedConfig() {
+  let persisted;
+  try {
+    persisted = configStore.load();
+  } catch (error) {
+    // Nie startujemy z domyślną konfiguracją - kolejny zapis nadpisałby nieczytelny plik
+    throw new Error(`Failed to load persisted configuration from ${configStore.filePath}: ${error.message}`);
+  }
+  
+  if (!persisted) {
+    logger.info('CONFIG', 'No persisted configuration found, using defaults', { store: configStore.type });
+    return;
+  }
+  
+  const { config } = persisted;
+  // Odszyfrowanie sprawdzane przed zastosowaniem konfiguracji - bez właściwego klucza głównego start jest przerywany
+  const decryptKeys = keys => (keys || []).map(key => secretStore.decrypt(key));
+  try {
+    decryptKeys(getStoredApiKeys(config));
+  } catch (error) {
+    throw new Error(`Failed to decrypt provider API keys from ${configStore.filePath}: ${error.message}. Set SECRETS_MASTER_KEY (and SECRETS_PREVIOUS_MASTER_KEYS during a rotation).`);
+  }
+  
+  // Zapisane wpisy nakładane na wartości domyślne z kodu (bez usuniętych w panelu)
+  for (const [name, target] of Object.entries(CONFIG_MAPPINGS)) {
+    const removed = new Set(config.removedDefaults?.[name] || []);
+    const defaults = Object.entries(structuredClone(CONFIG_MAPPING_DEFAULTS[name])).filter(([key]) => !removed.has(key));
+    replaceObjectContents(target, { ...Object.fromEntries(defaults), ...config[name] });
+  }
+  
+  // Klucze z .env (bez usuniętych w panelu) uzupełnione o klucze dodane w panelu
+  for (const provider of Object.keys(providerApiKeys)) {
+    const removed = new Set(config.removedEnvKeys?.[provider] || []);
+    removedEnvKeys[provider] = removed;
+    const envKeys = envProviderKeys[provider].filter(key => !removed.has(hashApiKey(key)));
+    const keys = config.providerApiKeys?.[provider];
+    providerApiKeys[provider] = [...new Set([...envKeys, ...(Array.isArray(keys) ? decryptKeys(keys) : [])])];
+  }
+  
+  customProviders.clear();
+  for (const [name, providerConfig] of Object.entries(config.customProviders || {})) {
+    customProviders.set(name, { ...providerConfig, apiKeys: decryptKeys(providerConfig.apiKeys) });
+  }
+  
+  geminiClient = providerApiKeys.gemini.length > 0 ? new GoogleGenerativeAI(providerApiKeys.gemini[0]) : null;
+  
+  logger.info('CONFIG', 'Persisted configuration loaded', {
+    store: configStore.type,
+    version: persisted.version,
+    updatedAt: persisted.updatedAt
+  });
+  
+  const storedKeys = getStoredApiKeys(config);
+  if (storedKeys.some(key => secretStore.needsRotation(key))) {
+    // Klucze jawne lub zaszyfrowane poprzednim kluczem głównym - zapis z bieżącym kluczem
+    persistConfig({ section: 'secrets', action: 'reencrypt', detail: `${storedKeys.length} keys` }, null);
+  } else if (!secretStore.enabled && storedKeys.length > 0) {
+    logger.warn('CONFIG', 'SECRETS_MASTER_KEY is not set - provider API keys are stored unencrypted', { store: configStore.type });
+  }
+  reencryptConfigHistory();
+}
+
+// Zapis konfiguracji po zmianie z panelu - zwraca nowy numer wersji
+function persistConfig(change, user) {
+  const version = configStore.save(getConfigSnapshot(), { ...change, user: user?.login || null });
+  logger.info('CONFIG', 'Configuration change persisted', { version, ...change });
+  return version;
+}
+
+loadPersistedConfig();
+
+// Funkcja do generowania klucza cache'a
+// stream_options nie wpływa na treść odpowiedzi - stream i zwykłe zapytanie dzielą wpis
+function generateCacheKey(model, messages, options) {
+  const { stream_options, ...cacheOptions } = options || {};
+  return JSON.stringify({
+    model,
+    messages,
+    options: cacheOptions
+  });
+}
+
+function getProviderKeys(providerName) {
+  return providerApiKeys[providerName] || customProviders.get(providerName)?.apiKeys || [];
+}
+
+// Funkcja do pobierania klucza API z round-robin (z pominięciem kluczy odstawionych po limicie i w kwarantannie)
+// null gdy provider nie ma kluczy (np. lokalny endpoint)
+function getProviderApiKey(providerName) {
+  const keys = getProviderKeys(providerName);
+  if (keys.length === 0) {
+    return null;
+  }
+  
+  const key = keyPool.pick(providerName, keys);
+  if (!key) {
+    throw keysUnavailableError(providerName);
+  }
+  return key;
+}
+
+// Brak wolnego klucza - błąd nie jest ponawiany, router przechodzi do kolejnego modelu z trasy
+function keysUnavailableError(providerName) {
+  const retryInMs = keyPool.nextReleaseIn(providerName, getProviderKeys(providerName));
+  if (retryInMs === null) {
+    return new GatewayError(
+      `All ${providerName} API keys are quarantined after authentication or billing errors.`,
+      'keys_quarantined', 503, 'configuration_error'
+    );
+  }
+  return new GatewayError(
+    `All ${providerName} API keys are rate limited. Retry in ${Math.ceil(retryInMs / 1000)}s.`,
+    'keys_rate_limited', 429, 'rate_limit_error'
+  );
+}
+
+function noApiKeyAvailable(providerName) {
+  const keys = getProviderKeys(providerName);
+  return keys.length > 0 && keyPool.availableCount(providerName, keys) === 0;
+}
+
+function maskApiKey(apiKey) {
+  return apiKey.length > 12 ? `${apiKey.slice(0, 8)}...${apiKey.slice(-4)}` : '***';
+}
+
+// Liczba kluczy providera odstawionych po limicie i w kwarantannie (bez wartości kluczy)
+function countUnavailableKeys(providerName, keys = []) {
+  const statuses = keyPool.keyStatus(providerName, keys).map(entry => entry.status);
+  return {
+    parkedKeyCount: statuses.filter(status => status === 'parked').length,
+    quarantinedKeyCount: statuses.filter(status => status === 'quarantined').length
+  };
+}
+
+// Błąd zapytania z kluczem: statystyki klucza, kwarantanna odrzuconego klucza, odstawienie po 429 do resetu limitu
+// Zwraca true, gdy klucz wypadł z rotacji po 401 lub 429 - zapytanie można od razu ponowić innym kluczem.
+// 402/403 dotyczą zwykle treści zapytania - inny klucz dostałby ten sam błąd, więc nie są ponawiane
+function recordKeyError(providerName, apiKey, error) {
+  if (!apiKey || axios.isCancel(error)) {
+    return false;
+  }
+  const status = error.response?.status;
+  const message = error.response?.data?.error?.message || error.message;
+  const available = () => keyPool.availableCount(providerName, getProviderKeys(providerName));
+  
+  if (keyPool.recordFailure(providerName, apiKey, { status, message })) {
+    logger.warn('KEYS', `${providerName} key ${maskApiKey(apiKey)} quarantined after HTTP ${status}`, { available: available() });
+    return status === 401;
+  }
+  if (status !== 429) {
+    return false;
+  }
+  const { resetMs } = parseRateLimitHeaders(error.response.headers || {});
+  const parkedFor = keyPool.park(providerName, apiKey, resetMs, 'rate_limit');
+  logger.warn('KEYS', `${providerName} key ${maskApiKey(apiKey)} rate limited, parked for ${parkedFor}ms`, { available: available() });
+  return true;
+}
+
+// Udane zapytanie; przy x-ratelimit-remaining: 0 klucz odstawiony z wyprzedzeniem, zanim provider zwróci 429
+function recordKeySuccess(providerName, apiKey, headers) {
+  if (!apiKey) {
+    return;
+  }
+  keyPool.recordSuccess(providerName, apiKey);
+  const { resetMs, exhausted } = parseRateLimitHeaders(headers || {});
+  if (exhausted && resetMs !== null) {
+    keyPool.park(providerName, apiKey, resetMs, 'quota_exhausted');
+  }
+}
+
+// Ponowna walidacja klucza w kwarantannie: OpenRouter - GET /key (ważność i pozostały limit), niestandardowy - GET /models
+async function validateProviderKey(providerName, apiKey) {
+  if (providerName === 'openrouter') {
+    const response = await axios.get(OPENROUTER_KEY_URL, { headers: buildOpenRouterHeaders(apiKey), timeout: 10000 });
+    const { limit, limit_remaining: remaining } = response.data?.data || {};
+    if (limit !== null && limit !== undefined && remaining !== null && remaining !== undefined && remaining <= 0) {
+      throw new Error('Key has no credits left');
+    }
+    return;
+  }
+  await axios.get(`${customProviders.get(providerName).endpoint.replace(/\/+$/, '')}/models`, {
+    headers: buildCustomProviderHeaders(providerName, apiKey),
+    timeout: 10000
+  });
+}
+
+async function revalidateQuarantinedKeys() {
+  for (const { provider, key } of keyPool.quarantined()) {
+    if (!getProviderKeys(provider).includes(key)) {
+      keyPool.forget(provider, key);
+      continue;
+    }
+    try {
+      await validateProviderKey(provider, key);
+      keyPool.restore(provider, key);
+      logger.info('KEYS', `${provider} key ${maskApiKey(key)} passed re-validation, back in rotation`);
+    } catch (error) {
+      keyPool.markChecked(provider, key, error.response ? `HTTP ${error.response.status}` : error.message);
+    }
+  }
+}
+
+if (KEY_REVALIDATE_INTERVAL > 0) {
+  setInterval(() => {
+    revalidateQuarantinedKeys().catch(error => logger.error('KEYS', 'Key re-validation failed', error));
+  }, KEY_REVALIDATE_INTERVAL).unref();
+}
+
+// Wyszukanie niestandardowego providera dla modelu: przypisanie w MODEL_PROVIDER lub prefiks "<modelPrefix>/"
+function findCustomProvider(model) {
+  const assignedProvider = MODEL_PROVIDER[model];
+  if (assignedProvider) {
+    return customProviders.has(assignedProvider) ? assignedProvider : null;
+  }
+  for (const [name, config] of customProviders.entries()) {
+    if (config.modelPrefix && model.startsWith(`${config.modelPrefix}/`)) {
+      return name;
+    }
+  }
+  return null;
+}
+
+// Nazwa modelu wysyłana do endpointu providera (bez prefiksu używanego do routingu)
+function getCustomProviderModel(providerName, model) {
+  const prefix = `${customProviders.get(providerName).modelPrefix}/`;
+  return model.startsWith(prefix) ? model.slice(prefix.length) : model;
+}
+
+function getCustomProviderUrl(providerName) {
+  return `${customProviders.get(providerName).endpoint.replace(/\/+$/, '')}/chat/completions`;
+}
+
+function buildCustomProviderHeaders(providerName, apiKey) {
+  const headers = { 'Content-Type': 'application/json' };
+  
+  // Endpointy bez kluczy (np. lokalne) są wywoływane bez nagłówka autoryzacji
+  if (apiKey) {
+    const headerName = customProviders.get(providerName).apiKeyHeader || 'Authorization';
+    headers[headerName] = headerName.toLowerCase() === 'authorization' ? `Bearer ${apiKey}` : apiKey;
+  }
+  return headers;
+}
+
+// Limity czasu providera - providery niestandardowe mogą mieć własne (pole timeouts)
+function getProviderTimeouts(provider) {
+  return PROVIDER_TIMEOUTS[provider] || { ...UPSTREAM_TIMEOUTS, ...(customProviders.get(provider)?.timeouts || {}) };
+}
+
+// Agenty HTTP(S) z limitem nawiązania połączenia - jedna para na wartość limitu
+const connectAgents = new Map();
+function getConnectAgents(provider) {
+  const { connect } = getProviderTimeouts(provider);
+  if (!connectAgents.has(connect)) {
+    connectAgents.set(connect, { httpAgent: createConnectAgent(connect, false), httpsAgent: createConnectAgent(connect, true) });
+  }
+  return connectAgents.get(connect);
+}
+
+/**
+ * Wywołanie providera z limitami firstByte/total; signal (rozłączenie klienta) przerywa zapytanie.
+ * call(timerSignal, timer) - SDK bez streamu zwracają odpowiedź w całości, więc firstByte obejmuje całe oczekiwanie.
+ */
+async function callWithUpstreamTimer(provider, signal, call) {
+  const timer = new UpstreamTimer(getProviderTimeouts(provider), signal);
+  try {
+    return await call(timer.signal, timer);
+  } catch (error) {
+    throw timer.wrapError(error);
+  } finally {
+    timer.clear();
+  }
+}
+
+// Stream providera z limitami: firstByte do pierwszego chunka, total do końca streamu
+async function* streamWithUpstreamTimer(provider, signal, openStream) {
+  const timer = new UpstreamTimer(getProviderTimeouts(provider), signal);
+  try {
+    for await (const chunk of openStream(timer.signal)) {
+      timer.firstByte();
+      yield chunk;
+    }
+    // Stream OpenCode po przerwaniu kończy się bez błędu
+    if (timer.error) {
+      throw timer.error;
+    }
+  } catch (error) {
+    throw timer.wrapError(error);
+  } finally {
+    timer.clear();
+  }
+}
+
+// Opóźnienie wykonania (do mechanizmu retry)
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Parsowanie argumentów tool call (OpenAI przesyła je jako string JSON)
+function parseToolArguments(args) {
+  if (!args) return {};
+  if (typeof args === 'object') return args;
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    return { arguments: args };
+  }
+}
+
+const IMAGE_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  heic: 'image/heic',
+  heif: 'image/heif'
+};
+
+// Konwersja części image_url na part Gemini: data URL -> inlineData, plik z Gemini Files API -> fileData
+function convertImageUrlToGemini(imageUrl) {
+  const url = getImageUrl(imageUrl);
+  
+  const dataUrlMatch = url.match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+  if (dataUrlMatch) {
+    const [, mimeType = 'image/jpeg', isBase64, payload] = dataUrlMatch;
+    return {
+      inlineData: {
+        mimeType,
+        data: isBase64 ? payload : Buffer.from(decodeURIComponent(payload)).toString('base64')
+      }
+    };
+  }
+  
+  // Trasy omijają Gemini dla takich obrazów (canRouteTo) - tu tylko zabezpieczenie
+  if (!isGeminiImageUrl(url)) {
+    throw createGeminiImageUrlError();
+  }
+  
+  const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return {
+    fileData: {
+      mimeType: IMAGE_MIME_TYPES[extension] || 'image/jpeg',
+      fileUri: url
+    }
+  };
+}
+
+function createGeminiImageUrlError() {
+  return new GatewayError(
+    'Gemini models accept images only as base64 data URLs (data:image/png;base64,...) or Gemini Files API URIs. Download the image and send it inline.',
+    'image_url_not_supported', 400, 'invalid_request_error', 'messages'
+  );
+}
+
+function convertContentToGeminiParts(content) {
+  if (!Array.isArray(content)) {
+    return [{ text: content }];
+  }
+  return content.map(part => part.type === 'image_url'
+    ? convertImageUrlToGemini(part.image_url)
+    : { text: part.text });
+}
+
+// Funkcja do konwersji wiadomości OpenAI na format Gemini
+function convertMessagesToGemini(messages) {
+  const history = [];
+  const systemInstructions = [];
+  // Gemini paruje functionResponse po nazwie funkcji, a nie po tool_call_id
+  const toolCallNames = new Map();
+  
+  for (const msg of messages) {
+    if (msg.role === 'system') {
+      systemInstructions.push(getMessageText(msg.content));
+    } else if (msg.role === 'user') {
+      history.push({
+        role: 'user',
+        parts: convertContentToGeminiParts(msg.content)
+      });
+    } else if (msg.role === 'assistant') {
+      const parts = [];
+      const text = getMessageText(msg.content);
+      if (text) {
+        parts.push({ text });
+      }
+      for (const toolCall of msg.tool_calls || []) {
+        toolCallNames.set(toolCall.id, toolCall.function.name);
+        parts.push({
+          functionCall: {
+            name: toolCall.function.name,
+            args: parseToolArguments(toolCall.function.arguments)
+          }
+        });
+      }
+      history.push({
+        role: 'model',
+        parts
+      });
+    } else if (msg.role === 'tool') {
+      const toolOutput = getMessageText(msg.content);
+      let result = null;
+      try {
+        result = JSON.parse(toolOutput);
+      } catch (error) {
+        // Wynik narzędzia w postaci zwykłego tekstu
+      }
+      const part = {
+        functionResponse: {
+          name: toolCallNames.get(msg.tool_call_id) || msg.name || msg.tool_call_id,
+          response: result && typeof result === 'object' && !Array.isArray(result) ? result : { content: toolOutput }
+        }
+      };
+      
+      // Kolejne odpowiedzi narzędzi trafiają do jednego turnu 'function'
+      const lastTurn = history[history.length - 1];
+      if (lastTurn && lastTurn.role === 'function') {
+        lastTurn.parts.push(part);
+      } else {
+        history.push({ role: 'function', parts: [part] });
+      }
+    }
+  }
+  
+  return { history, systemInstructions };
+}
+
+// Gemini akceptuje tylko podzbiór JSON Schema w deklaracjach funkcji
+const GEMINI_SCHEMA_FIELDS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items'];
+
+function sanitizeGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  
+  const sanitized = {};
+  for (const field of GEMINI_SCHEMA_FIELDS) {
+    if (schema[field] === undefined) continue;
+    
+    if (field === 'properties') {
+      sanitized.properties = {};
+      for (const [name, property] of Object.entries(schema.properties)) {
+        sanitized.properties[name] = sanitizeGeminiSchema(property);
+      }
+    } else if (field === 'items') {
+      sanitized.items = sanitizeGeminiSchema(schema.items);
+    } else if (field === 'type' && typeof schema.type === 'string') {
+      sanitized.type = schema.type.toUpperCase();
+    } else {
+      sanitized[field] = schema[field];
+    }
+  }
+  return sanitized;
+}
+
+// Konwersja tools OpenAI na functionDeclarations Gemini
+function convertToolsToGemini(tools) {
+  return [{
+    functionDeclarations: tools.map(tool => {
+      const declaration = {
+        name: tool.function.name,
+        description: tool.function.description || ''
+      };
+      const parameters = tool.function.parameters;
+      if (parameters && parameters.properties && Object.keys(parameters.properties).length > 0) {
+        declaration.parameters = sanitizeGeminiSchema(parameters);
+      }
+      return declaration;
+    })
+  }];
+}
+
+// Konwersja tool_choice OpenAI na toolConfig Gemini
+function convertToolChoiceToGemini(toolChoice) {
+  if (!toolChoice || toolChoice === 'auto') {
+    return { functionCallingConfig: { mode: 'AUTO' } };
+  }
+  if (toolChoice === 'none') {
+    return { functionCallingConfig: { mode: 'NONE' } };
+  }
+  if (toolChoice === 'required') {
+    return { functionCallingConfig: { mode: 'ANY' } };
+  }
+  return {
+    functionCallingConfig: {
+      mode: 'ANY',
+      allowedFunctionNames: [toolChoice.function.name]
+    }
+  };
+}
+
+function generateToolCallId() {
+  return `call_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Mapowanie finishReason Gemini na finish_reason OpenAI
+function mapGeminiFinishReason(finishReason, hasToolCalls) {
+  if (hasToolCalls) return 'tool_calls';
+  if (finishReason === 'MAX_TOKENS') return 'length';
+  if (['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'].includes(finishReason)) return 'content_filter';
+  return 'stop';
+}
+
+// Przygotowanie modelu i zapytania Gemini (wspólne dla trybu zwykłego i streamingu)
+function buildGeminiRequest(model, messages, options = {}) {
+  const { history, systemInstructions } = convertMessagesToGemini(messages);
+  
+  if (!history.some(content => content.role === 'user')) {
+    throw new Error('No user message found');
+  }
+  
+  // Konfiguracja modelu
+  const modelConfig = {
+    model: model,
+  };
+  
+  if (systemInstructions.length > 0) {
+    modelConfig.systemInstruction = systemInstructions.join('\n\n');
+  }
+  
+  if (Array.isArray(options.tools) && options.tools.length > 0) {
+    modelConfig.tools = convertToolsToGemini(options.tools);
+    modelConfig.toolConfig = convertToolChoiceToGemini(options.tool_choice);
+  }
+  
+  return {
+    generativeModel: geminiClient.getGenerativeModel(modelConfig),
+    request: {
+      contents: history,
+      generationConfig: {
+        maxOutputTokens: options.max_tokens || 2048,
+        temperature: options.temperature || 0.7,
+        topP: options.top_p || 0.95,
+      }
+    }
+  };
+}
+
+// Funkcja do wykonania zapytania do Google Gemini
+async function fetchGeminiWithRetry(model, messages, options = {}, retries = 0, signal = null) {
+  if (!geminiClient) {
+    throw new Error('Gemini API client not configured. Set GEMINI_API_KEY in environment variables.');
+  }
+  // Jedno zajęcie obwodu na zapytanie - ponowienia nie są kolejnymi próbami w stanie half-open
+  if (retries === 0) {
+    acquireCircuit('gemini', model);
+  }
+  
+  try {
+    const { generativeModel, request } = buildGeminiRequest(model, messages, options);
+    
+    // Cała konwersacja jest przekazywana jako contents - zapytanie jest bezstanowe
+    const result = await callWithUpstreamTimer('gemini', signal, timerSignal => generativeModel.generateContent(request, { signal: timerSignal }));
+    const response = result.response;
+    const usage = response.usageMetadata || {};
+    
+    const toolCalls = (response.functionCalls() || []).map(functionCall => ({
+      id: generateToolCallId(),
+      type: 'function',
+      function: {
+        name: functionCall.name,
+        arguments: JSON.stringify(functionCall.args || {})
+      }
+    }));
+    
+    const message = {
+      role: 'assistant',
+      content: response.text() || (toolCalls.length > 0 ? null : '')
+    };
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls;
+    }
+    recordCircuitResult('gemini', model);
+    
+    return {
+      id: `gemini-${Date.now()}`,
+      choices: [{
+        index: 0,
+        message,
+        finish_reason: mapGeminiFinishReason(response.candidates?.[0]?.finishReason, toolCalls.length > 0)
+      }],
+      usage: {
+        prompt_tokens: usage.promptTokenCount || 0,
+        completion_tokens: usage.candidatesTokenCount || 0,
+        total_tokens: usage.totalTokenCount || 0
+      }
+    };
+  } catch (error) {
+    // Zapytanie przerwane (np. przegrany hedging) - bez obwodu i ponowień
+    if (signal?.aborted) {
+      throw error;
+    }
+    console.error(`Error with Gemini model ${model}, attempt ${retries + 1}/${MAX_RETRIES}:`, error.message);
+    
+    if (retries >= MAX_RETRIES - 1 || !isRetryableError(error)) {
+      recordCircuitResult('gemini', model, error);
+      throw error;
     }
     
-    const generativeModel = geminiClient.getGenerativeModel(modelConfig);
+    const waitTime = RETRY_DELAY * Math.pow(2, retries);
+    console.log(`Retrying in ${waitTime}ms...`);
+    await delay(waitTime);
     
-    // Dla kontekstu konwersacji, użyj chat session
-    if (history.length > 0) {
-      const chat = generativeModel.startChat({
-        history: history.slice(0, -1), // Wszystkie wiadomości oprócz ostatniej
-        generationConfig: {
-          maxOutputTokens: options.max_tokens || 2048,
-          temperature: options.temperature || 0.7,
-          topP: options.top_p || 0.95,
+    return fetchGeminiWithRetry(model, messages, options, retries + 1, signal);
+  }
+}
+
+async function fetchOpencodeWithRetry(model, messages, options = {}, retries = 0, signal = null) {
+  if (!opencodeClient) {
+    throw new Error('OpenCode client not initialized. Ensure OPENCODE_BASE_URL is configured.');
+  }
+  if (retries === 0) {
+    acquireCircuit('opencode', model);
+  }
+
+  try {
+    const sessionId = options.sessionId || await sessionManager.createSession();
+    const lastUserMessage = messages.filter(m => m.role === 'user').pop();
+    
+    if (!lastUserMessage) {
+      throw new Error('No user message found');
+    }
+
+    const promptText = getMessageText(lastUserMessage.content);
+    await sessionManager.addMessage(sessionId, 'user', promptText);
+
+    const requestBody = {
+      model: {
+        providerID: model.split('/')[0] || 'opencode',
+        modelID: model
+      },
+      parts: [
+        {
+          type: 'text',
+          text: promptText
         }
-      });
-      
-      const result = await chat.sendMessage(lastUserMessage.content);
-      const response = result.response;
-      const usage = response.usageMetadata || {};
-      
-      return {
-        id: `gemini-${Date.now()}`,
-        choices: [{
+      ]
+    };
+
+    const response = await callWithUpstreamTimer('opencode', signal, timerSignal => opencodeClient.session.prompt({
+      path: { id: sessionId },
+      body: requestBody,
+      signal: timerSignal
+    }));
+
+    const assistantContent = response.content?.text || '';
+    recordCircuitResult('opencode', model);
+    await sessionManager.addMessage(sessionId, 'assistant', assistantContent);
+
+    const usage = {
+      prompt_tokens: messages.reduce((sum, m) => sum + getMessageText(m.content).length / 4, 0),
+      completion_tokens: (assistantContent.length || 0) / 4,
+      total_tokens: 0
+    };
+
+    return {
+      id: `opencode-${Date.now()}`,
+      sessionId: sessionId,
+      choices: [
+        {
           index: 0,
           message: {
             role: 'assistant',
-            content: response.text()
+            content: assistantContent
           },
           finish_reason: 'stop'
-        }],
-        usage: {
-          prompt_tokens: usage.promptTokenCount || 0,
-          completion_tokens: usage.candidatesTokenCount || 0,
-          total_tokens: usage.totalTokenCount || 0
         }
-      };
+      ],
+      usage: {
+        prompt_tokens: Math.ceil(usage.prompt_tokens),
+        completion_tokens: Math.ceil(usage.completion_tokens),
+        total_tokens: Math.ceil(usage.prompt_tokens + usage.completion_tokens)
+      }
+    };
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    console.error(`Error with OpenCode model ${model}, attempt ${retries + 1}/${MAX_RETRIES}:`, error.message);
+
+    if (retries >= MAX_RETRIES - 1 || !isRetryableError(error)) {
+      recordCircuitResult('opencode', model, error);
+      throw error;
+    }
+
+    const waitTime = RETRY_DELAY * Math.pow(2, retries);
+    console.log(`Retrying in ${waitTime}ms...`);
+    await delay(waitTime);
+
+    return fetchOpencodeWithRetry(model, messages, options, retries + 1, signal);
+  }
+}
+
+// Funkcja do wykonania zapytania do OpenRouter (lub providera niestandardowego) z mechanizmem retry
+// Fallbacki modeli obsługuje router (buildChatRoute) - tutaj tylko ponowienia tego samego modelu
+// buildHeaders(apiKey) buduje nagłówki dla klucza wybranego przy każdej próbie; context.signal przerywa zapytanie
+async function fetchOpenRouterWithRetry(url, data, buildHeaders, retries = 0, provider = 'openrouter', context = {}, circuitAcquired = false) {
+  const currentModel = data.model;
+  const { signal } = context;
+  const apiKey = getProviderApiKey(provider);
+  
+  // Jedno zajęcie obwodu na zapytanie - ponowienia i zmiana klucza nie są kolejnymi próbami w stanie half-open
+  if (!circuitAcquired) {
+    acquireCircuit(provider, currentModel);
+  }
+  
+  try {
+    const response = await callWithUpstreamTimer(provider, signal, (timerSignal, timer) => axios.post(url, data, {
+      headers: buildHeaders(apiKey),
+      ...getConnectAgents(provider),
+      signal: timerSignal,
+      onDownloadProgress: () => {
+        timer.firstByte();
+        context.onFirstByte?.();
+      }
+    }));
+    recordKeySuccess(provider, apiKey, response.headers);
+    recordCircuitResult(provider, currentModel);
+    return response.data;
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    
+    // Limit lub unieważnienie klucza, nie awaria providera - z innym wolnym kluczem ponowienie od razu, bez liczenia próby
+    // (najwyżej raz na zapytanie klienta, żeby jedno zapytanie nie wyłączyło całej puli kluczy)
+    const keyRetired = recordKeyError(provider, apiKey, error);
+    if (keyRetired && !context.keyRotated && !noApiKeyAvailable(provider)) {
+      context.keyRotated = true;
+      return fetchOpenRouterWithRetry(url, data, buildHeaders, retries, provider, context, true);
+    }
+    
+    console.error(`Error with model ${currentModel}, attempt ${retries + 1}/${MAX_RETRIES}:`, error.message);
+    
+    // Błędy nieprzejściowe, otwarty obwód i brak wolnego klucza nie są ponawiane
+    if (retries >= MAX_RETRIES - 1 || !isRetryableError(error) || keyRetired) {
+      recordCircuitResult(provider, currentModel, error);
+      throw error;
+    }
+    
+    // Czekaj przed ponowną próbą (zwiększając czas z każdą próbą)
+    const waitTime = RETRY_DELAY * Math.pow(2, retries);
+    console.log(`Retrying in ${waitTime}ms...`);
+    await delay(waitTime);
+    
+    // Rekurencyjne wywołanie z inkrementacją licznika prób
+    return fetchOpenRouterWithRetry(url, data, buildHeaders, retries + 1, provider, context, true);
+  }
+}
+
+// Streaming Gemini - zamienia fragmenty generateContentStream na chunki chat.completion.chunk
+async function* streamGeminiResponse(model, messages, options = {}, signal = null) {
+  if (!geminiClient) {
+    throw new Error('Gemini API client not configured. Set GEMINI_API_KEY in environment variables.');
+  }
+
+  try {
+    const { generativeModel, request } = buildGeminiRequest(model, messages, options);
+    const result = await generativeModel.generateContentStream(request, { signal });
+
+    const id = `gemini-${Date.now()}`;
+    const created = Math.floor(Date.now() / 1000);
+    const createChunk = (delta, finishReason = null) => ({
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      choices: [{
+        index: 0,
+        delta,
+        finish_reason: finishReason
+      }]
+    });
+
+    let roleSent = false;
+    let toolCallIndex = 0;
+    let finishReason = null;
+    let usage = {};
+
+    for await (const geminiChunk of result.stream) {
+      const text = geminiChunk.text();
+      const functionCalls = geminiChunk.functionCalls() || [];
+
+      if (text) {
+        yield createChunk(roleSent ? { content: text } : { role: 'assistant', content: text });
+        roleSent = true;
+      }
+
+      // Gemini zwraca wywołanie funkcji w całości - wysyłamy je jako pojedynczą deltę tool_calls
+      for (const functionCall of functionCalls) {
+        const toolCallDelta = {
+          tool_calls: [{
+            index: toolCallIndex++,
+            id: generateToolCallId(),
+            type: 'function',
+            function: {
+              name: functionCall.name,
+              arguments: JSON.stringify(functionCall.args || {})
+            }
+          }]
+        };
+        if (!roleSent) {
+          toolCallDelta.role = 'assistant';
+          roleSent = true;
+        }
+        yield createChunk(toolCallDelta);
+      }
+
+      finishReason = geminiChunk.candidates?.[0]?.finishReason || finishReason;
+      usage = geminiChunk.usageMetadata || usage;
+    }
+
+    yield createChunk({}, mapGeminiFinishReason(finishReason, toolCallIndex > 0));
+
+    // Końcowy chunk z usage (jak przy stream_options.include_usage w OpenAI)
+    yield {
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      choices: [],
+      usage: {
+        prompt_tokens: usage.promptTokenCount || 0,
+        completion_tokens: usage.candidatesTokenCount || 0,
+        total_tokens: usage.totalTokenCount || 0
+      }
+    };
+  } catch (error) {
+    console.error('Gemini streaming error:', error.message);
+    throw error;
+  }
+}
+
+// Streaming OpenCode - subskrybuje zdarzenia sesji i przekazuje przyrostowe fragmenty tekstu
+async function* streamOpencodeResponse(model, messages, options = {}) {
+  if (!opencodeClient) {
+    throw new Error('OpenCode client not initialized. Ensure OPENCODE_BASE_URL is configured.');
+  }
+
+  const sessionId = options.sessionId || await sessionManager.createSession();
+  const lastUserMessage = messages.filter(m => m.role === 'user').pop();
+  
+  if (!lastUserMessage) {
+    throw new Error('No user message found');
+  }
+
+  // Przerwanie subskrypcji zdarzeń (rozłączenie klienta lub koniec generatora)
+  const abortController = new AbortController();
+  const onClientAbort = () => abortController.abort();
+  if (options.signal) {
+    if (options.signal.aborted) {
+      abortController.abort();
     } else {
-      // Pojedyncze zapytanie bez historii
-      const result = await generativeModel.generateContent({
-        contents: [{ role: 'user', parts: [{ text: lastUserMessage.content }] }],
-        generationConfig: {
-          maxOutputTokens: options.max_tokens || 2048,
-          temperature: options.temperature || 0.7,
-          topP: options.top_p || 0.95,
+      options.signal.addEventListener('abort', onClientAbort, { once: true });
+    }
+  }
+
+  let completed = false;
+
+  try {
+    const promptText = getMessageText(lastUserMessage.content);
+    await sessionManager.addMessage(sessionId, 'user', promptText);
+
+    const requestBody = {
+      model: {
+        providerID: model.split('/')[0] || 'opencode',
+        modelID: model
+      },
+      parts: [{
+        type: 'text',
+        text: promptText
+      }]
+    };
+
+    // Subskrypcja przed wysłaniem promptu, żeby nie zgubić pierwszych fragmentów
+    const events = await opencodeClient.event.subscribe({
+      signal: abortController.signal,
+      sseMaxRetryAttempts: MAX_RETRIES
+    });
+
+    const promptResult = await opencodeClient.session.promptAsync({
+      path: { id: sessionId },
+      body: requestBody
+    });
+    if (promptResult?.error) {
+      throw new Error(`OpenCode prompt failed: ${promptResult.error.data?.message || promptResult.error.name || 'unknown error'}`);
+    }
+
+    const id = `opencode-${Date.now()}`;
+    const created = Math.floor(Date.now() / 1000);
+    const createChunk = (delta, finishReason = null) => ({
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      choices: [{
+        index: 0,
+        delta,
+        finish_reason: finishReason
+      }]
+    });
+
+    const messageRoles = new Map(); // messageID -> role
+    const sentLengths = new Map(); // partID -> liczba wysłanych znaków
+    let assistantContent = '';
+    let tokens = null;
+    let idle = false;
+
+    for await (const event of events.stream) {
+      if (!event || !event.properties) continue;
+
+      if (event.type === 'message.updated') {
+        const info = event.properties.info;
+        if (info.sessionID !== sessionId) continue;
+        messageRoles.set(info.id, info.role);
+        if (info.role === 'assistant') {
+          if (info.error) {
+            throw new Error(`OpenCode error: ${info.error.data?.message || info.error.name}`);
+          }
+          tokens = info.tokens || tokens;
         }
-      });
-      
-      const response = result.response;
-      const usage = response.usageMetadata || {};
-      
-      return {
-        id: `gemini-${Date.now()}`,
-        choices: [{
-          index: 0,
-          message: {
-            role: 'assistant',
-            content: response.text()
-          },
-          finish_reason: 'stop'
-        }],
+      } else if (event.type === 'message.part.updated') {
+        const { part, delta } = event.properties;
+        if (part.sessionID !== sessionId || part.type !== 'text') continue;
+        if (messageRoles.get(part.messageID) !== 'assistant') continue;
+
+        // Jeśli serwer nie przesłał delty, wyliczamy ją z pełnego tekstu części
+        const alreadySent = sentLengths.get(part.id) || 0;
+        const text = delta !== undefined ? delta : (part.text || '').slice(alreadySent);
+        sentLengths.set(part.id, delta !== undefined ? alreadySent + delta.length : (part.text || '').length);
+        if (!text) continue;
+
+        yield createChunk(assistantContent ? { content: text } : { role: 'assistant', content: text });
+        assistantContent += text;
+      } else if (event.type === 'session.error') {
+        if (event.properties.sessionID && event.properties.sessionID !== sessionId) continue;
+        const sessionError = event.properties.error;
+        throw new Error(`OpenCode error: ${sessionError?.data?.message || sessionError?.name || 'session error'}`);
+      } else if (event.type === 'session.idle') {
+        if (event.properties.sessionID !== sessionId) continue;
+        idle = true;
+        break;
+      }
+    }
+
+    if (abortController.signal.aborted) {
+      return;
+    }
+    if (!idle) {
+      throw new Error('OpenCode event stream closed before the response completed');
+    }
+
+    completed = true;
+    await sessionManager.addMessage(sessionId, 'assistant', assistantContent);
+
+    yield createChunk({}, 'stop');
+
+    if (tokens) {
+      yield {
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        choices: [],
         usage: {
-          prompt_tokens: usage.promptTokenCount || 0,
-          completion_tokens: usage.candidatesTokenCount || 0,
-          total_tokens: usage.totalTokenCount || 0
+          prompt_tokens: tokens.input || 0,
+          completion_tokens: tokens.output || 0,
+          total_tokens: (tokens.input || 0) + (tokens.output || 0)
         }
       };
     }
   } catch (error) {
-    console.error(`Error with Gemini model ${model}, attempt ${retries + 1}/${MAX_RETRIES}:`, error.message);
+    console.error('OpenCode streaming error:', error.message);
+    throw error;
+  } finally {
+    options.signal?.removeEventListener('abort', onClientAbort);
+    abortController.abort();
+
+    // Klient rozłączył się lub wystąpił błąd - przerywamy generowanie po stronie OpenCode
+    if (!completed) {
+      opencodeClient.session.abort({ path: { id: sessionId } }).catch(abortError => {
+        logger.warn('OpenCode', 'Failed to abort session prompt', { sessionId, error: abortError.message });
+      });
+    }
+  }
+}
+
+// Middleware do logowania requestów
+app.use((req, res, next) => {
+  console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
+  next();
+});
+
+const OPENROUTER_CHAT_URL = 'https://openrouter.ai/api/v1/chat/completions';
+const OPENROUTER_KEY_URL = 'https://openrouter.ai/api/v1/key';
+
+// Nagłówki dla OpenRouter
+function buildOpenRouterHeaders(apiKey, referer) {
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${apiKey}`,
+    'HTTP-Referer': referer || 'http://localhost:8787',
+    'X-Title': 'OpenAI Gateway Emulator'
+  };
+}
+
+function setSSEHeaders(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+}
+
+// Parser strumienia SSE (OpenAI/OpenRouter) - zwraca kolejne obiekty JSON z linii data:
+async function* parseSSEStream(readable) {
+  let buffer = '';
+  let finished = false;
+
+  for await (const data of readable) {
+    buffer += data.toString();
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+
+    for (const event of events) {
+      const payload = event
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+
+      // Linie komentarzy (np. ": OPENROUTER PROCESSING") nie zawierają danych
+      if (!payload) continue;
+      if (payload === '[DONE]') return;
+
+      const chunk = JSON.parse(payload);
+      if (chunk.error) {
+        const upstreamError = new Error(chunk.error.message || 'Upstream stream error');
+        upstreamError.response = { status: Number.isInteger(chunk.error.code) ? chunk.error.code : 502, data: chunk };
+        throw upstreamError;
+      }
+      if ((chunk.choices || []).some(choice => choice.finish_reason)) {
+        finished = true;
+      }
+      yield chunk;
+    }
+  }
+  
+  // Połączenie zamknięte bez [DONE] i bez finish_reason - odpowiedź jest ucięta
+  if (!finished) {
+    const truncatedError = new Error('Upstream stream ended before the response was complete');
+    truncatedError.response = { status: 502, data: null };
+    throw truncatedError;
+  }
+}
+
+// Otwarcie streamu HTTP providera ze statystykami klucza (error.keyRetired - klucz wypadł z rotacji)
+async function postProviderStream(providerName, apiKey, url, body, headers, signal) {
+  try {
+    const response = await axios.post(url, body, {
+      headers,
+      responseType: 'stream',
+      ...getConnectAgents(providerName),
+      signal
+    });
+    recordKeySuccess(providerName, apiKey, response.headers);
+    return response.data;
+  } catch (error) {
+    error.keyRetired = recordKeyError(providerName, apiKey, error);
+    throw error;
+  }
+}
+
+async function* streamOpenRouterResponse(model, messages, options = {}, context = {}) {
+  const apiKey = getProviderApiKey('openrouter');
+  const stream = await postProviderStream('openrouter', apiKey, OPENROUTER_CHAT_URL,
+    { model, messages, ...options, stream: true },
+    buildOpenRouterHeaders(apiKey, context.referer),
+    context.signal
+  );
+
+  yield* parseSSEStream(stream);
+}
+
+async function* streamCustomProviderResponse(providerName, model, messages, options = {}, context = {}) {
+  const apiKey = getProviderApiKey(providerName);
+  const stream = await postProviderStream(providerName, apiKey, getCustomProviderUrl(providerName),
+    { model: getCustomProviderModel(providerName, model), messages, ...options, stream: true },
+    buildCustomProviderHeaders(providerName, apiKey),
+    context.signal
+  );
+
+  yield* parseSSEStream(stream);
+}
+
+// Przygotowanie zapytania chat completion: mapowanie modelu, wybór providera i sprawdzenie możliwości modelu
+function prepareChatCompletion(body) {
+  const { model: requestedModel, messages, stream, ...options } = body;
+  
+  // Mapowanie modelu OpenAI na model docelowy (modele z prefiksem providera niestandardowego trafiają bezpośrednio)
+  let model = MODEL_MAPPING[requestedModel] || (findCustomProvider(requestedModel) ? requestedModel : MODEL_MAPPING.default);
+  let alternates = [];
+  
+  // Model wirtualny z pulą - kolejność wg strategii, pierwszy model zdolny obsłużyć zapytanie jest główny, reszta to fallbacki
+  const routing = MODEL_ROUTING[requestedModel];
+  if (routing) {
+    const ordered = modelRouter.order(requestedModel, routing, candidate => metrics.getModelStats(candidate));
+    const usable = ordered.filter(candidate => canRouteTo(resolveModelProvider(candidate), candidate, messages, options));
+    [model, ...alternates] = usable.length > 0 ? usable : ordered;
+  }
+  
+  // Określenie providera
+  const provider = resolveModelProvider(model);
+  
+  // Obrazy w treści wiadomości wymagają modelu multimodalnego
+  if (hasImageContent(messages) && !supportsImageInput(model, provider)) {
+    throw new GatewayError(
+      `Model ${requestedModel} (${model}) does not accept image input. Use a vision model such as gpt-4-vision-preview or a Gemini model.`,
+      'model_not_multimodal', 400, 'invalid_request_error', 'messages'
+    );
+  }
+  
+  if (provider === 'gemini' && !geminiClient) {
+    throw new GatewayError('Gemini API is not configured. Please set GEMINI_API_KEY.', 'gemini_not_configured', 503, 'configuration_error');
+  }
+  
+  if (provider === 'gemini' && hasRemoteImageUrl(messages)) {
+    throw createGeminiImageUrlError();
+  }
+  
+  if (provider === 'opencode') {
+    if (!opencodeClient) {
+      throw new GatewayError('OpenCode API is not configured. Please set OPENCODE_BASE_URL.', 'opencode_not_configured', 503, 'configuration_error');
+    }
     
-    if (retries >= MAX_RETRIES - 1) {
+    // Sesje OpenCode przyjmują wyłącznie tekst - function calling nie jest dostępny
+    if (Array.isArray(options.tools) && options.tools.length > 0) {
+      throw new GatewayError(
+        `Model ${requestedModel} (OpenCode) does not support tools. Use an OpenRouter or Gemini model for function calling.`,
+        'tools_not_supported', 400, 'invalid_request_error', 'tools'
+      );
+    }
+  }
+  
+  if (provider === 'openrouter' && providerApiKeys.openrouter.length === 0) {
+    throw new GatewayError(
+      'OpenRouter API is not configured. Please add API keys via /config/providers endpoint or the admin panel.',
+      'openrouter_not_configured', 503, 'configuration_error'
+    );
+  }
+  
+  return { requestedModel, model, provider, messages, options, stream: !!stream, alternates };
+}
+
+function resolveModelProvider(model) {
+  return findCustomProvider(model) || MODEL_PROVIDER[model] || 'openrouter';
+}
+
+// Łańcuch FALLBACK_MAPPING od modelu głównego (bez cykli)
+function getFallbackChain(model) {
+  const chain = [model];
+  let next = FALLBACK_MAPPING[model];
+  while (next && !chain.includes(next)) {
+    chain.push(next);
+    next = FALLBACK_MAPPING[next];
+  }
+  return chain;
+}
+
+// Czy krok trasy może obsłużyć zapytanie (provider skonfigurowany, obrazy i narzędzia wspierane, dla Gemini obrazy inline)
+function canRouteTo(provider, model, messages, options) {
+  if (provider === 'gemini' && (!geminiClient || hasRemoteImageUrl(messages))) return false;
+  if (provider === 'opencode' && (!opencodeClient || (Array.isArray(options.tools) && options.tools.length > 0))) return false;
+  if (provider === 'openrouter' && providerApiKeys.openrouter.length === 0) return false;
+  return !hasImageContent(messages) || supportsImageInput(model, provider);
+}
+
+/**
+ * Trasa zapytania: model główny, pozostałe modele puli (MODEL_ROUTING), potem łańcuch FALLBACK_MAPPING
+ * modelu głównego (każdy model u swojego providera).
+ * Modele Gemini/OpenCode na końcu trafiają do OpenRouter pod tą samą nazwą (dotychczasowy failover).
+ */
+function buildChatRoute({ model, provider, messages, options, alternates = [] }) {
+  const route = [{ provider, model }];
+  const addStep = (stepProvider, stepModel) => {
+    if (!route.some(step => step.provider === stepProvider && step.model === stepModel)) {
+      route.push({ provider: stepProvider, model: stepModel });
+    }
+  };
+  
+  for (const alternate of alternates) {
+    addStep(resolveModelProvider(alternate), alternate);
+  }
+  for (const fallbackModel of getFallbackChain(model).slice(1)) {
+    const fallbackProvider = resolveModelProvider(fallbackModel);
+    if (canRouteTo(fallbackProvider, fallbackModel, messages, options)) {
+      addStep(fallbackProvider, fallbackModel);
+    }
+  }
+  
+  const isBuiltInFailover = provider === 'gemini' || provider === 'opencode';
+  if (isBuiltInFailover && canRouteTo('openrouter', model, messages, options)) {
+    addStep('openrouter', model);
+  }
+  return route;
+}
+
+// Statystyki kroku trasy (bez odrzuceń przez otwarty obwód lub odstawione klucze i przerwań przez klienta)
+function recordRouteStep(step, startTime, error = null) {
+  if (error && (SKIPPED_STEP_ERROR_CODES.has(error.code) || axios.isCancel(error))) {
+    return;
+  }
+  metrics.recordModelCall(step.provider, step.model, Date.now() - startTime, !!error);
+}
+
+// Nagłówek x-gateway-route: "provider:model" dla każdego kroku, nieudane z ";error=<kod>", hedging z ";hedge=won|lost"
+function formatRoute(route) {
+  return route
+    .map(step => `${step.provider}:${step.model}${step.error ? `;error=${step.error}` : ''}${step.hedge ? `;hedge=${step.hedge}` : ''}`)
+    .join(', ');
+}
+
+// Wywołanie providera (bez streamu) - zwraca surową odpowiedź w formacie OpenAI; context.signal przerywa zapytanie
+async function fetchProviderChatCompletion(provider, model, messages, options, context) {
+  if (provider === 'gemini') {
+    return fetchGeminiWithRetry(model, messages, options, 0, context.signal);
+  }
+  if (provider === 'opencode') {
+    return fetchOpencodeWithRetry(model, messages, options, 0, context.signal);
+  }
+  if (customProviders.has(provider)) {
+    return fetchOpenRouterWithRetry(
+      getCustomProviderUrl(provider),
+      { model: getCustomProviderModel(provider, model), messages, ...options },
+      apiKey => buildCustomProviderHeaders(provider, apiKey),
+      0,
+      provider,
+      context
+    );
+  }
+  
+  // Użycie funkcji z retry i fallbackiem
+  return fetchOpenRouterWithRetry(
+    OPENROUTER_CHAT_URL,
+    { model, messages, ...options },
+    apiKey => buildOpenRouterHeaders(apiKey, context.referer),
+    0,
+    'openrouter',
+    context
+  );
+}
+
+// Jeden krok trasy bez streamu (ponowienia w funkcjach providerów) ze statystykami modelu
+async function fetchRouteStep(step, { messages, options }, context) {
+  const stepStart = Date.now();
+  try {
+    const data = await fetchProviderChatCompletion(step.provider, step.model, messages, options, context);
+    recordRouteStep(step, stepStart);
+    return data;
+  } catch (error) {
+    if (!context.signal?.aborted) {
+      recordRouteStep(step, stepStart, error);
+    }
+    throw error;
+  }
+}
+
+// Hedging tylko dla zapytań, które go włączyły (context.hedge), i tras z co najmniej dwoma krokami
+function getHedgeSteps(route, context) {
+  return context.hedge && HEDGE_DELAY > 0 && route.length > 1 ? route.slice(0, 2) : [];
+}
+
+/**
+ * Hedging dwóch pierwszych kroków trasy: drugi startuje, gdy pierwszy nie zaczął odpowiadać w HEDGE_DELAY ms
+ * (stream: pierwszy chunk, bez streamu: pierwszy bajt odpowiedzi) albo zakończył się błędem.
+ * Pierwsza odpowiedź wygrywa, przegrany jest przerywany.
+ * runStep(step, stepContext) dostaje kopię kontekstu z własnym signal i onFirstByte; discard zamyka spóźniony wynik.
+ * Trasa: wynik wyścigu z hedge=won / hedge=lost, nieudane kroki z kodem błędu. Zwraca { value, step }.
+ */
+async function runHedgedSteps(steps, context, runStep, discard = () => {}) {
+  const errors = steps.map(() => null);
+  const tasks = steps.map((step, index) => async (signal, responding) => {
+    try {
+      return await runStep(step, { ...context, signal, onFirstByte: responding });
+    } catch (error) {
+      if (!signal.aborted) {
+        errors[index] = error;
+      }
       throw error;
     }
-    
-    const waitTime = RETRY_DELAY * Math.pow(2, retries);
-    console.log(`Retrying in ${waitTime}ms...`);
-    await delay(waitTime);
-    
-    return fetchGeminiWithRetry(model, messages, options, retries + 1);
+  });
+  
+  try {
+    const { value, index, started, hedged } = await hedgeRequest(tasks, { delayMs: HEDGE_DELAY, signal: context.signal, discard });
+    steps.slice(0, started).forEach((step, stepIndex) => {
+      if (errors[stepIndex]) {
+        context.route.push({ ...step, error: classifyError(errors[stepIndex]).code });
+      } else if (hedged) {
+        context.route.push({ ...step, hedge: stepIndex === index ? 'won' : 'lost' });
+      } else {
+        context.route.push(step);
+      }
+    });
+    // Drugi krok uruchomiony po błędzie pierwszego to zwykły fallback, nie hedging
+    if (hedged) {
+      metrics.recordHedgedRequest(index === 0 ? 'primary' : 'hedge');
+      logger.info('ROUTER', 'Hedged request finished', { winner: `${steps[index].provider}:${steps[index].model}`, hedgeDelay: HEDGE_DELAY });
+    }
+    context.provider = steps[index].provider;
+    return { value, step: steps[index] };
+  } catch (error) {
+    steps.forEach((step, stepIndex) => {
+      if (errors[stepIndex]) {
+        context.route.push({ ...step, error: classifyError(errors[stepIndex]).code });
+      }
+    });
+    throw error;
+  }
+}
+
+// Kontekst zapytania przekazywany przez pipeline chat completion
+function createRequestContext(req) {
+  // Cache-Control: no-cache pomija odczyt z cache'a, no-store dodatkowo zapis odpowiedzi
+  const cacheControl = (req.headers['cache-control'] || '').toLowerCase();
+  const noStore = cacheControl.includes('no-store');
+  return {
+    referer: req.headers.referer,
+    endpoint: req.path,
+    apiKeyId: req.apiKey?.id || null,
+    userId: req.apiKey?.userId || null,
+    bypassCache: noStore || cacheControl.includes('no-cache'),
+    noStore
+  };
+}
+
+const METRICS_PROVIDER_NAMES = { openrouter: 'openRouter', opencode: 'openCode', gemini: 'gemini' };
+
+/**
+ * Zapis jednego wywołania modelu: księga zużycia, budżet klucza sk-gw- i metryki Prometheus.
+ * Trafienia w cache nie zużywają tokenów providera - zapisywane są z zerowym zużyciem.
+ */
+function recordUsage(context, { requestedModel, model, provider, embedding = false }, { usage = null, error = null, startTime, stream = false, cancelled = false }) {
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+  const totalTokens = usage?.total_tokens || promptTokens + completionTokens;
+  const resolvedProvider = context.provider || provider;
+  
+  usageLedger.record({
+    endpoint: context.endpoint || null,
+    userId: context.userId || null,
+    apiKeyId: context.apiKeyId || null,
+    requestedModel,
+    resolvedModel: context.resolvedModel || model,
+    provider: resolvedProvider,
+    promptTokens,
+    completionTokens,
+    totalTokens,
+    latencyMs: Date.now() - startTime,
+    cacheHit: !!context.cacheHit,
+    fallbackUsed: !!context.fallbackUsed,
+    stream,
+    status: error ? 'error' : (cancelled ? 'cancelled' : 'success'),
+    errorCode: error ? classifyError(error).code : null
+  });
+  
+  if (context.apiKeyId && totalTokens > 0) {
+    apiKeyManager.recordTokens(context.apiKeyId, totalTokens);
+  }
+  if (!context.cacheHit) {
+    metrics.recordProviderRequest(METRICS_PROVIDER_NAMES[resolvedProvider] || resolvedProvider, !!error);
+  }
+  if (!error && !embedding) {
+    metrics.recordChatCompletion(totalTokens);
+  }
+}
+
+/**
+ * Klucz semantycznego cache'a: embedding ostatniej wiadomości użytkownika
+ * i partycja z modelu, opcji oraz wcześniejszej części rozmowy.
+ * Zwraca null, gdy cache jest wyłączony lub embedding się nie powiódł.
+ */
+async function getSemanticCacheKey(chatRequest, context) {
+  const { model, messages, options } = chatRequest;
+  const lastMessage = messages[messages.length - 1];
+  if (!semanticCache || lastMessage?.role !== 'user') {
+    return null;
+  }
+  
+  const text = getMessageText(lastMessage.content).trim();
+  if (!text) {
+    return null;
+  }
+  
+  try {
+    const embeddings = await createEmbeddings(
+      { model: SEMANTIC_CACHE_EMBEDDING_MODEL, input: text },
+      // Embedding zawsze idzie przez OpenRouter - zużycie nie może trafić na providera zapytania
+      { ...context, endpoint: 'semantic-cache', provider: 'openrouter' }
+    );
+    const embedding = embeddings.data?.[0]?.embedding;
+    if (!Array.isArray(embedding)) {
+      return null;
+    }
+    return { partition: generateCacheKey(model, messages.slice(0, -1), options), embedding };
+  } catch (error) {
+    logger.warn('CACHE', 'Semantic cache embedding failed', { error: error.message });
+    return null;
+  }
+}
+
+// Nagłówki x-cache (hit, semantic-hit lub miss) i x-gateway-route (trasa przez providerów)
+function setGatewayHeaders(res, context) {
+  if (context.cacheStatus) {
+    res.setHeader('x-cache', context.cacheStatus);
+  }
+  if (context.route && context.route.length > 0) {
+    res.setHeader('x-gateway-route', formatRoute(context.route));
+  }
+}
+
+// Chat completion bez streamu (cache + trasa fallbacków między providerami) z zapisem zużycia
+async function createChatCompletion(chatRequest, context = {}) {
+  const startTime = Date.now();
+  try {
+    const response = await executeChatCompletion(chatRequest, context);
+    recordUsage(context, chatRequest, { usage: context.cacheHit ? null : response.usage, startTime });
+    return response;
+  } catch (error) {
+    if (context.signal?.aborted) {
+      recordUsage(context, chatRequest, { startTime, cancelled: true });
+    } else {
+      recordUsage(context, chatRequest, { error, startTime });
+    }
+    throw error;
+  }
+}
+
+async function executeChatCompletion(chatRequest, context) {
+  const { requestedModel, model, provider, messages, options } = chatRequest;
+  context.provider = provider;
+  
+  // Sprawdzenie czy odpowiedź jest w cache'u
+  const cacheKey = generateCacheKey(model, messages, options);
+  const cached = context.bypassCache ? undefined : await readResponseCache(cacheKey);
+  if (cached) {
+    logger.debug('API', 'Cache hit - returning cached response', { cacheKey });
+    context.cacheHit = true;
+    context.cacheStatus = 'hit';
+    return cached;
+  }
+  context.cacheStatus = 'miss';
+  
+  const semanticKey = context.bypassCache ? null : await getSemanticCacheKey(chatRequest, context);
+  if (semanticKey) {
+    const match = semanticCache.lookup(semanticKey.partition, requestedModel, semanticKey.embedding);
+    if (match) {
+      logger.debug('API', 'Semantic cache hit', { requestedModel, similarity: match.similarity });
+      context.cacheHit = true;
+      context.cacheStatus = 'semantic-hit';
+      return { ...match.response, created: Math.floor(Date.now() / 1000) };
+    }
+  }
+  
+  // Kolejne kroki trasy są próbowane po błędzie poprzedniego (każdy z własnymi ponowieniami)
+  const route = buildChatRoute(chatRequest);
+  context.route = [];
+  let data = null;
+  let finalStep = null;
+  let lastError = null;
+  const hedgeSteps = getHedgeSteps(route, context);
+  if (hedgeSteps.length > 0) {
+    try {
+      ({ value: data, step: finalStep } = await runHedgedSteps(hedgeSteps, context, (step, stepContext) => fetchRouteStep(step, chatRequest, stepContext)));
+    } catch (error) {
+      if (context.signal?.aborted) {
+        throw error;
+      }
+      lastError = error;
+      logger.warn('ROUTER', 'Hedged request failed on both targets', { error: error.message, remainingSteps: route.length - hedgeSteps.length });
+    }
+  }
+  for (const step of route.slice(hedgeSteps.length)) {
+    if (data) break;
+    context.provider = step.provider;
+    try {
+      data = await fetchRouteStep(step, chatRequest, context);
+      finalStep = step;
+      context.route.push(step);
+    } catch (error) {
+      // Klient się rozłączył - kolejne kroki trasy nie mają sensu
+      if (context.signal?.aborted) {
+        throw error;
+      }
+      lastError = error;
+      context.route.push({ ...step, error: classifyError(error).code });
+      logger.warn('ROUTER', `${step.provider} request failed for ${step.model}`, { error: error.message, remainingSteps: route.length - context.route.length });
+    }
+  }
+  if (!data) {
+    throw lastError;
+  }
+  
+  const fallbackProvider = finalStep.provider !== provider ? finalStep.provider : null;
+  context.resolvedModel = finalStep.model;
+  context.fallbackUsed = finalStep !== route[0];
+  
+  // Przekształcenie odpowiedzi providera na format OpenAI
+  const openAIResponse = {
+    id: data.id,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: requestedModel, // Zwracamy oryginalny model aby klient myślał, że komunikuje się z OpenAI
+    choices: data.choices,
+    usage: data.usage
+  };
+  if (data.sessionId) {
+    openAIResponse.sessionId = data.sessionId;
+  }
+  if (fallbackProvider) {
+    openAIResponse.x_fallback_provider = fallbackProvider;
+  }
+  
+  // Dodanie do cache'a
+  if (!context.noStore) {
+    await writeResponseCache(cacheKey, openAIResponse);
+    if (semanticKey) {
+      semanticCache.add(semanticKey.partition, requestedModel, semanticKey.embedding, openAIResponse);
+    }
   }
+  
+  return openAIResponse;
 }
 
-async function fetchOpencodeWithRetry(model, messages, options = {}, retries = 0) {
-  if (!opencodeClient) {
-    throw new Error('OpenCode client not initialized. Ensure OPENCODE_BASE_URL is configured.');
-  }
-
-  try {
-    const sessionId = options.sessionId || await sessionManager.createSession();
-    const lastUserMessage = messages.filter(m => m.role === 'user').pop();
-    
-    if (!lastUserMessage) {
-      throw new Error('No user message found');
+// Stream providera w formacie chat.completion.chunk (z limitami czasu providera)
+function openProviderStream(provider, model, messages, options, context) {
+  return streamWithUpstreamTimer(provider, context.signal, signal => {
+    if (provider === 'gemini') {
+      return streamGeminiResponse(model, messages, options, signal);
     }
+    if (provider === 'opencode') {
+      return streamOpencodeResponse(model, messages, { ...options, signal });
+    }
+    if (customProviders.has(provider)) {
+      return streamCustomProviderResponse(provider, model, messages, options, { ...context, signal });
+    }
+    return streamOpenRouterResponse(model, messages, options, { ...context, signal });
+  });
+}
 
-    sessionManager.addMessage(sessionId, 'user', lastUserMessage.content);
-
-    const requestBody = {
-      model: {
-        providerID: model.split('/')[0] || 'opencode',
-        modelID: model
-      },
-      parts: [
-        {
-          type: 'text',
-          text: lastUserMessage.content
-        }
-      ]
-    };
-
-    const response = await opencodeClient.session.prompt({
-      path: { id: sessionId },
-      body: requestBody
-    });
-
-    const assistantContent = response.content?.text || '';
-    sessionManager.addMessage(sessionId, 'assistant', assistantContent);
-
-    const usage = {
-      prompt_tokens: messages.reduce((sum, m) => sum + (m.content?.length || 0) / 4, 0),
-      completion_tokens: (assistantContent.length || 0) / 4,
-      total_tokens: 0
-    };
+// Chunk z treścią dla klienta (tekst, wywołanie narzędzia lub zakończenie) - sama rola lub usage się nie liczy
+function hasChunkContent(chunk) {
+  return (chunk.choices || []).some(choice =>
+    choice.delta?.content || (choice.delta?.tool_calls || []).length > 0 || choice.finish_reason
+  );
+}
 
-    return {
-      id: `opencode-${Date.now()}`,
-      sessionId: sessionId,
-      choices: [
-        {
-          index: 0,
-          message: {
-            role: 'assistant',
-            content: assistantContent
-          },
-          finish_reason: 'stop'
-        }
-      ],
-      usage: {
-        prompt_tokens: Math.ceil(usage.prompt_tokens),
-        completion_tokens: Math.ceil(usage.completion_tokens),
-        total_tokens: Math.ceil(usage.prompt_tokens + usage.completion_tokens)
+/**
+ * Otwiera stream jednego kroku trasy (z ponowieniami błędów przejściowych) aż do pierwszego chunka z treścią.
+ * Zwraca { step, circuitModel, chunks, buffered, startTime } - buffered to chunki odebrane do pierwszej treści włącznie.
+ */
+async function openStreamStep(step, { messages, options }, context) {
+  // Obwód providera niestandardowego jest prowadzony dla nazwy modelu u providera (jak bez streamu)
+  const circuitModel = customProviders.has(step.provider) ? getCustomProviderModel(step.provider, step.model) : step.model;
+  let lastError = null;
+  
+  // Brak wolnego klucza - krok pominięty bez kontaktu z providerem i bez wpływu na obwód
+  if (noApiKeyAvailable(step.provider)) {
+    throw keysUnavailableError(step.provider);
+  }
+  // Jedno zajęcie i jeden wynik obwodu na krok trasy, niezależnie od liczby prób
+  acquireCircuit(step.provider, circuitModel);
+  
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    const buffered = [];
+    const startTime = Date.now();
+    try {
+      const chunks = openProviderStream(step.provider, step.model, messages, options, context);
+      while (buffered.length === 0 || !hasChunkContent(buffered[buffered.length - 1])) {
+        const { value, done } = await chunks.next();
+        if (done) break;
+        buffered.push(value);
       }
-    };
-  } catch (error) {
-    console.error(`Error with OpenCode model ${model}, attempt ${retries + 1}/${MAX_RETRIES}:`, error.message);
-
-    if (retries >= MAX_RETRIES - 1) {
-      throw error;
+      return { step, circuitModel, chunks, buffered, startTime };
+    } catch (error) {
+      lastError = error;
+      if (axios.isCancel(error) || context.signal?.aborted) {
+        throw error;
+      }
+      // Klucz wypadł z rotacji (429, 401), a provider ma inny wolny - ponowienie od razu, bez liczenia próby (najwyżej raz na zapytanie)
+      if (error.keyRetired && !context.keyRotated && !noApiKeyAvailable(step.provider)) {
+        context.keyRotated = true;
+        attempt -= 1;
+        continue;
+      }
+      recordRouteStep(step, startTime, error);
+      logger.warn('ROUTER', `${step.provider} stream failed before first token for ${step.model}`, { attempt: attempt + 1, error: error.message });
+      if (!isRetryableError(error) || attempt >= MAX_RETRIES - 1 || error.keyRetired) {
+        recordCircuitResult(step.provider, circuitModel, error);
+        break;
+      }
+      await delay(RETRY_DELAY * Math.pow(2, attempt));
     }
+  }
+  throw lastError;
+}
 
-    const waitTime = RETRY_DELAY * Math.pow(2, retries);
-    console.log(`Retrying in ${waitTime}ms...`);
-    await delay(waitTime);
+/**
+ * Otwiera stream kolejnych kroków trasy aż do pierwszego chunka z treścią (przy hedgingu dwa pierwsze kroki się ścigają).
+ * Dopóki klient nie dostał treści, błąd providera przełącza na ponowienie lub kolejny krok.
+ */
+async function openRoutedStream(route, chatRequest, context) {
+  let lastError = null;
+  
+  const hedgeSteps = getHedgeSteps(route, context);
+  if (hedgeSteps.length > 0) {
+    try {
+      const { value } = await runHedgedSteps(
+        hedgeSteps,
+        context,
+        (step, stepContext) => openStreamStep(step, chatRequest, stepContext),
+        opened => opened.chunks.return().catch(() => {})
+      );
+      return value;
+    } catch (error) {
+      if (axios.isCancel(error) || context.signal?.aborted) {
+        throw error;
+      }
+      lastError = error;
+    }
+  }
+  
+  for (const step of route.slice(hedgeSteps.length)) {
+    context.provider = step.provider;
+    try {
+      const opened = await openStreamStep(step, chatRequest, context);
+      context.route.push(step);
+      return opened;
+    } catch (error) {
+      if (axios.isCancel(error) || context.signal?.aborted) {
+        throw error;
+      }
+      lastError = error;
+      context.route.push({ ...step, error: classifyError(error).code });
+    }
+  }
+  throw lastError;
+}
 
-    return fetchOpencodeWithRetry(model, messages, options, retries + 1);
+// Sprawdzenie cache'a przed wysłaniem nagłówków streamu (potrzebne do x-cache); wynik zapamiętany w kontekście
+async function lookupStreamCache(chatRequest, context) {
+  if (!('cachedCompletion' in context)) {
+    const { model, messages, options } = chatRequest;
+    const cached = context.bypassCache ? undefined : await readResponseCache(generateCacheKey(model, messages, options));
+    context.cachedCompletion = cached || null;
+    context.cacheHit = !!cached;
+    context.cacheStatus = cached ? 'hit' : 'miss';
   }
+  return context.cachedCompletion;
 }
 
-// Funkcja do wykonania zapytania do OpenRouter z mechanizmem retry i fallback
-async function fetchOpenRouterWithRetry(url, data, headers, retries = 0, modelFallbacks = []) {
-  const currentModel = data.model;
+// Chat completion ze streamem - zwraca chunki chat.completion.chunk niezależnie od providera
+async function* streamChatCompletion(chatRequest, context = {}) {
+  const { requestedModel, model, provider, messages, options } = chatRequest;
+  context.provider = provider;
+  
+  // Odpowiedź z cache'a odtwarzana jako syntetyczny stream
+  const cached = await lookupStreamCache(chatRequest, context);
+  if (cached) {
+    logger.debug('API', 'Cache hit - replaying cached response as stream', { requestedModel });
+    recordUsage(context, chatRequest, { startTime: Date.now(), stream: true });
+    for (const chunk of completionToChunks(cached, { includeUsage: !!options.stream_options?.include_usage })) {
+      yield { ...chunk, model: requestedModel };
+    }
+    return;
+  }
   
+  const route = buildChatRoute(chatRequest);
+  context.route = [];
+  const startTime = Date.now();
+  const assembler = new ChatStreamAssembler();
+  let opened = null;
+  let usage = null;
+  let outcome = null;
   try {
-    const response = await axios.post(url, data, { headers });
-    return response.data;
-  } catch (error) {
-    console.error(`Error with model ${currentModel}, attempt ${retries + 1}/${MAX_RETRIES}:`, error.message);
+    opened = await openRoutedStream(route, chatRequest, context);
+    context.resolvedModel = opened.step.model;
+    context.fallbackUsed = opened.step !== route[0];
     
-    // Jeśli przekroczyliśmy maksymalną liczbę prób dla tego modelu
-    if (retries >= MAX_RETRIES - 1) {
-      // Sprawdź czy mamy fallback model
-      const fallbackModel = FALLBACK_MAPPING[currentModel];
-      
-      // Jeśli mamy fallback i nie został jeszcze użyty
-      if (fallbackModel && !modelFallbacks.includes(fallbackModel)) {
-        console.log(`Switching to fallback model: ${fallbackModel}`);
-        
-        // Dodaj aktualny model do listy użytych fallbacków
-        const updatedFallbacks = [...modelFallbacks, currentModel];
-        
-        // Przygotuj nowe zapytanie z modelem fallback
-        const fallbackData = {
-          ...data,
-          model: fallbackModel
-        };
-        
-        // Spróbuj z modelem fallback (reset licznika prób)
-        return fetchOpenRouterWithRetry(url, fallbackData, headers, 0, updatedFallbacks);
+    for (const chunk of opened.buffered) {
+      if (chunk.usage) {
+        usage = chunk.usage;
       }
-      
-      // Jeśli nie ma fallbacku lub wszystkie zostały wyczerpane - rzuć błąd
-      throw error;
+      assembler.add(chunk);
+      yield { ...chunk, model: requestedModel };
     }
+    for await (const chunk of opened.chunks) {
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+      assembler.add(chunk);
+      yield { ...chunk, model: requestedModel };
+    }
+    outcome = 'success';
+    recordCircuitResult(opened.step.provider, opened.circuitModel);
+    recordRouteStep(opened.step, opened.startTime);
+    recordUsage(context, chatRequest, { usage, startTime, stream: true });
     
-    // Czekaj przed ponowną próbą (zwiększając czas z każdą próbą)
-    const waitTime = RETRY_DELAY * Math.pow(2, retries);
-    console.log(`Retrying in ${waitTime}ms...`);
-    await delay(waitTime);
-    
-    // Rekurencyjne wywołanie z inkrementacją licznika prób
-    return fetchOpenRouterWithRetry(url, data, headers, retries + 1, modelFallbacks);
+    // Zapis złożonej odpowiedzi - tylko gdy stream dotarł do finish_reason i provider podał usage
+    // (trafienie bez zapytania ze streamem musi zwrócić obiekt usage)
+    if (!context.noStore && assembler.isComplete() && usage) {
+      await writeResponseCache(generateCacheKey(model, messages, options), assembler.toCompletion(requestedModel));
+    }
+  } catch (error) {
+    outcome = 'error';
+    // Błędy przed pierwszym tokenem zapisał już openRoutedStream
+    if (opened) {
+      recordCircuitResult(opened.step.provider, opened.circuitModel, error);
+      recordRouteStep(opened.step, opened.startTime, error);
+    }
+    recordUsage(context, chatRequest, { error, startTime, stream: true });
+    throw error;
+  } finally {
+    // Konsument przerwał iterację (rozłączenie klienta) - zamknięcie streamu providera
+    if (!outcome) {
+      recordUsage(context, chatRequest, { usage, startTime, stream: true, cancelled: true });
+      if (opened) {
+        await opened.chunks.return();
+      }
+    }
   }
 }
 
-async function* streamOpencodeResponse(model, messages, options = {}) {
+// Endpoint dla /v1/chat/completions
+app.post('/v1/chat/completions', async (req, res) => {
+  const context = createRequestContext(req);
+  // Rozłączenie klienta przerywa zapytanie do providera (także bez streamu); req 'close' w Node
+  // jest emitowane już po odczytaniu body, dlatego nasłuchujemy na res 'close' przed wysłaniem odpowiedzi
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort();
+  });
+  context.signal = abortController.signal;
+  context.hedge = true; // HEDGE_DELAY dotyczy tylko tego endpointu
+  let chatRequest;
+  
   try {
-    const sessionId = options.sessionId || await sessionManager.createSession();
-    const lastUserMessage = messages.filter(m => m.role === 'user').pop();
+    chatRequest = prepareChatCompletion(req.body);
+    const { requestedModel, model, provider, stream, messages } = chatRequest;
+    logger.info('API', 'Chat completion request received', { requestedModel, model, provider, stream, messageCount: messages.length });
     
-    if (!lastUserMessage) {
-      throw new Error('No user message found');
+    if (!stream) {
+      const completion = await createChatCompletion(chatRequest, context);
+      setGatewayHeaders(res, context);
+      return res.json(completion);
     }
-
-    sessionManager.addMessage(sessionId, 'user', lastUserMessage.content);
-
-    const requestBody = {
-      model: {
-        providerID: model.split('/')[0] || 'opencode',
-        modelID: model
-      },
-      parts: [{
-        type: 'text',
-        text: lastUserMessage.content
-      }]
-    };
-
-    const response = await opencodeClient.session.prompt({
-      path: { id: sessionId },
-      body: requestBody
-    });
-
-    const assistantContent = response.content?.text || '';
-    sessionManager.addMessage(sessionId, 'assistant', assistantContent);
-
-    yield {
-      id: `opencode-${Date.now()}`,
-      object: 'text_completion.chunk',
-      created: Math.floor(Date.now() / 1000),
-      choices: [{
-        index: 0,
-        delta: {
-          role: 'assistant',
-          content: assistantContent
-        },
-        finish_reason: null
-      }]
-    };
-
-    yield {
-      id: `opencode-${Date.now()}`,
-      object: 'text_completion.chunk',
-      created: Math.floor(Date.now() / 1000),
-      choices: [{
-        index: 0,
-        delta: {},
-        finish_reason: 'stop'
-      }]
-    };
   } catch (error) {
-    console.error('OpenCode streaming error:', error.message);
-    throw error;
+    setGatewayHeaders(res, context);
+    return handleError(error, res, { provider: context.provider || chatRequest?.provider });
+  }
+  
+  // Nagłówki są wysyłane z pierwszym chunkiem - zawierają trasę (x-gateway-route),
+  // a błąd wszystkich kroków trasy przed pierwszym tokenem dostaje właściwy status HTTP
+  const sendHeaders = () => {
+    if (!res.headersSent) {
+      setGatewayHeaders(res, context);
+      setSSEHeaders(res);
+    }
+  };
+  
+  try {
+    for await (const chunk of streamChatCompletion(chatRequest, context)) {
+      if (abortController.signal.aborted) break;
+      sendHeaders();
+      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    }
+    
+    if (!abortController.signal.aborted) {
+      sendHeaders();
+      res.write('data: [DONE]\n\n');
+      res.end();
+    }
+  } catch (error) {
+    if (!res.headersSent) {
+      setGatewayHeaders(res, context);
+    }
+    handleStreamingError(error, res, { provider: context.provider });
+    res.end();
   }
-}
-
-// Middleware do logowania requestów
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
-  next();
 });
 
-// Endpoint dla /v1/chat/completions
-app.post('/v1/chat/completions', async (req, res) => {
+// Endpoint emulujący Anthropic Messages API (/v1/messages)
+app.post('/v1/messages', async (req, res) => {
+  const validationError = validateAnthropicRequest(req.body);
+  if (validationError) {
+    return res.status(400).json(createAnthropicError(400, validationError));
+  }
+  
+  const samplingError = validateSamplingParams(req.body);
+  if (samplingError) {
+    return res.status(400).json(createAnthropicError(400, samplingError.message));
+  }
+  
+  const context = createRequestContext(req);
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort();
+  });
+  context.signal = abortController.signal;
+  let chatRequest;
+  
   try {
-    const { model: requestedModel, messages, stream, ...otherOptions } = req.body;
+    chatRequest = prepareChatCompletion(convertAnthropicRequest(req.body));
+    const { requestedModel, model, provider, stream, messages } = chatRequest;
+    logger.info('API', 'Anthropic messages request received', { requestedModel, model, provider, stream, messageCount: messages.length });
     
-    // Mapowanie modelu OpenAI na model docelowy
-    const model = MODEL_MAPPING[requestedModel] || MODEL_MAPPING.default;
+    if (!stream) {
+      const openAIResponse = await createChatCompletion(chatRequest, context);
+      setGatewayHeaders(res, context);
+      return res.json(convertToAnthropicResponse(openAIResponse, requestedModel));
+    }
+  } catch (error) {
+    const errorInfo = classifyError(error);
+    logger.warn('API', 'Anthropic messages request failed', { provider: context.provider, code: errorInfo.code, error: error.message });
+    setGatewayHeaders(res, context);
+    return res.status(errorInfo.statusCode).json(createAnthropicError(errorInfo.statusCode, errorInfo.message));
+  }
+  
+  try {
+    await lookupStreamCache(chatRequest, context);
+    setGatewayHeaders(res, context);
+    setSSEHeaders(res);
     
-    // Określenie providera
-    const provider = MODEL_PROVIDER[model] || 'openrouter';
+    const events = streamAnthropicEvents(streamChatCompletion(chatRequest, context), chatRequest.requestedModel);
+    for await (const event of events) {
+      if (abortController.signal.aborted) break;
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
     
-    logger.info('API', 'Chat completion request received', { requestedModel, model, provider, stream, messageCount: messages.length });
+    if (!abortController.signal.aborted) {
+      res.end();
+    }
+  } catch (error) {
+    const errorInfo = classifyError(error);
+    logger.warn('API', 'Anthropic messages stream failed', { provider: context.provider, code: errorInfo.code, error: error.message });
     
-    // Sprawdzenie czy odpowiedź jest w cache'u
-    const cacheKey = generateCacheKey(model, messages, otherOptions);
-    if (responseCache.has(cacheKey) && !stream) {
-      logger.debug('API', 'Cache hit - returning cached response', { cacheKey });
-      return res.json(responseCache.get(cacheKey));
+    if (!res.headersSent) {
+      res.status(errorInfo.statusCode);
+    }
+    if (res.writable) {
+      res.write(`event: error\ndata: ${JSON.stringify(createAnthropicError(errorInfo.statusCode, errorInfo.message))}\n\n`);
+    }
+    res.end();
+  }
+});
+
+// Endpoint zgodny z OpenAI Responses API (/v1/responses)
+app.post('/v1/responses', async (req, res) => {
+  // max_output_tokens odpowiada max_tokens z /v1/chat/completions - te same zakresy
+  const { max_output_tokens: maxOutputTokens, temperature, top_p: topP } = req.body || {};
+  const validationError = validateResponsesRequest(req.body) ||
+    validateSamplingParams({ max_tokens: maxOutputTokens, temperature, top_p: topP }, 'max_output_tokens');
+  if (validationError) {
+    return handleError(new GatewayError(validationError.message, 'invalid_request', 400, 'invalid_request_error', validationError.param), res);
+  }
+  
+  const body = req.body;
+  const context = createRequestContext(req);
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort();
+  });
+  context.signal = abortController.signal;
+  let chatRequest;
+  let conversation;
+  
+  try {
+    let previousConversation = [];
+    if (body.previous_response_id) {
+      const previous = responseStore.get(body.previous_response_id, context.apiKeyId);
+      if (!previous) {
+        throw new GatewayError(`Previous response with id '${body.previous_response_id}' not found.`, 'previous_response_not_found', 404, 'invalid_request_error', 'previous_response_id');
+      }
+      previousConversation = previous.conversation;
     }
     
-    // Routing na podstawie providera
-    if (provider === 'gemini') {
-      // Obsługa przez Google Gemini API
-      if (!geminiClient) {
-        return res.status(503).json({
-          error: {
-            message: 'Gemini API is not configured. Please set GEMINI_API_KEY.',
-            type: 'configuration_error',
-            code: 'gemini_not_configured'
-          }
-        });
+    const converted = convertResponsesRequest(body, previousConversation);
+    conversation = converted.conversation;
+    chatRequest = prepareChatCompletion(converted.chatBody);
+    const { requestedModel, model, provider, stream, messages } = chatRequest;
+    logger.info('API', 'Responses request received', { requestedModel, model, provider, stream, messageCount: messages.length, previousResponseId: body.previous_response_id });
+    
+    if (!stream) {
+      const response = buildResponse(await createChatCompletion(chatRequest, context), body);
+      if (body.store !== false) {
+        responseStore.save(response, [...conversation, outputToChatMessage(response.output)], context.apiKeyId);
       }
-      
-      if (stream) {
-        // Gemini streaming (w uproszczonej wersji)
-        return res.status(501).json({
-          error: {
-            message: 'Streaming is not yet supported for Gemini models',
-            type: 'not_implemented',
-            code: 'streaming_not_supported'
-          }
-        });
+      setGatewayHeaders(res, context);
+      return res.json(response);
+    }
+  } catch (error) {
+    setGatewayHeaders(res, context);
+    return handleError(error, res, { provider: context.provider || chatRequest?.provider });
+  }
+  
+  try {
+    await lookupStreamCache(chatRequest, context);
+    setGatewayHeaders(res, context);
+    setSSEHeaders(res);
+    
+    for await (const event of streamResponsesEvents(streamChatCompletion(chatRequest, context), body)) {
+      if (abortController.signal.aborted) break;
+      if ((event.type === 'response.completed' || event.type === 'response.incomplete') && body.store !== false) {
+        responseStore.save(event.response, [...conversation, outputToChatMessage(event.response.output)], context.apiKeyId);
       }
-      
-       try {
-         const geminiData = await fetchGeminiWithRetry(model, messages, otherOptions);
-         
-         const openAIResponse = {
-           id: geminiData.id,
-           object: 'chat.completion',
-           created: Math.floor(Date.now() / 1000),
-           model: requestedModel,
-           choices: geminiData.choices,
-           usage: geminiData.usage
-         };
-         
-         responseCache.set(cacheKey, openAIResponse);
-         setTimeout(() => responseCache.delete(cacheKey), CACHE_TTL);
-         
-         res.json(openAIResponse);
-        } catch (error) {
-          logger.warn('gemini_failover', 'Gemini request failed, attempting failover to OpenRouter', { error: error.message });
-          
-          // Failover to OpenRouter
-          if (!openrouterClient) {
-            return handleError(error, res, { provider: 'gemini', fallback_failed: true });
-          }
-          
-          try {
-            const routerData = await fetchOpenRouterWithRetry(model, messages, otherOptions);
-            const openAIResponse = {
-              id: routerData.id,
-              object: 'chat.completion',
-              created: Math.floor(Date.now() / 1000),
-              model: requestedModel,
-              choices: routerData.choices,
-              usage: routerData.usage,
-              x_fallback_provider: 'openrouter'
-            };
-
-            responseCache.set(cacheKey, openAIResponse);
-            setTimeout(() => responseCache.delete(cacheKey), CACHE_TTL);
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+    
+    if (!abortController.signal.aborted) {
+      res.end();
+    }
+  } catch (error) {
+    const errorInfo = classifyError(error);
+    logger.warn('API', 'Responses stream failed', { provider: context.provider, code: errorInfo.code, error: error.message });
+    
+    if (!res.headersSent) {
+      res.status(errorInfo.statusCode);
+    }
+    if (res.writable) {
+      const errorEvent = { type: 'error', code: errorInfo.code, message: errorInfo.message, param: null };
+      res.write(`event: error\ndata: ${JSON.stringify(errorEvent)}\n\n`);
+    }
+    res.end();
+  }
+});
 
-            res.json(openAIResponse);
-          } catch (failoverError) {
-            handleError(failoverError, res, { provider: 'openrouter', primary_provider_failed: 'gemini' });
-          }
-        }
-     } else if (provider === 'opencode') {
-      if (!opencodeClient) {
-        return res.status(503).json({
-          error: {
-            message: 'OpenCode API is not configured. Please set OPENCODE_BASE_URL.',
-            type: 'configuration_error',
-            code: 'opencode_not_configured'
-          }
-        });
-      }
+// Pobranie zapisanej odpowiedzi - tylko kluczem, który ją utworzył
+app.get('/v1/responses/:responseId', (req, res) => {
+  const entry = responseStore.get(req.params.responseId, req.apiKey?.id || null);
+  if (!entry) {
+    return handleError(new GatewayError(`Response with id '${req.params.responseId}' not found.`, 'response_not_found', 404), res);
+  }
+  res.json(entry.response);
+});
 
-      if (stream) {
-        try {
-          res.setHeader('Content-Type', 'text/event-stream');
-          res.setHeader('Cache-Control', 'no-cache');
-          res.setHeader('Connection', 'keep-alive');
+// Usunięcie zapisanej odpowiedzi
+app.delete('/v1/responses/:responseId', (req, res) => {
+  if (!responseStore.delete(req.params.responseId, req.apiKey?.id || null)) {
+    return handleError(new GatewayError(`Response with id '${req.params.responseId}' not found.`, 'response_not_found', 404), res);
+  }
+  res.json({ id: req.params.responseId, object: 'response.deleted', deleted: true });
+});
 
-          const generator = streamOpencodeResponse(model, messages, otherOptions);
-          
-          for await (const chunk of generator) {
-            res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-          }
+// Endpoint dla legacy /v1/completions - prompt jest wysyłany do modelu jako rozmowa chat
+app.post('/v1/completions', async (req, res) => {
+  const validationError = validateCompletionRequest(req.body);
+  if (validationError) {
+    return handleError(new GatewayError(validationError.message, 'invalid_request', 400, 'invalid_request_error', validationError.param), res);
+  }
+  
+  // logprobs i best_of nie są dostępne przez chat completions - logprobs zwracamy jako null
+  const { model: requestedModel, prompt, suffix, echo = false, n = 1, logprobs, best_of, stream, ...options } = req.body;
+  const prompts = normalizePrompts(prompt);
+  const completionId = generateCompletionId();
+  const context = createRequestContext(req);
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort();
+  });
+  context.signal = abortController.signal;
+  let chatRequests;
+  
+  try {
+    chatRequests = prompts.map(text => prepareChatCompletion({
+      model: requestedModel,
+      messages: convertPromptToMessages(text, suffix),
+      stream,
+      ...options
+    }));
+    const { model, provider } = chatRequests[0];
+    logger.info('API', 'Completion request received', { requestedModel, model, provider, stream: !!stream, prompts: prompts.length, n });
+    
+    if (!stream) {
+      const choices = [];
+      const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+      
+      for (let i = 0; i < prompts.length; i++) {
+        for (let j = 0; j < n; j++) {
+          // Kolejne warianty tego samego promptu nie mogą pochodzić z cache'a
+          const choiceContext = { ...context, bypassCache: context.bypassCache || j > 0 };
+          const completion = await createChatCompletion(chatRequests[i], choiceContext);
+          if (i === 0 && j === 0) setGatewayHeaders(res, choiceContext);
+          const choice = completion.choices?.[0] || {};
+          const text = getMessageText(choice.message?.content);
           
-          res.write('data: [DONE]\n\n');
-          res.end();
-         } catch (error) {
-           handleStreamingError(error, res, { provider: 'opencode' });
-           res.end();
-         }
-      } else {
-        try {
-          const opencodeData = await fetchOpencodeWithRetry(model, messages, otherOptions);
-
-          const openAIResponse = {
-            id: opencodeData.id,
-            object: 'chat.completion',
-            created: Math.floor(Date.now() / 1000),
-            model: requestedModel,
-            choices: opencodeData.choices,
-            usage: opencodeData.usage,
-            sessionId: opencodeData.sessionId
-          };
-
-          responseCache.set(cacheKey, openAIResponse);
-          setTimeout(() => responseCache.delete(cacheKey), CACHE_TTL);
-
-           res.json(openAIResponse);
-          } catch (error) {
-            logger.warn('opencode_failover', 'OpenCode request failed, attempting failover to OpenRouter', { error: error.message });
-            
-            // Failover to OpenRouter
-            if (!openrouterKey) {
-              return handleError(error, res, { provider: 'opencode', fallback_failed: true });
-            }
-            
-            try {
-              const routerData = await fetchOpenRouterWithRetry(model, messages, otherOptions);
-              const openAIResponse = {
-                id: routerData.id,
-                object: 'chat.completion',
-                created: Math.floor(Date.now() / 1000),
-                model: requestedModel,
-                choices: routerData.choices,
-                usage: routerData.usage,
-                x_fallback_provider: 'openrouter'
-              };
-
-              responseCache.set(cacheKey, openAIResponse);
-              setTimeout(() => responseCache.delete(cacheKey), CACHE_TTL);
-
-              res.json(openAIResponse);
-            } catch (failoverError) {
-              handleError(failoverError, res, { provider: 'openrouter', primary_provider_failed: 'opencode' });
-            }
-          }
+          choices.push({
+            text: echo ? prompts[i] + text : text,
+            index: i * n + j,
+            logprobs: null,
+            finish_reason: choice.finish_reason || 'stop'
+          });
+          usage.prompt_tokens += completion.usage?.prompt_tokens || 0;
+          usage.completion_tokens += completion.usage?.completion_tokens || 0;
+          usage.total_tokens += completion.usage?.total_tokens || 0;
         }
-      } else {
-      // Obsługa przez OpenRouter (domyślna)
-      const openrouterKey = getProviderApiKey('openrouter');
-      if (!openrouterKey) {
-        return res.status(503).json({
-          error: {
-            message: 'OpenRouter API is not configured. Please add API keys via /config/providers endpoint or the admin panel.',
-            type: 'configuration_error',
-            code: 'openrouter_not_configured'
-          }
-        });
       }
       
-      // Przygotowanie zapytania do OpenRouter
-      const openRouterRequest = {
-        model,
-        messages,
-        stream,
-        ...otherOptions
-      };
-      
-      // Nagłówki dla OpenRouter
-      const headers = {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${openrouterKey}`,
-        'HTTP-Referer': req.headers.referer || 'http://localhost:8787',
-        'X-Title': 'OpenAI Gateway Emulator'
-      };
-      
-      if (stream) {
-        // Obsługa streamu
-        try {
-          const openRouterResponse = await axios.post('https://openrouter.ai/api/v1/chat/completions', 
-            openRouterRequest, 
-            { 
-              headers,
-              responseType: 'stream'
-            }
-          );
-          
-          // Przekazanie nagłówków
-          res.setHeader('Content-Type', 'text/event-stream');
-          res.setHeader('Cache-Control', 'no-cache');
-          res.setHeader('Connection', 'keep-alive');
-          
-          // Przekazanie streamu
-          openRouterResponse.data.pipe(res);
-         } catch (error) {
-           handleStreamingError(error, res, { provider: 'openrouter' });
-           res.end();
-         }
-       } else {
-        // Standardowe zapytanie bez streamu
-        try {
-          // Użycie funkcji z retry i fallbackiem
-          const openRouterData = await fetchOpenRouterWithRetry(
-            'https://openrouter.ai/api/v1/chat/completions',
-            openRouterRequest,
-            headers
-          );
-          
-          // Przekształcenie odpowiedzi z OpenRouter na format OpenAI
-          const openAIResponse = {
-            id: openRouterData.id,
-            object: 'chat.completion',
-            created: Math.floor(Date.now() / 1000),
-            model: requestedModel, // Zwracamy oryginalny model aby klient myślał, że komunikuje się z OpenAI
-            choices: openRouterData.choices,
-            usage: openRouterData.usage
-          };
-          
-          // Dodanie do cache'a
-          responseCache.set(cacheKey, openAIResponse);
-          setTimeout(() => responseCache.delete(cacheKey), CACHE_TTL);
+      return res.json(createTextCompletion(completionId, requestedModel, choices, usage));
+    }
+  } catch (error) {
+    return handleError(error, res, { provider: context.provider || chatRequests?.[0]?.provider });
+  }
+  
+  try {
+    // Kolejne warianty tego samego promptu nie mogą pochodzić z cache'a
+    const choiceContexts = chatRequests.map(() => Array.from({ length: n }, (_, j) => ({ ...context, bypassCache: context.bypassCache || j > 0 })));
+    await lookupStreamCache(chatRequests[0], choiceContexts[0][0]);
+    setGatewayHeaders(res, choiceContexts[0][0]);
+    setSSEHeaders(res);
+    
+    // Przy wielu promptach lub n > 1 choices są streamowane po kolejności indeksów
+    for (let i = 0; i < prompts.length && !abortController.signal.aborted; i++) {
+      for (let j = 0; j < n && !abortController.signal.aborted; j++) {
+        const index = i * n + j;
+        if (echo) {
+          res.write(`data: ${JSON.stringify(createTextCompletionChunk(completionId, requestedModel, index, prompts[i]))}\n\n`);
+        }
+        
+        for await (const chunk of streamChatCompletion(chatRequests[i], choiceContexts[i][j])) {
+          if (abortController.signal.aborted) break;
+          const choice = chunk.choices?.[0];
+          if (!choice || (!choice.delta?.content && !choice.finish_reason)) continue;
           
-           res.json(openAIResponse);
-         } catch (error) {
-           handleError(error, res, { provider: 'openrouter' });
-         }
-       }
-     }
-   } catch (error) {
-     handleError(error, res, { provider });
-   }
+          const textChunk = createTextCompletionChunk(completionId, requestedModel, index, choice.delta?.content || '', choice.finish_reason || null);
+          res.write(`data: ${JSON.stringify(textChunk)}\n\n`);
+        }
+      }
+    }
+    
+    if (!abortController.signal.aborted) {
+      res.write('data: [DONE]\n\n');
+      res.end();
+    }
+  } catch (error) {
+    handleStreamingError(error, res, { provider: chatRequests[0]?.provider });
+    res.end();
+  }
 });
 
 // Endpoint dla /v1/embeddings
-app.post('/v1/embeddings', async (req, res) => {
+/**
+ * Embeddings przez OpenRouter (retry i fallback jak dla czatu).
+ * Używane przez /v1/embeddings oraz semantyczny cache.
+ */
+async function createEmbeddings(body, context) {
+  const startTime = Date.now();
+  const { model: requestedModel, input, ...otherOptions } = body;
+  
+  // Mapowanie modelu embeddings
+  const model = MODEL_MAPPING[requestedModel] || MODEL_MAPPING['text-embedding-ada-002'];
+  const embeddingRequest = { requestedModel, model, provider: 'openrouter', embedding: true };
+  
   try {
-    const { model: requestedModel, input, ...otherOptions } = req.body;
-    
-    // Mapowanie modelu embeddings
-    const model = MODEL_MAPPING[requestedModel] || MODEL_MAPPING['text-embedding-ada-002'];
-    
-    const openrouterKey = getProviderApiKey('openrouter');
-    if (!openrouterKey) {
-      return res.status(503).json({
-        error: {
-          message: 'OpenRouter API is not configured. Please add API keys via /config/providers endpoint or the admin panel.',
-          type: 'configuration_error',
-          code: 'openrouter_not_configured'
-        }
-      });
+    if (providerApiKeys.openrouter.length === 0) {
+      throw new GatewayError('OpenRouter API is not configured. Please add API keys via /config/providers endpoint or the admin panel.', 'openrouter_not_configured', 503, 'configuration_error');
     }
     
     // Przygotowanie zapytania do OpenRouter
@@ -1378,30 +3398,47 @@ app.post('/v1/embeddings', async (req, res) => {
       ...otherOptions
     };
     
-    // Nagłówki dla OpenRouter
-    const headers = {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${openrouterKey}`,
-      'HTTP-Referer': req.headers.referer || 'http://localhost:8787',
-      'X-Title': 'OpenAI Gateway Emulator'
-    };
-    
-    // Użycie funkcji z retry i fallbackiem
-    const openRouterData = await fetchOpenRouterWithRetry(
-      'https://openrouter.ai/api/v1/embeddings',
-      openRouterRequest,
-      headers
-    );
+    // Retry dla każdego modelu, potem kolejny model z łańcucha FALLBACK_MAPPING
+    let openRouterData = null;
+    let lastError = null;
+    for (const candidate of getFallbackChain(model)) {
+      try {
+        openRouterData = await fetchOpenRouterWithRetry(
+          'https://openrouter.ai/api/v1/embeddings',
+          { ...openRouterRequest, model: candidate },
+          apiKey => buildOpenRouterHeaders(apiKey, context.referer),
+          0,
+          'openrouter',
+          context
+        );
+        context.resolvedModel = candidate;
+        break;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    if (!openRouterData) {
+      throw lastError;
+    }
+    context.fallbackUsed = context.resolvedModel !== model;
+    recordUsage(context, embeddingRequest, { usage: openRouterData.usage, startTime });
     
     // Przekształcenie odpowiedzi z OpenRouter na format OpenAI
-    const openAIResponse = {
+    return {
       object: 'list',
       data: openRouterData.data,
       model: requestedModel, // Zwracamy oryginalny model
       usage: openRouterData.usage
     };
-    
-    res.json(openAIResponse);
+  } catch (error) {
+    recordUsage(context, embeddingRequest, { error, startTime });
+    throw error;
+  }
+}
+
+app.post('/v1/embeddings', async (req, res) => {
+  try {
+    res.json(await createEmbeddings(req.body, createRequestContext(req)));
   } catch (error) {
     handleError(error, res);
   }
@@ -1419,8 +3456,30 @@ class OpenCodeError extends Error {
   }
 }
 
+// Błędy zgłaszane przez sam gateway (walidacja możliwości modelu, brak konfiguracji providera)
+class GatewayError extends Error {
+  constructor(message, code, statusCode = 400, type = 'invalid_request_error', param = null) {
+    super(message);
+    this.name = 'GatewayError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.type = type;
+    this.param = param;
+  }
+}
+
 // Error classifier function
 function classifyError(error) {
+  if (error instanceof GatewayError) {
+    return {
+      code: error.code,
+      statusCode: error.statusCode,
+      type: error.type,
+      message: error.message,
+      details: error.param ? { param: error.param } : {}
+    };
+  }
+
   // Check if already classified
   if (error instanceof OpenCodeError) {
     return {
@@ -1432,10 +3491,10 @@ function classifyError(error) {
     };
   }
 
-  // Check for HTTP response errors
-  if (error.response) {
-    const status = error.response.status;
-    const message = error.response.data?.error?.message || error.message;
+  // Check for HTTP response errors (SDK Gemini podaje kod w error.status)
+  if (error.response || Number.isInteger(error.status)) {
+    const status = error.response ? error.response.status : error.status;
+    const message = error.response?.data?.error?.message || error.message;
     
     if (status === 401 || status === 403) {
       return {
@@ -1486,19 +3545,20 @@ function classifyError(error) {
     };
   }
 
-  // Check for timeout errors
-  if (error.code === 'ECONNABORTED' || error.message?.includes('timeout')) {
+  // Check for timeout errors (UpstreamTimeoutError: connect, firstByte lub total)
+  if (error instanceof UpstreamTimeoutError || error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED' || error.message?.includes('timeout')) {
     return {
       code: 'timeout_error',
       statusCode: 504,
       type: 'network_error',
       message: 'Request timeout. Provider took too long to respond.',
-      details: {}
+      details: error.phase ? { phase: error.phase } : {}
     };
   }
 
-  // Check for connection errors
-  if (error.code === 'ECONNREFUSED' || error.message?.includes('ECONNREFUSED')) {
+  // Check for connection errors (fetch w SDK Gemini podaje kod sieci w error.cause)
+  const networkCode = error.code || error.cause?.code;
+  if (NETWORK_ERROR_CODES.has(networkCode) || error.message?.includes('ECONNREFUSED')) {
     return {
       code: 'connection_error',
       statusCode: 503,
@@ -1540,6 +3600,42 @@ function classifyError(error) {
   };
 }
 
+// Błędy przejściowe providera - ponawiane i liczone przez circuit breaker
+// unknown_error (lokalne wyjątki, np. błąd parsowania) nie dotyczy providera - nie jest ponawiany ani liczony
+const RETRYABLE_ERROR_CODES = new Set(['provider_error', 'rate_limit_error', 'timeout_error', 'connection_error']);
+
+const NETWORK_ERROR_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+
+// Kroki pominięte bez kontaktu z providerem (otwarty obwód, brak wolnego klucza) - nie wpływają na obwód ani statystyki modelu
+const SKIPPED_STEP_ERROR_CODES = new Set(['circuit_open', 'keys_rate_limited', 'keys_quarantined']);
+
+function isRetryableError(error) {
+  return RETRYABLE_ERROR_CODES.has(classifyError(error).code);
+}
+
+// Otwarty obwód odrzuca zapytanie bez kontaktu z providerem
+function acquireCircuit(provider, model) {
+  if (!circuitBreakers.allowRequest(provider, model)) {
+    throw new GatewayError(
+      `Provider ${provider} is temporarily unavailable for model ${model} (circuit breaker open).`,
+      'circuit_open', 503, 'server_error'
+    );
+  }
+}
+
+// Błędy zapytania (np. 400, 401) oznaczają, że provider odpowiada - nie otwierają obwodu
+// Wywoływane raz na zapytanie (po ostatniej próbie); lokalne wyjątki (unknown_error) nie mówią nic o providerze
+function recordCircuitResult(provider, model, error = null) {
+  if (error && (SKIPPED_STEP_ERROR_CODES.has(error.code) || axios.isCancel(error) || classifyError(error).code === 'unknown_error')) {
+    return;
+  }
+  if (error && isRetryableError(error)) {
+    circuitBreakers.recordFailure(provider, model, error);
+  } else {
+    circuitBreakers.recordSuccess(provider, model);
+  }
+}
+
 // Enhanced error handler
 function handleError(error, res, options = {}) {
   const { provider = 'unknown', sessionId = null } = options;
@@ -1563,7 +3659,7 @@ function handleError(error, res, options = {}) {
       message: errorInfo.message,
       type: errorInfo.type,
       code: errorInfo.code,
-      param: null,
+      param: errorInfo.details?.param || null,
       status: errorInfo.statusCode
     }
   };
@@ -1704,15 +3800,35 @@ app.get('/health', async (req, res) => {
       port: PORT,
       max_retries: MAX_RETRIES,
       retry_delay: RETRY_DELAY,
-      cache_ttl: CACHE_TTL
+      cache_ttl: CACHE_TTL,
+      circuit_breaker_threshold: CIRCUIT_BREAKER_THRESHOLD,
+      circuit_breaker_reset_timeout: CIRCUIT_BREAKER_RESET_TIMEOUT,
+      hedge_delay: HEDGE_DELAY,
+      upstream_timeouts: UPSTREAM_TIMEOUTS
     },
     providers: {
       openrouter: !!process.env.OPENROUTER_API_KEY,
       gemini: !!process.env.GEMINI_API_KEY,
       opencode: !!opencodeClient
     },
-    sessions: sessionManager.getSessionStats()
+    stateStore: {
+      type: stateStore.type,
+      connected: true
+    },
+    circuitBreakers: circuitBreakers.list()
   };
+  
+  // Otwarty obwód całego providera (nie pojedynczego modelu) oznacza degradację
+  if (health.circuitBreakers.some(circuit => !circuit.model && circuit.state !== 'closed')) {
+    health.status = 'degraded';
+  }
+
+  try {
+    health.sessions = await sessionManager.getSessionStats();
+  } catch (error) {
+    health.stateStore = { type: stateStore.type, connected: false, error: error.message };
+    health.status = 'degraded';
+  }
 
   if (opencodeClient) {
     try {
@@ -1740,12 +3856,149 @@ app.get('/metrics', (req, res) => {
   res.send(metrics.getMetricsText());
 });
 
+// Filtry zapytań /usage - zwykły użytkownik widzi wyłącznie własne zużycie
+function getUsageFilters(req) {
+  const { from, to, userId, keyId, model, provider } = req.query;
+  for (const [param, value] of [['from', from], ['to', to]]) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      throw new GatewayError(`${param} must be an ISO date (e.g. 2026-01-31)`, 'invalid_request', 400, 'invalid_request_error', param);
+    }
+  }
+  return {
+    from,
+    to,
+    userId: req.user.isAdmin ? userId : req.user.id,
+    apiKeyId: keyId,
+    model,
+    provider
+  };
+}
+
+async function sendUsageAggregate(req, res, groupBy) {
+  try {
+    if (groupBy && !UsageLedger.GROUP_BY.includes(groupBy)) {
+      throw new GatewayError(`groupBy must be one of: ${UsageLedger.GROUP_BY.join(', ')}`, 'invalid_request', 400, 'invalid_request_error', 'groupBy');
+    }
+    const filters = getUsageFilters(req);
+    res.json({ filters, ...(await usageLedger.aggregate(filters, groupBy || null)) });
+  } catch (error) {
+    handleError(error, res);
+  }
+}
+
+// Zużycie (łącznie lub pogrupowane: ?groupBy=day|model|resolvedModel|provider|user|key|endpoint)
+app.get('/usage', createAuthMiddleware(githubAuth, userManager), (req, res) => {
+  sendUsageAggregate(req, res, req.query.groupBy);
+});
+
+app.get('/usage/by-day', createAuthMiddleware(githubAuth, userManager), (req, res) => {
+  sendUsageAggregate(req, res, 'day');
+});
+
+app.get('/usage/by-model', createAuthMiddleware(githubAuth, userManager), (req, res) => {
+  sendUsageAggregate(req, res, 'model');
+});
+
+app.get('/usage/by-user', createAuthMiddleware(githubAuth, userManager), (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Forbidden: Admin access required' });
+  }
+  sendUsageAggregate(req, res, 'user');
+});
+
+// Ostatnie rekordy księgi zużycia
+app.get('/usage/records', createAuthMiddleware(githubAuth, userManager), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+    res.json({ records: await usageLedger.recent(getUsageFilters(req), limit) });
+  } catch (error) {
+    handleError(error, res);
+  }
+});
+
+// Zakresy czasu zakładki "Zużycie" w panelu
+const USAGE_RANGES = {
+  '24h': { ms: 24 * 3600000, interval: 'hour' },
+  '7d': { ms: 7 * 86400000, interval: 'day' },
+  '30d': { ms: 30 * 86400000, interval: 'day' },
+  '90d': { ms: 90 * 86400000, interval: 'day' }
+};
+
+// Dane do wykresów panelu jednym przejściem po księdze (?range=24h|7d|30d|90d&top=10)
+app.get('/usage/dashboard', createAuthMiddleware(githubAuth, userManager), async (req, res) => {
+  try {
+    const range = req.query.range || '7d';
+    if (!USAGE_RANGES[range]) {
+      throw new GatewayError(`range must be one of: ${Object.keys(USAGE_RANGES).join(', ')}`, 'invalid_request', 400, 'invalid_request_error', 'range');
+    }
+    const { ms, interval } = USAGE_RANGES[range];
+    const top = Math.min(parseInt(req.query.top || '10', 10) || 10, 100);
+    const to = new Date();
+    const filters = { ...getUsageFilters(req), from: new Date(to.getTime() - ms).toISOString(), to: to.toISOString() };
+
+    const { totals, groups } = await usageLedger.summarize(filters, [interval, 'model', 'user', 'key', 'provider']);
+
+    res.json({
+      range,
+      interval,
+      filters,
+      totals,
+      series: groups[interval],
+      models: groups.model,
+      providers: groups.provider,
+      users: groups.user.slice(0, top).map(group => ({ ...group, login: userManager.getUserById(group.user)?.login || null })),
+      keys: groups.key.slice(0, top).map(group => ({ ...group, name: apiKeyManager.getKey(group.key)?.name || null }))
+    });
+  } catch (error) {
+    handleError(error, res);
+  }
+});
+
+const USAGE_CSV_COLUMNS = [
+  'timestamp', 'endpoint', 'userId', 'apiKeyId', 'requestedModel', 'resolvedModel', 'provider',
+  'promptTokens', 'completionTokens', 'totalTokens', 'latencyMs', 'cacheHit', 'fallbackUsed', 'stream', 'status', 'errorCode'
+];
+
+function toCsvValue(value) {
+  if (value === undefined || value === null) return '';
+  // Nazwy modeli i ścieżki pochodzą od klientów - tekst zaczynający się od =, +, -, @ arkusz wykonałby jako formułę
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Eksport rekordów księgi do CSV (te same filtry co /usage)
+app.get('/usage/export', createAuthMiddleware(githubAuth, userManager), async (req, res) => {
+  let filters;
+  try {
+    filters = getUsageFilters(req);
+  } catch (error) {
+    return handleError(error, res);
+  }
+
+  const fileDate = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="usage-${fileDate}.csv"`);
+  res.write(`${USAGE_CSV_COLUMNS.join(',')}\n`);
+
+  try {
+    for await (const record of usageLedger.records(filters)) {
+      res.write(`${USAGE_CSV_COLUMNS.map(column => toCsvValue(record[column])).join(',')}\n`);
+    }
+  } catch (error) {
+    logger.error('USAGE', 'Usage export failed', error);
+  }
+  res.end();
+});
+
 app.get('/', (req, res) => {
   res.json({
     message: 'OpenAI API Gateway',
     version: '1.0.0',
     endpoints: [
       '/v1/chat/completions',
+      '/v1/completions',
+      '/v1/messages',
+      '/v1/responses',
       '/v1/embeddings',
       '/v1/models',
       '/health',
@@ -1756,6 +4009,15 @@ app.get('/', (req, res) => {
 });
 
 // Endpoint do pobrania modeli pogrupowanych po providerze
+// Modele kierowane do providera niestandardowego (mapowania i przypisania w MODEL_PROVIDER)
+function getCustomProviderModels(providerName) {
+  const models = new Set(Object.values(MODEL_MAPPING).filter(model => findCustomProvider(model) === providerName));
+  for (const [model, provider] of Object.entries(MODEL_PROVIDER)) {
+    if (provider === providerName) models.add(model);
+  }
+  return Array.from(models);
+}
+
 app.get('/v1/models-by-provider', (req, res) => {
   const providers = {
     openrouter: {
@@ -1790,13 +4052,20 @@ app.get('/v1/models-by-provider', (req, res) => {
     custom: {
       name: 'Custom Providers',
       models: Array.from(customProviders.entries()).flatMap(([name, config]) => 
-        (config.modelPrefix ? [{
-          id: `${config.modelPrefix}-model`,
-          name: `${config.displayName || name} (Custom)`,
+        getCustomProviderModels(name).map(id => ({
+          id,
+          name: `${id} (${config.displayName || name})`,
           priority: 'low'
-        }] : [])
+        }))
       )
-    }
+    },
+    // Lista dla panelu administracyjnego (wybór providera przy mapowaniu modeli)
+    customProviders: Array.from(customProviders.entries()).map(([name, config]) => ({
+      name,
+      displayName: config.displayName || name,
+      modelPrefix: config.modelPrefix,
+      models: getCustomProviderModels(name)
+    }))
   };
   
   res.json(providers);
@@ -1812,6 +4081,12 @@ app.get('/v1/emulate', (req, res) => {
         description: 'Emulate OpenAI API endpoints',
         endpoints: ['/v1/chat/completions', '/v1/embeddings', '/v1/models']
       },
+      {
+        id: 'anthropic',
+        name: 'Anthropic Messages API',
+        description: 'Emulate Anthropic Messages API (system, content blocks, tool_use, SSE events)',
+        endpoints: ['/v1/messages', '/v1/models']
+      },
       ...Array.from(customProviders.entries()).map(([name, config]) => ({
         id: name,
         name: config.displayName || name,
@@ -1830,7 +4105,7 @@ app.post('/v1/emulate', (req, res) => {
   try {
     const { api } = req.body;
     
-    if (api !== 'openai' && !customProviders.has(api)) {
+    if (!['openai', 'anthropic'].includes(api) && !customProviders.has(api)) {
       return res.status(400).json({
         error: `Unknown API provider: ${api}`
       });
@@ -1924,6 +4199,7 @@ app.get('/admin', createAuthMiddleware(githubAuth, userManager), (req, res) => {
 app.get('/config', (req, res) => {
   res.json({
     modelMapping: MODEL_MAPPING,
+    modelRouting: MODEL_ROUTING,
     fallbackMapping: FALLBACK_MAPPING,
     modelProvider: MODEL_PROVIDER,
     providers: {
@@ -1946,46 +4222,196 @@ app.get('/config', (req, res) => {
       maxRetries: MAX_RETRIES,
       retryDelay: RETRY_DELAY,
       cacheTTL: CACHE_TTL,
+      cacheMaxEntries: CACHE_MAX_ENTRIES,
+      cacheMaxBytes: CACHE_MAX_BYTES,
       openrouterConfigured: providerApiKeys.openrouter.length > 0,
-      geminiConfigured: providerApiKeys.gemini.length > 0
+      geminiConfigured: providerApiKeys.gemini.length > 0,
+      stateStore: stateStore.type
     },
     stats: {
       cacheSize: responseCache.size,
+      cache: responseCache.getStats(),
+      models: metrics.getAllModelStats(),
       uptime: process.uptime()
+    },
+    configStore: {
+      type: configStore.type,
+      version: configStore.getVersion()
     }
   });
 });
 
-// Endpoint do aktualizacji konfiguracji modeli (tylko w pamięci, nie zapisuje do pliku)
+// Historia zmian konfiguracji (numery wersji)
+app.get('/config/history', createAuthMiddleware(githubAuth, userManager), (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Forbidden: Admin access required' });
+  }
+  const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+  res.json({
+    store: configStore.type,
+    version: configStore.getVersion(),
+    history: configStore.getHistory(limit)
+  });
+});
+
+// Walidacja ustawień klucza API (wspólna dla tworzenia i edycji)
+function validateApiKeySettings({ allowedModels, rpm, dailyTokens, expiresAt }) {
+  if (allowedModels !== undefined && (!Array.isArray(allowedModels) || !allowedModels.every(model => typeof model === 'string'))) {
+    return 'allowedModels must be an array of model names';
+  }
+  for (const [field, value] of [['rpm', rpm], ['dailyTokens', dailyTokens]]) {
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1)) {
+      return `${field} must be a positive integer or null`;
+    }
+  }
+  if (expiresAt !== undefined && expiresAt !== null && Number.isNaN(new Date(expiresAt).getTime())) {
+    return 'expiresAt must be an ISO date or null';
+  }
+  return null;
+}
+
+// Lista kluczy API gateway (opcjonalnie dla jednego użytkownika)
+app.get('/config/api-keys', createAuthMiddleware(githubAuth, userManager), (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Forbidden: Admin access required' });
+  }
+  res.json({
+    requireApiKey: isApiKeyRequired(),
+    requireApiKeyMode: REQUIRE_API_KEY,
+    keys: apiKeyManager.listKeys(req.query.userId || null)
+  });
+});
+
+// Wydanie nowego klucza sk-gw- dla użytkownika
+app.post('/config/api-keys', createAuthMiddleware(githubAuth, userManager), (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Forbidden: Admin access required' });
+  }
+  try {
+    const { user: userIdOrLogin, name, allowedModels, rpm, dailyTokens, expiresAt } = req.body;
+    
+    if (!userIdOrLogin) {
+      return res.status(400).json({ error: 'Missing required field: user (user id or GitHub login)' });
+    }
+    
+    const user = userManager.getUserById(userIdOrLogin) || userManager.getUserByLogin(userIdOrLogin);
+    if (!user) {
+      return res.status(404).json({ error: `User '${userIdOrLogin}' not found` });
+    }
+    
+    const validationError = validateApiKeySettings(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const { key, record } = apiKeyManager.createKey({ userId: user.id, name, allowedModels, rpm, dailyTokens, expiresAt });
+    logger.info('ApiKeys', 'API key created', { keyId: record.id, userId: user.id, createdBy: req.user.login });
+    
+    res.json({
+      success: true,
+      message: `API key created for ${user.login}. Store it now - it will not be shown again.`,
+      key,
+      apiKey: record
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+// Edycja ustawień klucza (limity, modele, wygaśnięcie, unieważnienie)
+app.patch('/config/api-keys/:keyId', createAuthMiddleware(githubAuth, userManager), (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Forbidden: Admin access required' });
+  }
+  const validationError = validateApiKeySettings(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const record = apiKeyManager.updateKey(req.params.keyId, req.body);
+  if (!record) {
+    return res.status(404).json({ error: `API key '${req.params.keyId}' not found` });
+  }
+  res.json({ success: true, apiKey: record });
+});
+
+// Usunięcie klucza
+app.delete('/config/api-keys/:keyId', createAuthMiddleware(githubAuth, userManager), (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Forbidden: Admin access required' });
+  }
+  if (!apiKeyManager.deleteKey(req.params.keyId)) {
+    return res.status(404).json({ error: `API key '${req.params.keyId}' not found` });
+  }
+  logger.info('ApiKeys', 'API key deleted', { keyId: req.params.keyId, deletedBy: req.user.login });
+  res.json({ success: true, message: `API key ${req.params.keyId} deleted` });
+});
+
+// Endpoint do aktualizacji konfiguracji modeli (zapisywane w configStore)
 app.post('/config/models', createAuthMiddleware(githubAuth, userManager), (req, res) => {
   if (!req.user.isAdmin) {
     return res.status(403).json({ error: 'Forbidden: Admin access required' });
   }
   try {
-    const { openaiModel, targetModel, provider } = req.body;
+    const { openaiModel, targetModel, provider, strategy, targets } = req.body;
     
-    if (!openaiModel || !targetModel) {
+    if (!openaiModel || (!targetModel && !targets)) {
       return res.status(400).json({
-        error: 'Missing required fields: openaiModel, targetModel'
+        error: 'Missing required fields: openaiModel and targetModel (or targets)'
       });
     }
     
-    // Aktualizacja mapowania modelu
-    MODEL_MAPPING[openaiModel] = targetModel;
+    // Pula modeli (targets) ze strategią routingu - pojedynczy targetModel usuwa pulę
+    let routing = null;
+    if (targets) {
+      try {
+        routing = normalizeRouting({ strategy, targets });
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+    }
+    
+    const isKnownProvider = name => ['openrouter', 'gemini', 'opencode'].includes(name) || customProviders.has(name);
+    const assignments = routing
+      ? targets.map((target, index) => ({ model: routing.targets[index].model, provider: target?.provider || provider }))
+      : [{ model: targetModel, provider }];
+    const unknown = assignments.find(assignment => assignment.provider && !isKnownProvider(assignment.provider));
+    if (unknown) {
+      return res.status(400).json({
+        error: `Unknown provider '${unknown.provider}'. Supported: openrouter, gemini, opencode or a custom provider name`
+      });
+    }
+    
+    // Aktualizacja mapowania modelu (dla puli - pierwszy model, widoczny m.in. w /v1/models)
+    MODEL_MAPPING[openaiModel] = routing ? routing.targets[0].model : targetModel;
+    if (routing) {
+      MODEL_ROUTING[openaiModel] = routing;
+    } else {
+      delete MODEL_ROUTING[openaiModel];
+    }
     
-    // Aktualizacja providera jeśli podano
-    if (provider) {
-      if (provider === 'gemini') {
-        MODEL_PROVIDER[targetModel] = 'gemini';
+    // Aktualizacja providera jeśli podano (openrouter jest domyślny - nie wymaga wpisu)
+    for (const assignment of assignments.filter(item => item.provider)) {
+      if (assignment.provider === 'openrouter') {
+        delete MODEL_PROVIDER[assignment.model];
       } else {
-        delete MODEL_PROVIDER[targetModel];
+        MODEL_PROVIDER[assignment.model] = assignment.provider;
       }
     }
     
+    const detail = routing
+      ? `${openaiModel} -> ${routing.strategy}(${routing.targets.map(target => target.model).join(', ')})`
+      : `${openaiModel} -> ${targetModel}`;
+    const configVersion = persistConfig({ section: 'models', action: 'update', detail }, req.user);
+    
     res.json({
       success: true,
-      message: `Model mapping updated: ${openaiModel} -> ${targetModel}`,
-      modelMapping: MODEL_MAPPING
+      message: `Model mapping updated: ${detail}`,
+      modelMapping: MODEL_MAPPING,
+      modelRouting: MODEL_ROUTING,
+      configVersion
     });
   } catch (error) {
     res.status(500).json({
@@ -1995,16 +4421,19 @@ app.post('/config/models', createAuthMiddleware(githubAuth, userManager), (req,
 });
 
 // Endpoint do czyszczenia cache'a
-app.post('/config/clear-cache', createAuthMiddleware(githubAuth, userManager), (req, res) => {
+app.post('/config/clear-cache', createAuthMiddleware(githubAuth, userManager), async (req, res) => {
   if (!req.user.isAdmin) {
     return res.status(403).json({ error: 'Forbidden: Admin access required' });
   }
-  const cacheSize = responseCache.size;
-  responseCache.clear();
-  res.json({
-    success: true,
-    message: `Cache cleared. Removed ${cacheSize} entries.`
-  });
+  try {
+    const cacheSize = await responseCache.clear();
+    res.json({
+      success: true,
+      message: `Cache cleared. Removed ${cacheSize} entries.`
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Endpoint do zarządzania providerami i kluczami API
@@ -2015,6 +4444,7 @@ app.get('/config/providers', (req, res) => {
         name: 'OpenRouter',
         configured: providerApiKeys.openrouter.length > 0,
         keyCount: providerApiKeys.openrouter.length,
+        ...countUnavailableKeys('openrouter', providerApiKeys.openrouter),
         endpoint: 'https://openrouter.ai/api/v1'
       },
       gemini: {
@@ -2029,46 +4459,75 @@ app.get('/config/providers', (req, res) => {
         endpoint: config.endpoint,
         configured: config.apiKeys && config.apiKeys.length > 0,
         keyCount: config.apiKeys ? config.apiKeys.length : 0,
+        ...countUnavailableKeys(name, config.apiKeys),
         modelPrefix: config.modelPrefix
       }))
     }
   });
 });
 
+// Stan kluczy providerów (admin): status, statystyki i ostatni błąd; klucze tylko zamaskowane
+app.get('/config/providers/keys', createAuthMiddleware(githubAuth, userManager), (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Forbidden: Admin access required' });
+  }
+  const providers = [
+    ['openrouter', providerApiKeys.openrouter],
+    ...Array.from(customProviders.entries()).map(([name, config]) => [name, config.apiKeys || []])
+  ];
+  res.json({
+    revalidateInterval: KEY_REVALIDATE_INTERVAL,
+    keys: providers.flatMap(([provider, keys]) => keyPool.keyStatus(provider, keys)
+      .map(({ key, ...status }) => ({ provider, key: maskApiKey(key), source: isEnvProviderKey(provider, key) ? 'env' : 'panel', ...status })))
+  });
+});
+
 // Session status endpoint
-app.get('/session/status', (req, res) => {
-  res.json({
-    stats: sessionManager.getSessionStats(),
-    sessions: sessionManager.getAllSessions()
-  });
+app.get('/session/status', async (req, res) => {
+  try {
+    res.json({
+      stats: await sessionManager.getSessionStats(),
+      sessions: await sessionManager.getAllSessions()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Get specific session details
-app.get('/session/:sessionId', (req, res) => {
+app.get('/session/:sessionId', async (req, res) => {
   const { sessionId } = req.params;
-  const session = sessionManager.getSession(sessionId);
-  
-  if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
-  }
+  try {
+    const session = await sessionManager.getSession(sessionId);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
 
-  res.json({
-    session,
-    messages: sessionManager.getMessageHistory(sessionId)
-  });
+    res.json({
+      session,
+      messages: await sessionManager.getMessageHistory(sessionId)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Close/delete session
-app.delete('/session/:sessionId', (req, res) => {
+app.delete('/session/:sessionId', async (req, res) => {
   const { sessionId } = req.params;
-  const session = sessionManager.getSession(sessionId);
-  
-  if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
-  }
+  try {
+    const session = await sessionManager.getSession(sessionId);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
 
-  sessionManager.deleteSession(sessionId);
-  res.json({ success: true, message: `Session ${sessionId} deleted` });
+    await sessionManager.deleteSession(sessionId);
+    res.json({ success: true, message: `Session ${sessionId} deleted` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Endpoint do dodawania/aktualizacji kluczy API dla providerów
@@ -2098,19 +4557,28 @@ app.post('/config/providers', createAuthMiddleware(githubAuth, userManager), (re
       if (index > -1) {
         providerApiKeys[provider].splice(index, 1);
       }
+      // Usunięcie klucza z .env jest zapisywane osobno - inaczej wróciłby po restarcie
+      if (isEnvProviderKey(provider, apiKey)) {
+        removedEnvKeys[provider].add(hashApiKey(apiKey));
+      }
+      keyPool.forget(provider, apiKey);
       
       // Reset Gemini client if all keys removed
       if (provider === 'gemini' && providerApiKeys.gemini.length === 0) {
         geminiClient = null;
       }
       
+      const configVersion = persistConfig({ section: 'providers', action: 'remove_key', detail: provider }, req.user);
+      
       return res.json({
         success: true,
         message: `API key removed from ${provider}`,
-        keyCount: providerApiKeys[provider].length
+        keyCount: providerApiKeys[provider].length,
+        configVersion
       });
     } else {
       // Dodawanie klucza (domyślna akcja)
+      removedEnvKeys[provider].delete(hashApiKey(apiKey));
       if (!providerApiKeys[provider].includes(apiKey)) {
         providerApiKeys[provider].push(apiKey);
         
@@ -2120,10 +4588,13 @@ app.post('/config/providers', createAuthMiddleware(githubAuth, userManager), (re
         }
       }
       
+      const configVersion = persistConfig({ section: 'providers', action: 'add_key', detail: provider }, req.user);
+      
       return res.json({
         success: true,
         message: `API key added to ${provider}`,
-        keyCount: providerApiKeys[provider].length
+        keyCount: providerApiKeys[provider].length,
+        configVersion
       });
     }
   } catch (error) {
@@ -2133,13 +4604,19 @@ app.post('/config/providers', createAuthMiddleware(githubAuth, userManager), (re
   }
 });
 
+// Konfiguracja providera niestandardowego bez kluczy API - odpowiedzi endpointów nigdy ich nie zawierają
+function describeCustomProvider(name) {
+  const { apiKeys = [], ...config } = customProviders.get(name);
+  return { name, ...config, keyCount: apiKeys.length };
+}
+
 // Endpoint do dodawania niestandardowego providera
 app.post('/config/providers/custom', createAuthMiddleware(githubAuth, userManager), (req, res) => {
   if (!req.user.isAdmin) {
     return res.status(403).json({ error: 'Forbidden: Admin access required' });
   }
   try {
-    const { name, displayName, endpoint, apiKeys, apiKeyHeader, modelPrefix } = req.body;
+    const { name, displayName, endpoint, apiKeys, apiKeyHeader, modelPrefix, timeouts } = req.body;
     
     if (!name || !endpoint) {
       return res.status(400).json({
@@ -2155,24 +4632,37 @@ app.post('/config/providers/custom', createAuthMiddleware(githubAuth, userManage
     }
     
     // Sprawdzenie czy nazwa nie koliduje z wbudowanymi providerami
-    if (['openrouter', 'gemini'].includes(name.toLowerCase())) {
+    if (['openrouter', 'gemini', 'opencode'].includes(name.toLowerCase())) {
       return res.status(400).json({
-        error: 'Cannot use reserved provider names: openrouter, gemini'
+        error: 'Cannot use reserved provider names: openrouter, gemini, opencode'
       });
     }
     
+    let providerTimeouts = null;
+    if (timeouts !== undefined) {
+      try {
+        providerTimeouts = normalizeTimeouts(timeouts);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+    }
+    
     customProviders.set(name, {
       displayName: displayName || name,
       endpoint,
       apiKeys: Array.isArray(apiKeys) ? apiKeys : (apiKeys ? [apiKeys] : []),
       apiKeyHeader: apiKeyHeader || 'Authorization',
-      modelPrefix: modelPrefix || name
+      modelPrefix: modelPrefix || name,
+      ...(providerTimeouts ? { timeouts: providerTimeouts } : {})
     });
     
+    const configVersion = persistConfig({ section: 'custom_providers', action: 'add', detail: name }, req.user);
+    
     res.json({
       success: true,
       message: `Custom provider '${name}' added successfully`,
-      provider: customProviders.get(name)
+      provider: describeCustomProvider(name),
+      configVersion
     });
   } catch (error) {
     res.status(500).json({
@@ -2182,7 +4672,10 @@ app.post('/config/providers/custom', createAuthMiddleware(githubAuth, userManage
 });
 
 // Endpoint do usuwania niestandardowego providera
-app.delete('/config/providers/custom/:name', (req, res) => {
+app.delete('/config/providers/custom/:name', createAuthMiddleware(githubAuth, userManager), (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Forbidden: Admin access required' });
+  }
   try {
     const { name } = req.params;
     
@@ -2194,9 +4687,19 @@ app.delete('/config/providers/custom/:name', (req, res) => {
     
     customProviders.delete(name);
     
+    // Modele przypisane do usuniętego providera wracają do domyślnego routingu
+    for (const [model, provider] of Object.entries(MODEL_PROVIDER)) {
+      if (provider === name) {
+        delete MODEL_PROVIDER[model];
+      }
+    }
+    
+    const configVersion = persistConfig({ section: 'custom_providers', action: 'remove', detail: name }, req.user);
+    
     res.json({
       success: true,
-      message: `Custom provider '${name}' removed successfully`
+      message: `Custom provider '${name}' removed successfully`,
+      configVersion
     });
   } catch (error) {
     res.status(500).json({
@@ -2221,16 +4724,20 @@ app.post('/config/fallbacks', createAuthMiddleware(githubAuth, userManager), (re
     
     if (action === 'remove') {
       delete FALLBACK_MAPPING[primaryModel];
+      const configVersion = persistConfig({ section: 'fallbacks', action: 'remove', detail: primaryModel }, req.user);
       return res.json({
         success: true,
-        message: `Fallback removed for ${primaryModel}`
+        message: `Fallback removed for ${primaryModel}`,
+        configVersion
       });
     } else {
       FALLBACK_MAPPING[primaryModel] = fallbackModel;
+      const configVersion = persistConfig({ section: 'fallbacks', action: 'add', detail: `${primaryModel} -> ${fallbackModel}` }, req.user);
       return res.json({
         success: true,
         message: `Fallback added: ${primaryModel} -> ${fallbackModel}`,
-        fallbackMapping: FALLBACK_MAPPING
+        fallbackMapping: FALLBACK_MAPPING,
+        configVersion
       });
     }
   } catch (error) {
@@ -2559,6 +5066,64 @@ function getConfigPanelHTML() {
             padding: 8px 16px;
             font-size: 14px;
         }
+        
+        .usage-toolbar {
+            display: flex;
+            gap: 10px;
+            align-items: center;
+            margin-bottom: 20px;
+        }
+        
+        .usage-toolbar select {
+            width: auto;
+        }
+        
+        .usage-toolbar button {
+            padding: 10px 20px;
+            font-size: 14px;
+        }
+        
+        .usage-chart svg {
+            width: 100%;
+            height: 180px;
+            background: white;
+            border-radius: 8px;
+        }
+        
+        .usage-chart rect:hover {
+            opacity: 0.7;
+        }
+        
+        .bar-row {
+            display: grid;
+            grid-template-columns: 220px 1fr 140px;
+            gap: 10px;
+            align-items: center;
+            margin-bottom: 8px;
+            font-size: 14px;
+        }
+        
+        .bar-label {
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+        
+        .bar-track {
+            background: #e0e0e0;
+            border-radius: 4px;
+            height: 14px;
+            overflow: hidden;
+        }
+        
+        .bar-fill {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            height: 100%;
+        }
+        
+        .bar-fill.bar-error {
+            background: #ef4444;
+        }
     </style>
 </head>
 <body>
@@ -2575,6 +5140,8 @@ function getConfigPanelHTML() {
                 <button class="tab" onclick="switchTab('providers')">🔑 Providery</button>
                 <button class="tab" onclick="switchTab('models')">🤖 Modele</button>
                 <button class="tab" onclick="switchTab('fallbacks')">🔄 Fallbacki</button>
+                <button class="tab" onclick="switchTab('apikeys')">🗝️ Klucze API</button>
+                <button class="tab" onclick="switchTab('usage')">📈 Zużycie</button>
                 <button class="tab" onclick="switchTab('config')">⚙️ Konfiguracja</button>
                 <button class="tab" onclick="switchTab('api')">📡 API Docs</button>
             </div>
@@ -2724,7 +5291,21 @@ function getConfigPanelHTML() {
                         </div>
                         <div class="form-group">
                             <label>Model docelowy:</label>
-                            <input type="text" id="new-target-model" placeholder="np. qwen/qwen3-235b-a22b:free" required>
+                            <input type="text" id="new-target-model" placeholder="np. qwen/qwen3-235b-a22b:free">
+                        </div>
+                        <div class="form-group">
+                            <label>Pula modeli (zamiast modelu docelowego, oddzielone przecinkami, "=waga" dla strategii weighted):</label>
+                            <input type="text" id="new-model-targets" placeholder="np. qwen/qwen3-coder:free=3, deepseek/deepseek-r1-0528:free">
+                        </div>
+                        <div class="form-group">
+                            <label>Strategia routingu puli:</label>
+                            <select id="new-model-strategy">
+                                <option value="priority">priority - kolejność z listy</option>
+                                <option value="weighted">weighted - losowo wg wag</option>
+                                <option value="latency">latency - najniższe opóźnienie p50</option>
+                                <option value="least-errors">least-errors - najmniej błędów (5 min)</option>
+                                <option value="round-robin">round-robin - na zmianę</option>
+                            </select>
                         </div>
                          <div class="form-group">
                              <label>Provider:</label>
@@ -2760,6 +5341,111 @@ function getConfigPanelHTML() {
                 </div>
             </div>
             
+            <div id="apikeys" class="tab-content">
+                <h2 style="margin-bottom: 20px;">Klucze API gateway (sk-gw-...)</h2>
+                <div id="api-keys-list"></div>
+                
+                <div class="card" style="margin-top: 30px;">
+                    <h3>➕ Wydaj nowy klucz</h3>
+                    <div id="add-api-key-result"></div>
+                    <form onsubmit="addApiKey(event)">
+                        <div class="form-group">
+                            <label>Użytkownik (login GitHub lub ID):</label>
+                            <input type="text" id="api-key-user" placeholder="np. octocat" required>
+                        </div>
+                        <div class="form-group">
+                            <label>Nazwa klucza:</label>
+                            <input type="text" id="api-key-name" placeholder="np. ci-pipeline">
+                        </div>
+                        <div class="form-group">
+                            <label>Dozwolone modele (oddzielone przecinkami, puste = wszystkie, "*" na końcu = prefiks):</label>
+                            <input type="text" id="api-key-models" placeholder="np. gpt-4o, gpt-5*">
+                        </div>
+                        <div class="form-group">
+                            <label>Limit zapytań na minutę:</label>
+                            <input type="number" id="api-key-rpm" min="1" placeholder="bez limitu">
+                        </div>
+                        <div class="form-group">
+                            <label>Dzienny budżet tokenów:</label>
+                            <input type="number" id="api-key-daily-tokens" min="1" placeholder="bez limitu">
+                        </div>
+                        <div class="form-group">
+                            <label>Data wygaśnięcia:</label>
+                            <input type="date" id="api-key-expires">
+                        </div>
+                        <button type="submit">🗝️ Wydaj klucz</button>
+                    </form>
+                </div>
+            </div>
+            
+            <div id="usage" class="tab-content">
+                <h2 style="margin-bottom: 20px;">Zużycie</h2>
+                <div class="usage-toolbar">
+                    <select id="usage-range" onchange="loadUsage()">
+                        <option value="24h">Ostatnie 24 godziny</option>
+                        <option value="7d" selected>Ostatnie 7 dni</option>
+                        <option value="30d">Ostatnie 30 dni</option>
+                        <option value="90d">Ostatnie 90 dni</option>
+                    </select>
+                    <button onclick="loadUsage()">🔄 Odśwież</button>
+                    <button class="btn-secondary" onclick="exportUsageCsv()">⬇️ Eksport CSV</button>
+                </div>
+                <div id="usage-error"></div>
+                
+                <div class="card">
+                    <h3>📊 Podsumowanie</h3>
+                    <div class="info-grid">
+                        <div class="info-item">
+                            <div class="info-label">Zapytania</div>
+                            <div class="info-value" id="usage-requests">-</div>
+                        </div>
+                        <div class="info-item">
+                            <div class="info-label">Tokeny</div>
+                            <div class="info-value" id="usage-tokens">-</div>
+                        </div>
+                        <div class="info-item">
+                            <div class="info-label">Błędy</div>
+                            <div class="info-value" id="usage-errors">-</div>
+                        </div>
+                        <div class="info-item">
+                            <div class="info-label">Trafienia cache</div>
+                            <div class="info-value" id="usage-cache-hits">-</div>
+                        </div>
+                        <div class="info-item">
+                            <div class="info-label">Śr. opóźnienie</div>
+                            <div class="info-value" id="usage-latency">-</div>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="card">
+                    <h3>📈 Zapytania w czasie</h3>
+                    <div class="usage-chart" id="usage-requests-chart"></div>
+                </div>
+                
+                <div class="card">
+                    <h3>🔢 Tokeny w czasie</h3>
+                    <div class="usage-chart" id="usage-tokens-chart"></div>
+                </div>
+                
+                <div class="card">
+                    <h3>🤖 Modele</h3>
+                    <div id="usage-models"></div>
+                </div>
+                
+                <div class="card">
+                    <h3>👤 Najwięksi konsumenci</h3>
+                    <div id="usage-users"></div>
+                    <h4 style="margin: 20px 0 10px;">Klucze API</h4>
+                    <div id="usage-keys"></div>
+                </div>
+                
+                <div class="card">
+                    <h3>⚠️ Błędy wg providera</h3>
+                    <div id="usage-providers"></div>
+                </div>
+            </div>
+            
             <div id="config" class="tab-content">
                 <h2 style="margin-bottom: 20px;">Pełna konfiguracja</h2>
                 <div class="card">
@@ -2792,7 +5478,7 @@ function getConfigPanelHTML() {
                 <div class="endpoint-card">
                     <span class="endpoint-method method-post">POST</span>
                     <strong>/config/models</strong>
-                    <p style="margin-top: 10px; color: #666;">Aktualizuj mapowanie modelu (tylko w pamięci)</p>
+                    <p style="margin-top: 10px; color: #666;">Aktualizuj mapowanie modelu (zapisywane trwale)</p>
                     <div class="code-block" style="margin-top: 10px;">
 {
   "openaiModel": "gpt-5-custom",
@@ -2936,6 +5622,8 @@ print(response.choices[0].message.content)</div>
             
             event.target.classList.add('active');
             document.getElementById(tabName).classList.add('active');
+            
+            if (tabName === 'usage') loadUsage();
         }
         
         async function loadEmulationApis() {
@@ -3002,9 +5690,13 @@ print(response.choices[0].message.content)</div>
                 updateProvidersTable();
                 updateModelsTable();
                 updateFallbacksTable();
+                updateApiKeysTable();
                 updateConfigJSON();
                 loadEmulationApis();
                 populateProviderDropdown();
+                
+                // Księga zużycia jest czytana tylko przy otwartej zakładce
+                if (document.getElementById('usage').classList.contains('active')) loadUsage();
             } catch (error) {
                 console.error('Error loading config:', error);
             }
@@ -3023,7 +5715,7 @@ print(response.choices[0].message.content)</div>
                 '<span class="status-badge status-ok">✓ Skonfigurowany</span>' : 
                 '<span class="status-badge status-error">✗ Brak</span>';
                 
-            document.getElementById('cache-size').textContent = configData.stats.cacheSize;
+            document.getElementById('cache-size').textContent = configData.stats.cacheSize ?? 'Redis';
             document.getElementById('uptime').textContent = Math.floor(configData.stats.uptime) + 's';
             document.getElementById('port').textContent = configData.settings.port;
             document.getElementById('max-retries').textContent = configData.settings.maxRetries;
@@ -3037,13 +5729,25 @@ print(response.choices[0].message.content)</div>
             if (!configData) return;
             
             let html = '<table><thead><tr><th>Model OpenAI</th><th>Model Docelowy</th><th>Provider</th></tr></thead><tbody>';
+            const modelStats = configData.stats.models || {};
             
             for (const [openaiModel, targetModel] of Object.entries(configData.modelMapping)) {
-                const provider = configData.modelProvider[targetModel] || 'OpenRouter';
+                const routing = (configData.modelRouting || {})[openaiModel];
+                const targets = routing ? routing.targets : [{ model: targetModel }];
+                // Przy puli: strategia, wagi oraz mediana opóźnienia i błędy z ostatnich 5 minut
+                const targetsHtml = targets.map(target => {
+                    const stats = modelStats[target.model];
+                    const weight = routing && routing.strategy === 'weighted' ? \` ×\${target.weight}\` : '';
+                    const details = routing && stats
+                        ? \` <small>(p50 \${stats.p50LatencyMs === null ? '-' : stats.p50LatencyMs + 'ms'}, błędy \${stats.recentErrors})</small>\`
+                        : '';
+                    return \`<code>\${target.model}</code>\${weight}\${details}\`;
+                }).join('<br>');
+                const providers = [...new Set(targets.map(target => configData.modelProvider[target.model] || 'OpenRouter'))];
                 html += \`<tr>
-                    <td><strong>\${openaiModel}</strong></td>
-                    <td><code>\${targetModel}</code></td>
-                    <td><span class="status-badge \${provider === 'gemini' ? 'status-warning' : 'status-ok'}">\${provider}</span></td>
+                    <td><strong>\${openaiModel}</strong>\${routing ? \`<br><small>\${routing.strategy}</small>\` : ''}</td>
+                    <td>\${targetsHtml}</td>
+                    <td>\${providers.map(provider => \`<span class="status-badge \${provider === 'gemini' ? 'status-warning' : 'status-ok'}">\${provider}</span>\`).join(' ')}</td>
                 </tr>\`;
             }
             
@@ -3067,6 +5771,255 @@ print(response.choices[0].message.content)</div>
             document.getElementById('fallbacks-list').innerHTML = html;
         }
         
+        async function updateApiKeysTable() {
+            try {
+                const response = await fetch('/config/api-keys');
+                const data = await response.json();
+                
+                if (!response.ok) {
+                    document.getElementById('api-keys-list').innerHTML = 
+                        \`<div class="alert alert-error">\${data.error}</div>\`;
+                    return;
+                }
+                
+                let html = \`<p style="margin-bottom: 15px; color: #666;">Wymagany klucz dla /v1/*: <strong>\${data.requireApiKey ? 'tak' : 'nie'} (REQUIRE_API_KEY=\${data.requireApiKeyMode})</strong></p>\`;
+                html += '<table><thead><tr><th>Klucz</th><th>Użytkownik</th><th>Modele</th><th>RPM</th><th>Tokeny dziś</th><th>Wygasa</th><th>Status</th><th>Akcje</th></tr></thead><tbody>';
+                
+                for (const key of data.keys) {
+                    const expired = key.expiresAt && new Date(key.expiresAt) <= new Date();
+                    const status = key.revoked ? 'Unieważniony' : (expired ? 'Wygasł' : 'Aktywny');
+                    html += \`<tr>
+                        <td><strong>\${escapeHtml(key.name)}</strong><br><code>\${key.keyPreview}</code></td>
+                        <td>\${escapeHtml(key.userId)}</td>
+                        <td>\${key.allowedModels.length > 0 ? escapeHtml(key.allowedModels.join(', ')) : 'wszystkie'}</td>
+                        <td>\${key.rpm || '∞'}</td>
+                        <td>\${key.usage.tokens}\${key.dailyTokens ? ' / ' + key.dailyTokens : ''}</td>
+                        <td>\${key.expiresAt ? new Date(key.expiresAt).toLocaleDateString() : '-'}</td>
+                        <td><span class="status-badge \${status === 'Aktywny' ? 'status-ok' : 'status-error'}">\${status}</span></td>
+                        <td>
+                            \${key.revoked ? '' : \`<button onclick="revokeApiKey('\${key.id}')" style="padding: 6px 12px; font-size: 14px;">Unieważnij</button>\`}
+                            <button class="btn-danger" onclick="deleteApiKey('\${key.id}')" style="padding: 6px 12px; font-size: 14px;">Usuń</button>
+                        </td>
+                    </tr>\`;
+                }
+                
+                html += '</tbody></table>';
+                document.getElementById('api-keys-list').innerHTML = html;
+            } catch (error) {
+                console.error('Error updating API keys table:', error);
+            }
+        }
+        
+        async function addApiKey(event) {
+            event.preventDefault();
+            
+            const models = document.getElementById('api-key-models').value;
+            const rpm = document.getElementById('api-key-rpm').value;
+            const dailyTokens = document.getElementById('api-key-daily-tokens').value;
+            const expires = document.getElementById('api-key-expires').value;
+            
+            const body = {
+                user: document.getElementById('api-key-user').value,
+                name: document.getElementById('api-key-name').value || undefined,
+                allowedModels: models ? models.split(',').map(m => m.trim()).filter(Boolean) : [],
+                rpm: rpm ? parseInt(rpm, 10) : null,
+                dailyTokens: dailyTokens ? parseInt(dailyTokens, 10) : null,
+                expiresAt: expires ? new Date(expires + 'T23:59:59').toISOString() : null
+            };
+            
+            try {
+                const response = await fetch('/config/api-keys', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+                
+                const result = await response.json();
+                
+                if (response.ok) {
+                    // Klucz jest pokazywany tylko raz - bez automatycznego ukrywania komunikatu
+                    document.getElementById('add-api-key-result').innerHTML = 
+                        \`<div class="alert alert-success">✓ Klucz wydany. Skopiuj go teraz - nie zostanie pokazany ponownie:<div class="code-block" style="margin-top: 10px;">\${result.key}</div></div>\`;
+                    updateApiKeysTable();
+                    event.target.reset();
+                } else {
+                    document.getElementById('add-api-key-result').innerHTML = 
+                        \`<div class="alert alert-error">✗ Błąd: \${result.error}</div>\`;
+                }
+            } catch (error) {
+                document.getElementById('add-api-key-result').innerHTML = 
+                    \`<div class="alert alert-error">✗ Błąd połączenia: \${error.message}</div>\`;
+            }
+        }
+        
+        async function revokeApiKey(keyId) {
+            if (!confirm('Czy na pewno chcesz unieważnić ten klucz?')) return;
+            
+            try {
+                const response = await fetch(\`/config/api-keys/\${keyId}\`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ revoked: true })
+                });
+                const result = await response.json();
+                
+                if (response.ok) {
+                    updateApiKeysTable();
+                } else {
+                    alert('Błąd: ' + result.error);
+                }
+            } catch (error) {
+                alert('Błąd połączenia: ' + error.message);
+            }
+        }
+        
+        async function deleteApiKey(keyId) {
+            if (!confirm('Czy na pewno chcesz usunąć ten klucz?')) return;
+            
+            try {
+                const response = await fetch(\`/config/api-keys/\${keyId}\`, { method: 'DELETE' });
+                const result = await response.json();
+                
+                if (response.ok) {
+                    updateApiKeysTable();
+                } else {
+                    alert('Błąd: ' + result.error);
+                }
+            } catch (error) {
+                alert('Błąd połączenia: ' + error.message);
+            }
+        }
+        
+        // Nazwy modeli i użytkowników pochodzą z zapytań klientów
+        function escapeHtml(value) {
+            return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+        }
+        
+        function formatNumber(value) {
+            return Number(value || 0).toLocaleString('pl-PL');
+        }
+        
+        // Ciągła oś czasu - przedziały bez zapytań jako zera
+        function fillUsageSeries(data) {
+            const stepMs = data.interval === 'hour' ? 3600000 : 86400000;
+            const keyLength = data.interval === 'hour' ? 13 : 10;
+            const byKey = new Map(data.series.map(point => [point[data.interval], point]));
+            const points = [];
+            
+            let time = new Date(data.filters.from).getTime();
+            time -= time % stepMs;
+            for (; time <= new Date(data.filters.to).getTime(); time += stepMs) {
+                const iso = new Date(time).toISOString();
+                const key = data.interval === 'hour' ? iso.slice(0, keyLength) + ':00' : iso.slice(0, keyLength);
+                points.push(byKey.get(key) || { [data.interval]: key, requests: 0, errors: 0, totalTokens: 0 });
+            }
+            return points.map(point => ({ ...point, label: point[data.interval] }));
+        }
+        
+        function renderBarChart(points, valueKey, color) {
+            const width = 800;
+            const height = 180;
+            const padding = 24;
+            const max = Math.max(1, ...points.map(point => point[valueKey] || 0));
+            const barWidth = (width - padding) / Math.max(points.length, 1);
+            
+            let bars = '';
+            points.forEach((point, index) => {
+                const value = point[valueKey] || 0;
+                const barHeight = (value / max) * (height - padding * 2);
+                const x = padding + index * barWidth;
+                const y = height - padding - barHeight;
+                bars += \`<rect x="\${x + 1}" y="\${y}" width="\${Math.max(barWidth - 2, 1)}" height="\${barHeight}" fill="\${color}"><title>\${escapeHtml(point.label)}: \${formatNumber(value)}</title></rect>\`;
+            });
+            
+            const first = points[0] ? escapeHtml(points[0].label) : '';
+            const last = points.length > 1 ? escapeHtml(points[points.length - 1].label) : '';
+            return \`<svg viewBox="0 0 \${width} \${height}" preserveAspectRatio="none">
+                <text x="\${padding}" y="14" font-size="12" fill="#666">max \${formatNumber(max)}</text>
+                <line x1="\${padding}" y1="\${height - padding}" x2="\${width}" y2="\${height - padding}" stroke="#ccc"/>
+                \${bars}
+                <text x="\${padding}" y="\${height - 6}" font-size="12" fill="#666">\${first}</text>
+                <text x="\${width}" y="\${height - 6}" font-size="12" fill="#666" text-anchor="end">\${last}</text>
+            </svg>\`;
+        }
+        
+        function renderBarList(groups, labelFn, valueKey, describeFn) {
+            if (groups.length === 0) {
+                return '<p style="color: #666;">Brak danych w wybranym zakresie</p>';
+            }
+            const max = Math.max(1, ...groups.map(group => group[valueKey]));
+            return groups.map(group => \`<div class="bar-row">
+                <div class="bar-label" title="\${escapeHtml(labelFn(group))}">\${escapeHtml(labelFn(group))}</div>
+                <div class="bar-track"><div class="bar-fill" style="width: \${(group[valueKey] / max) * 100}%"></div></div>
+                <div>\${describeFn(group)}</div>
+            </div>\`).join('');
+        }
+        
+        let usageData = null;
+        
+        async function loadUsage() {
+            const range = document.getElementById('usage-range').value;
+            
+            try {
+                const response = await fetch(\`/usage/dashboard?range=\${range}\`);
+                const data = await response.json();
+                
+                if (!response.ok) {
+                    const message = data.error && data.error.message ? data.error.message : data.error;
+                    document.getElementById('usage-error').innerHTML = \`<div class="alert alert-error">\${escapeHtml(message)}</div>\`;
+                    return;
+                }
+                
+                document.getElementById('usage-error').innerHTML = '';
+                usageData = data;
+                updateUsageTab();
+            } catch (error) {
+                console.error('Error loading usage:', error);
+            }
+        }
+        
+        function updateUsageTab() {
+            if (!usageData) return;
+            const { totals } = usageData;
+            
+            document.getElementById('usage-requests').textContent = formatNumber(totals.requests);
+            document.getElementById('usage-tokens').textContent = formatNumber(totals.totalTokens);
+            document.getElementById('usage-errors').textContent = formatNumber(totals.errors);
+            document.getElementById('usage-cache-hits').textContent = formatNumber(totals.cacheHits);
+            document.getElementById('usage-latency').textContent = totals.avgLatencyMs + 'ms';
+            
+            const points = fillUsageSeries(usageData);
+            document.getElementById('usage-requests-chart').innerHTML = renderBarChart(points, 'requests', '#667eea');
+            document.getElementById('usage-tokens-chart').innerHTML = renderBarChart(points, 'totalTokens', '#764ba2');
+            
+            const describeUsage = group => \`\${formatNumber(group.totalTokens)} tok. / \${formatNumber(group.requests)} zap.\`;
+            document.getElementById('usage-models').innerHTML =
+                renderBarList(usageData.models, group => group.model, 'totalTokens', describeUsage);
+            document.getElementById('usage-users').innerHTML =
+                renderBarList(usageData.users, group => group.login || group.user, 'totalTokens', describeUsage);
+            document.getElementById('usage-keys').innerHTML =
+                renderBarList(usageData.keys, group => group.name ? \`\${group.name} (\${group.key})\` : group.key, 'totalTokens', describeUsage);
+            
+            let html = '<table><thead><tr><th>Provider</th><th>Zapytania</th><th>Błędy</th><th>Odsetek błędów</th><th>Śr. opóźnienie</th></tr></thead><tbody>';
+            for (const provider of usageData.providers) {
+                const errorRate = provider.requests > 0 ? (provider.errors / provider.requests) * 100 : 0;
+                html += \`<tr>
+                    <td><strong>\${escapeHtml(provider.provider)}</strong></td>
+                    <td>\${formatNumber(provider.requests)}</td>
+                    <td>\${formatNumber(provider.errors)}</td>
+                    <td><div class="bar-track" style="display: inline-block; width: 120px; vertical-align: middle;"><div class="bar-fill bar-error" style="width: \${errorRate}%"></div></div> \${errorRate.toFixed(1)}%</td>
+                    <td>\${provider.avgLatencyMs}ms</td>
+                </tr>\`;
+            }
+            html += '</tbody></table>';
+            document.getElementById('usage-providers').innerHTML = html;
+        }
+        
+        function exportUsageCsv() {
+            const from = usageData ? usageData.filters.from : '';
+            window.location.href = '/usage/export' + (from ? '?from=' + encodeURIComponent(from) : '');
+        }
+        
         async function updateProvidersTable() {
             try {
                 const response = await fetch('/config/providers');
@@ -3113,12 +6066,50 @@ print(response.choices[0].message.content)</div>
                     html += '</tbody></table></div>';
                 }
                 
+                html += await renderKeyHealth();
+                
                 document.getElementById('providers-list').innerHTML = html;
             } catch (error) {
                 console.error('Error updating providers table:', error);
             }
         }
         
+        // Stan kluczy API (tylko dla administratora): zamaskowany klucz, status, liczba zapytań i ostatni błąd
+        async function renderKeyHealth() {
+            const response = await fetch('/config/providers/keys');
+            if (!response.ok) return '';
+            const data = await response.json();
+            if (data.keys.length === 0) return '';
+            
+            const badges = {
+                active: '<span class="status-badge status-ok">✓ Aktywny</span>',
+                parked: '<span class="status-badge status-warning">⏸ Limit</span>',
+                quarantined: '<span class="status-badge status-error">✗ Kwarantanna</span>'
+            };
+            let html = '<div class="card" style="margin-top: 20px;"><h3>🔑 Stan kluczy API</h3><table><thead><tr><th>Provider</th><th>Klucz</th><th>Status</th><th>Zapytania</th><th>Błędy</th><th>Ostatni błąd</th></tr></thead><tbody>';
+            for (const entry of data.keys) {
+                let details = '';
+                if (entry.status === 'parked') {
+                    details = \`do \${new Date(entry.parkedUntil).toLocaleTimeString('pl-PL')}\`;
+                } else if (entry.quarantine) {
+                    details = \`od \${new Date(entry.quarantine.since).toLocaleString('pl-PL')}\${entry.quarantine.checkedAt ? \`, sprawdzony \${new Date(entry.quarantine.checkedAt).toLocaleTimeString('pl-PL')}: \${escapeHtml(entry.quarantine.checkError || '')}\` : ''}\`;
+                }
+                html += \`<tr>
+                    <td>\${escapeHtml(entry.provider)}</td>
+                    <td><code>\${escapeHtml(entry.key)}</code></td>
+                    <td>\${badges[entry.status]}\${details ? \`<br><small>\${details}</small>\` : ''}</td>
+                    <td>\${formatNumber(entry.requests)}</td>
+                    <td>\${formatNumber(entry.failures)}</td>
+                    <td>\${entry.lastError ? \`\${escapeHtml(entry.lastError)}<br><small>\${new Date(entry.lastErrorAt).toLocaleString('pl-PL')}</small>\` : '-'}</td>
+                </tr>\`;
+            }
+            html += '</tbody></table>';
+            if (data.revalidateInterval > 0) {
+                html += \`<p style="color: #666; margin-top: 10px;">Klucze w kwarantannie (odrzucone przez providera) są sprawdzane co \${Math.round(data.revalidateInterval / 60000)} min i wracają do rotacji po udanej walidacji.</p>\`;
+            }
+            return html + '</div>';
+        }
+        
         function updateConfigJSON() {
             if (!configData) return;
             document.getElementById('config-json').textContent = JSON.stringify(configData, null, 2);
@@ -3139,7 +6130,8 @@ print(response.choices[0].message.content)</div>
                 // Add built-in providers first
                 const builtIn = [
                     { value: 'openrouter', label: 'OpenRouter' },
-                    { value: 'gemini', label: 'Google Gemini' }
+                    { value: 'gemini', label: 'Google Gemini' },
+                    { value: 'opencode', label: 'OpenCode' }
                 ];
                 
                 builtIn.forEach(item => {
@@ -3180,14 +6172,14 @@ print(response.choices[0].message.content)</div>
                 
                 let availableModels = [];
                 
-                if (provider === 'openrouter' && data.openrouter) {
-                    availableModels = data.openrouter.map(m => m.id);
-                } else if (provider === 'gemini' && data.gemini) {
-                    availableModels = data.gemini.map(m => m.id);
+                if (data[provider] && data[provider].models) {
+                    availableModels = data[provider].models.map(m => m.id);
                 } else if (data.customProviders) {
                     const customProvider = data.customProviders.find(p => p.name === provider);
-                    if (customProvider && customProvider.models) {
-                        availableModels = customProvider.models;
+                    if (customProvider) {
+                        availableModels = customProvider.models.length > 0
+                            ? customProvider.models
+                            : [customProvider.modelPrefix + '/model-name'];
                     }
                 }
                 
@@ -3207,12 +6199,23 @@ print(response.choices[0].message.content)</div>
             const openaiModel = document.getElementById('new-openai-model').value;
             const targetModel = document.getElementById('new-target-model').value;
             const provider = document.getElementById('new-provider').value;
+            const targetsStr = document.getElementById('new-model-targets').value;
+            const strategy = document.getElementById('new-model-strategy').value;
+            
+            // Pula "model=waga, model" - provider z formularza dotyczy wszystkich modeli puli
+            const targets = targetsStr.split(',').map(t => t.trim()).filter(Boolean).map(target => {
+                const [model, weight] = target.split('=').map(part => part.trim());
+                return weight ? { model, weight: Number(weight), provider } : { model, provider };
+            });
+            const body = targets.length > 0
+                ? { openaiModel, targets, strategy }
+                : { openaiModel, targetModel, provider };
             
             try {
                 const response = await fetch('/config/models', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ openaiModel, targetModel, provider })
+                    body: JSON.stringify(body)
                 });
                 
                 const result = await response.json();
@@ -3417,10 +6420,20 @@ app.use((err, req, res, next) => {
 });
 
 // Uruchomienie serwera
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`OpenAI Gateway running on 0.0.0.0:${PORT}`);
   console.log(`Local: http://localhost:${PORT}/health`);
   console.log(`External: http://<your-server-ip>:${PORT}/health`);
 });
 
+// Zamknięcie: rekordy usage ledgera czekające w buforze są zapisywane przed wyjściem
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, async () => {
+    logger.info('API', `${signal} received, shutting down`);
+    server.close();
+    await usageLedger.close();
+    process.exit(0);
+  });
+}
+
 module.exports = app;
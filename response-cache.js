@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+
+/**
+ * Response Cache
+ *
+ * Bounded LRU cache for completion responses. Entries are limited by count
+ * and by approximate size (JSON byte length); the least recently used ones
+ * are evicted first. Expired entries are dropped lazily on read and by a
+ * single periodic sweeper instead of one timer per entry.
+ *
+ * SharedResponseCache keeps entries in a shared state store (see
+ * state-store.js) so that several gateway instances reuse each other's
+ * responses; eviction is then left to the store (e.g. Redis maxmemory).
+ */
+
+class ResponseCache {
+  constructor({ ttl = 3600000, maxEntries = 1000, maxBytes = 50 * 1024 * 1024, sweepInterval = 60000 } = {}) {
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // { key: { value, size, expiresAt } } - kolejność Map = kolejność LRU
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+
+    this.sweepInterval = setInterval(() => this.sweep(), sweepInterval);
+    this.sweepInterval.unref?.();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.stats.misses += 1;
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key, entry);
+      this.stats.expirations += 1;
+      this.stats.misses += 1;
+      return undefined;
+    }
+
+    // Odczytany wpis staje się najświeższy
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits += 1;
+    return entry.value;
+  }
+
+  has(key) {
+    const entry = this.entries.get(key);
+    return !!entry && entry.expiresAt > Date.now();
+  }
+
+  /**
+   * Store a value. Returns false when the value alone exceeds maxBytes.
+   */
+  set(key, value, ttl = this.ttl) {
+    const size = Buffer.byteLength(JSON.stringify(value), 'utf-8');
+    if (this.entries.has(key)) {
+      this.remove(key, this.entries.get(key));
+    }
+    if (size > this.maxBytes) {
+      return false;
+    }
+
+    this.entries.set(key, { value, size, expiresAt: Date.now() + ttl });
+    this.bytes += size;
+
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const [oldestKey, oldest] = this.entries.entries().next().value;
+      this.remove(oldestKey, oldest);
+      this.stats.evictions += 1;
+    }
+    return true;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.remove(key, entry);
+    return true;
+  }
+
+  remove(key, entry) {
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+  }
+
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    this.bytes = 0;
+    return count;
+  }
+
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) {
+        this.remove(key, entry);
+        removed++;
+      }
+    }
+    this.stats.expirations += removed;
+    return removed;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes
+    };
+  }
+
+  destroy() {
+    clearInterval(this.sweepInterval);
+  }
+}
+
+class SharedResponseCache {
+  constructor(store, { ttl = 3600000, maxBytes = 50 * 1024 * 1024 } = {}) {
+    this.store = store;
+    this.ttl = ttl;
+    this.maxBytes = maxBytes;
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 }; // liczniki tej instancji
+  }
+
+  // Klucze cache'a to pełny JSON zapytania - w magazynie zapisywany jest jego skrót
+  storeKey(key) {
+    return `cache:${crypto.createHash('sha256').update(key).digest('hex')}`;
+  }
+
+  async get(key) {
+    const value = await this.store.get(this.storeKey(key));
+    if (value === null) {
+      this.stats.misses += 1;
+      return undefined;
+    }
+    this.stats.hits += 1;
+    return value;
+  }
+
+  async set(key, value, ttl = this.ttl) {
+    if (Buffer.byteLength(JSON.stringify(value), 'utf-8') > this.maxBytes) {
+      return false;
+    }
+    await this.store.set(this.storeKey(key), value, ttl);
+    return true;
+  }
+
+  async delete(key) {
+    return this.store.delete(this.storeKey(key));
+  }
+
+  async clear() {
+    return this.store.clear('cache:');
+  }
+
+  get size() {
+    return null; // Liczba wpisów znana tylko magazynowi
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      entries: null,
+      bytes: null,
+      maxEntries: null,
+      maxBytes: this.maxBytes,
+      shared: true
+    };
+  }
+
+  destroy() {}
+}
+
+module.exports = ResponseCache;
+module.exports.SharedResponseCache = SharedResponseCache;
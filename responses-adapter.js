@@ -0,0 +1,463 @@
+/**
+ * OpenAI Responses API Adapter
+ *
+ * Implements /v1/responses on top of the gateway's chat completions routing:
+ * - convertResponsesRequest: `input` items + `instructions` -> chat completion body
+ * - buildResponse: chat.completion -> `response` object with output items
+ * - streamResponsesEvents: chat.completion.chunk stream -> response.* SSE events
+ * - ResponseStore: keeps finished responses (and their conversation) so that
+ *   `previous_response_id` can continue a conversation
+ */
+
+const crypto = require('crypto');
+
+function generateId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * In-memory store of finished responses, keyed by response id.
+ * Each entry keeps the response object and the chat messages of the whole
+ * conversation (without `instructions`, which are not carried over).
+ * An entry belongs to the gateway key that created it (`owner`, null without
+ * a key) and is visible only to that key.
+ * The store is bounded by entry count and by approximate size (JSON byte
+ * length); the oldest entries are evicted first.
+ */
+class ResponseStore {
+  constructor(ttl = 3600000, maxEntries = 1000, maxBytes = 50 * 1024 * 1024) {
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // { responseId: { response, conversation, owner, size, storedAt } }
+    this.bytes = 0;
+    this.cleanupInterval = setInterval(() => this.cleanup(), 60000);
+    this.cleanupInterval.unref?.();
+  }
+
+  /**
+   * Store a response. Returns false when the entry alone exceeds maxBytes.
+   */
+  save(response, conversation, owner = null) {
+    const size = Buffer.byteLength(JSON.stringify({ response, conversation }), 'utf-8');
+    if (this.entries.has(response.id)) {
+      this.remove(response.id, this.entries.get(response.id));
+    }
+    if (size > this.maxBytes) {
+      return false;
+    }
+
+    this.entries.set(response.id, { response, conversation, owner, size, storedAt: Date.now() });
+    this.bytes += size;
+
+    // Najstarsze wpisy są usuwane po przekroczeniu limitów (Map zachowuje kolejność wstawiania)
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const [oldestId, oldest] = this.entries.entries().next().value;
+      this.remove(oldestId, oldest);
+    }
+    return true;
+  }
+
+  // Odpowiedź innego właściciela jest traktowana jak nieistniejąca
+  get(responseId, owner = null) {
+    const entry = this.entries.get(responseId);
+    if (!entry || entry.owner !== owner) return null;
+    if (Date.now() - entry.storedAt > this.ttl) {
+      this.remove(responseId, entry);
+      return null;
+    }
+    return entry;
+  }
+
+  delete(responseId, owner = null) {
+    const entry = this.get(responseId, owner);
+    if (!entry) return false;
+    this.remove(responseId, entry);
+    return true;
+  }
+
+  remove(responseId, entry) {
+    this.entries.delete(responseId);
+    this.bytes -= entry.size;
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [responseId, entry] of this.entries.entries()) {
+      if (now - entry.storedAt > this.ttl) {
+        this.remove(responseId, entry);
+      }
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  destroy() {
+    clearInterval(this.cleanupInterval);
+  }
+}
+
+/**
+ * Validate a Responses API request body.
+ * Returns { message, param } describing the problem, or null when valid.
+ */
+function validateResponsesRequest(body) {
+  if (!body || typeof body !== 'object') {
+    return { message: 'Request body must be a JSON object', param: null };
+  }
+  if (!body.model || typeof body.model !== 'string') {
+    return { message: 'model is required and must be a string', param: 'model' };
+  }
+  if (typeof body.input !== 'string' && !Array.isArray(body.input)) {
+    return { message: 'input is required and must be a string or an array of input items', param: 'input' };
+  }
+  if (Array.isArray(body.input)) {
+    for (let i = 0; i < body.input.length; i++) {
+      const item = body.input[i];
+      const type = item?.type || 'message';
+      if (!['message', 'function_call', 'function_call_output', 'reasoning'].includes(type)) {
+        return { message: `Unsupported input item type '${type}'`, param: `input[${i}].type` };
+      }
+      if (type === 'message' && !['user', 'assistant', 'system', 'developer'].includes(item?.role)) {
+        return { message: `Invalid role '${item?.role}'. Must be one of: user, assistant, system, developer`, param: `input[${i}].role` };
+      }
+      if ((type === 'function_call' || type === 'function_call_output') && typeof item.call_id !== 'string') {
+        return { message: `${type} items require a call_id`, param: `input[${i}].call_id` };
+      }
+    }
+  }
+  if (body.instructions !== undefined && body.instructions !== null && typeof body.instructions !== 'string') {
+    return { message: 'instructions must be a string', param: 'instructions' };
+  }
+  if (body.previous_response_id !== undefined && body.previous_response_id !== null && typeof body.previous_response_id !== 'string') {
+    return { message: 'previous_response_id must be a string', param: 'previous_response_id' };
+  }
+  if (body.tools !== undefined) {
+    if (!Array.isArray(body.tools)) {
+      return { message: 'tools must be an array', param: 'tools' };
+    }
+    const unsupported = body.tools.find(tool => !tool || tool.type !== 'function' || typeof tool.name !== 'string');
+    if (unsupported) {
+      return { message: `Only function tools are supported by this gateway (got '${unsupported?.type}')`, param: 'tools' };
+    }
+  }
+  return null;
+}
+
+function convertContent(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+
+  const parts = content
+    .filter(part => ['input_text', 'output_text', 'text', 'input_image'].includes(part.type))
+    .map(part => part.type === 'input_image'
+      ? { type: 'image_url', image_url: { url: part.image_url } }
+      : { type: 'text', text: part.text });
+
+  // Sama treść tekstowa trafia do modelu jako zwykły string
+  if (parts.every(part => part.type === 'text')) {
+    return parts.map(part => part.text).join('\n');
+  }
+  return parts;
+}
+
+/**
+ * Convert Responses API `input` (string or item list) into chat messages.
+ */
+function convertInputItems(input) {
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }];
+  }
+
+  const messages = [];
+  for (const item of input) {
+    const type = item.type || 'message';
+
+    if (type === 'message') {
+      messages.push({
+        role: item.role === 'developer' ? 'system' : item.role,
+        content: convertContent(item.content)
+      });
+    } else if (type === 'function_call') {
+      const toolCall = {
+        id: item.call_id,
+        type: 'function',
+        function: { name: item.name, arguments: item.arguments || '{}' }
+      };
+
+      // Kolejne wywołania funkcji należą do jednej wiadomości asystenta
+      const lastMessage = messages[messages.length - 1];
+      if (lastMessage && lastMessage.role === 'assistant' && lastMessage.tool_calls) {
+        lastMessage.tool_calls.push(toolCall);
+      } else {
+        messages.push({ role: 'assistant', content: null, tool_calls: [toolCall] });
+      }
+    } else if (type === 'function_call_output') {
+      messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output)
+      });
+    }
+  }
+  return messages;
+}
+
+function convertToolChoice(toolChoice) {
+  if (toolChoice && typeof toolChoice === 'object' && toolChoice.type === 'function') {
+    return { type: 'function', function: { name: toolChoice.name } };
+  }
+  return toolChoice;
+}
+
+/**
+ * Build the chat completion body for a Responses request.
+ * `previousConversation` holds the chat messages of the response referenced by
+ * previous_response_id. Returns { chatBody, conversation } where `conversation`
+ * is the history to store (without instructions).
+ */
+function convertResponsesRequest(body, previousConversation = []) {
+  const conversation = [...previousConversation, ...convertInputItems(body.input)];
+  const messages = body.instructions
+    ? [{ role: 'system', content: body.instructions }, ...conversation]
+    : conversation;
+
+  const chatBody = {
+    model: body.model,
+    messages,
+    stream: !!body.stream
+  };
+
+  if (body.max_output_tokens !== undefined) chatBody.max_tokens = body.max_output_tokens;
+  if (body.temperature !== undefined) chatBody.temperature = body.temperature;
+  if (body.top_p !== undefined) chatBody.top_p = body.top_p;
+
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    chatBody.tools = body.tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description || '',
+        parameters: tool.parameters || { type: 'object', properties: {} }
+      }
+    }));
+    if (body.tool_choice !== undefined) {
+      chatBody.tool_choice = convertToolChoice(body.tool_choice);
+    }
+  }
+
+  return { chatBody, conversation };
+}
+
+// Szkielet obiektu response - wspólny dla odpowiedzi zwykłej i zdarzeń streamu
+function createResponseObject(body, id, status) {
+  return {
+    id,
+    object: 'response',
+    created_at: Math.floor(Date.now() / 1000),
+    status,
+    error: null,
+    incomplete_details: null,
+    instructions: body.instructions || null,
+    max_output_tokens: body.max_output_tokens || null,
+    model: body.model,
+    output: [],
+    parallel_tool_calls: true,
+    previous_response_id: body.previous_response_id || null,
+    temperature: body.temperature ?? null,
+    tool_choice: body.tool_choice || 'auto',
+    tools: body.tools || [],
+    top_p: body.top_p ?? null,
+    usage: null,
+    metadata: body.metadata || {}
+  };
+}
+
+function convertUsage(usage) {
+  return {
+    input_tokens: usage?.prompt_tokens || 0,
+    output_tokens: usage?.completion_tokens || 0,
+    total_tokens: usage?.total_tokens || (usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0)
+  };
+}
+
+function finalizeResponse(response, finishReason, usage) {
+  response.status = finishReason === 'length' ? 'incomplete' : 'completed';
+  if (finishReason === 'length') {
+    response.incomplete_details = { reason: 'max_output_tokens' };
+  }
+  response.usage = convertUsage(usage);
+  response.output_text = response.output
+    .filter(item => item.type === 'message')
+    .flatMap(item => item.content.map(part => part.text))
+    .join('');
+  return response;
+}
+
+// Wiadomość asystenta (format chat) odpowiadająca elementom output - do zapisania w historii
+function outputToChatMessage(output) {
+  const text = output
+    .filter(item => item.type === 'message')
+    .flatMap(item => item.content.map(part => part.text))
+    .join('');
+  const toolCalls = output
+    .filter(item => item.type === 'function_call')
+    .map(item => ({
+      id: item.call_id,
+      type: 'function',
+      function: { name: item.name, arguments: item.arguments }
+    }));
+
+  const message = { role: 'assistant', content: text || (toolCalls.length > 0 ? null : '') };
+  if (toolCalls.length > 0) {
+    message.tool_calls = toolCalls;
+  }
+  return message;
+}
+
+/**
+ * Convert a chat.completion into a Responses API `response` object.
+ */
+function buildResponse(openAIResponse, body) {
+  const response = createResponseObject(body, generateId('resp'), 'completed');
+  const choice = openAIResponse.choices?.[0] || {};
+  const message = choice.message || {};
+
+  if (message.content) {
+    response.output.push({
+      type: 'message',
+      id: generateId('msg'),
+      status: 'completed',
+      role: 'assistant',
+      content: [{ type: 'output_text', text: message.content, annotations: [] }]
+    });
+  }
+
+  for (const toolCall of message.tool_calls || []) {
+    response.output.push({
+      type: 'function_call',
+      id: generateId('fc'),
+      call_id: toolCall.id,
+      name: toolCall.function.name,
+      arguments: toolCall.function.arguments,
+      status: 'completed'
+    });
+  }
+
+  return finalizeResponse(response, choice.finish_reason, openAIResponse.usage);
+}
+
+/**
+ * Translate a stream of chat.completion.chunk objects into Responses API events
+ * (response.created, response.output_item.added, response.output_text.delta,
+ * response.function_call_arguments.delta, ..., response.completed).
+ */
+async function* streamResponsesEvents(chunks, body) {
+  const response = createResponseObject(body, generateId('resp'), 'in_progress');
+  let sequenceNumber = 0;
+  const event = (type, fields) => ({ type, sequence_number: sequenceNumber++, ...fields });
+
+  yield event('response.created', { response: { ...response, output: [] } });
+  yield event('response.in_progress', { response: { ...response, output: [] } });
+
+  let currentItem = null; // { item, outputIndex, toolIndex? }
+  let finishReason = null;
+  let usage = null;
+
+  const closeItem = function* () {
+    if (!currentItem) return;
+    const { item, outputIndex } = currentItem;
+    item.status = 'completed';
+
+    if (item.type === 'message') {
+      const part = item.content[0];
+      yield event('response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text: part.text });
+      yield event('response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part });
+    } else {
+      yield event('response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: item.arguments });
+    }
+    yield event('response.output_item.done', { output_index: outputIndex, item });
+    currentItem = null;
+  };
+
+  for await (const chunk of chunks) {
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+    const delta = choice.delta || {};
+
+    if (delta.content) {
+      if (!currentItem || currentItem.item.type !== 'message') {
+        yield* closeItem();
+        const item = { type: 'message', id: generateId('msg'), status: 'in_progress', role: 'assistant', content: [] };
+        response.output.push(item);
+        currentItem = { item, outputIndex: response.output.length - 1 };
+        yield event('response.output_item.added', { output_index: currentItem.outputIndex, item: { ...item, content: [] } });
+
+        const part = { type: 'output_text', text: '', annotations: [] };
+        item.content.push(part);
+        yield event('response.content_part.added', { item_id: item.id, output_index: currentItem.outputIndex, content_index: 0, part: { ...part } });
+      }
+      currentItem.item.content[0].text += delta.content;
+      yield event('response.output_text.delta', {
+        item_id: currentItem.item.id,
+        output_index: currentItem.outputIndex,
+        content_index: 0,
+        delta: delta.content
+      });
+    }
+
+    for (const toolCall of delta.tool_calls || []) {
+      const toolIndex = toolCall.index ?? 0;
+      if (!currentItem || currentItem.item.type !== 'function_call' || currentItem.toolIndex !== toolIndex) {
+        yield* closeItem();
+        const item = {
+          type: 'function_call',
+          id: generateId('fc'),
+          call_id: toolCall.id,
+          name: toolCall.function?.name,
+          arguments: '',
+          status: 'in_progress'
+        };
+        response.output.push(item);
+        currentItem = { item, outputIndex: response.output.length - 1, toolIndex };
+        yield event('response.output_item.added', { output_index: currentItem.outputIndex, item: { ...item } });
+      }
+      if (toolCall.function?.arguments) {
+        currentItem.item.arguments += toolCall.function.arguments;
+        yield event('response.function_call_arguments.delta', {
+          item_id: currentItem.item.id,
+          output_index: currentItem.outputIndex,
+          delta: toolCall.function.arguments
+        });
+      }
+    }
+
+    if (choice.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+  }
+
+  yield* closeItem();
+
+  finalizeResponse(response, finishReason, usage);
+  yield event(response.status === 'incomplete' ? 'response.incomplete' : 'response.completed', { response });
+}
+
+module.exports = {
+  ResponseStore,
+  validateResponsesRequest,
+  convertResponsesRequest,
+  buildResponse,
+  streamResponsesEvents,
+  outputToChatMessage
+};
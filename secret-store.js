@@ -0,0 +1,94 @@
+/**
+ * Secret Store
+ *
+ * Encrypts provider API keys before they are persisted in the config store
+ * (AES-256-GCM). The master key comes from the environment; any string works,
+ * a 256-bit key is derived from it with scrypt. Use a long random value, e.g.
+ * `openssl rand -base64 32`.
+ *
+ * Encrypted values look like "enc:v1:<keyId>:<iv>:<tag>:<ciphertext>" (base64).
+ * keyId identifies the master key, so values written with a previous master
+ * key can still be read during a rotation. Values without the prefix are
+ * treated as plain text (written before encryption was enabled).
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+
+class SecretDecryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SecretDecryptionError';
+  }
+}
+
+function deriveKey(secret) {
+  const key = crypto.scryptSync(String(secret), 'portatel-secret-store', 32);
+  const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+  return { id, key };
+}
+
+class SecretStore {
+  /**
+   * @param {Object} options
+   * @param {string} [options.masterKey] - current master key (encrypts new values)
+   * @param {string[]} [options.previousKeys] - earlier master keys, only for reading
+   */
+  constructor({ masterKey = null, previousKeys = [] } = {}) {
+    this.current = masterKey ? deriveKey(masterKey) : null;
+    this.keys = new Map(); // { keyId: klucz AES }
+    for (const secret of [masterKey, ...previousKeys].filter(Boolean)) {
+      const { id, key } = deriveKey(secret);
+      this.keys.set(id, key);
+    }
+  }
+
+  get enabled() {
+    return this.current !== null;
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  // Bez klucza głównego wartość zostaje bez zmian (zapis jawny)
+  encrypt(plaintext) {
+    if (!this.enabled) {
+      return plaintext;
+    }
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.current.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return [PREFIX + this.current.id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+  }
+
+  decrypt(value) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+    const [keyId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new SecretDecryptionError(`Secret was encrypted with an unknown master key (${keyId})`);
+    }
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new SecretDecryptionError(`Secret could not be decrypted with master key ${keyId}: ${error.message}`);
+    }
+  }
+
+  // Wartość do ponownego zapisu: jawna przy włączonym szyfrowaniu lub zaszyfrowana poprzednim kluczem
+  needsRotation(value) {
+    if (!this.enabled) {
+      return false;
+    }
+    return !this.isEncrypted(value) || !value.startsWith(`${PREFIX}${this.current.id}:`);
+  }
+}
+
+module.exports = SecretStore;
+module.exports.SecretDecryptionError = SecretDecryptionError;
@@ -0,0 +1,116 @@
+/**
+ * Semantic Cache
+ *
+ * Opt-in cache for near-duplicate prompts. Each entry keeps the embedding of
+ * the last user message together with the completion it produced. Entries
+ * are partitioned by model, options and the rest of the conversation, so a
+ * hit only requires the final question to be similar (cosine similarity at
+ * or above the model's threshold). Kept in process memory.
+ */
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) {
+    return 0;
+  }
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Parse per-model thresholds given as "gpt-4o=0.97,gpt-5=0.9".
+ */
+function parseModelThresholds(value) {
+  const thresholds = {};
+  for (const pair of (value || '').split(',')) {
+    const [model, threshold] = pair.split('=').map(part => part && part.trim());
+    const parsed = parseFloat(threshold);
+    if (model && !Number.isNaN(parsed)) {
+      thresholds[model] = parsed;
+    }
+  }
+  return thresholds;
+}
+
+class SemanticCache {
+  constructor({ threshold = 0.95, modelThresholds = {}, ttl = 3600000, maxEntries = 1000 } = {}) {
+    this.threshold = threshold;
+    this.modelThresholds = modelThresholds;
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // { id: { partition, model, embedding, response, expiresAt } }
+    this.nextId = 0;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  getThreshold(model) {
+    return this.modelThresholds[model] ?? this.threshold;
+  }
+
+  /**
+   * Find the most similar cached answer in the partition.
+   * Returns { response, similarity } or null.
+   */
+  lookup(partition, model, embedding) {
+    const now = Date.now();
+    const threshold = this.getThreshold(model);
+    let best = null;
+
+    for (const [id, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(id);
+        continue;
+      }
+      if (entry.partition !== partition) continue;
+
+      const similarity = cosineSimilarity(embedding, entry.embedding);
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { response: entry.response, similarity };
+      }
+    }
+
+    if (best) {
+      this.stats.hits += 1;
+    } else {
+      this.stats.misses += 1;
+    }
+    return best;
+  }
+
+  add(partition, model, embedding, response) {
+    // Najstarsze wpisy są usuwane po przekroczeniu limitu (Map zachowuje kolejność wstawiania)
+    while (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(this.nextId++, { partition, model, embedding, response, expiresAt: Date.now() + this.ttl });
+  }
+
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    return count;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      entries: this.entries.size,
+      threshold: this.threshold,
+      modelThresholds: this.modelThresholds
+    };
+  }
+}
+
+module.exports = SemanticCache;
+module.exports.cosineSimilarity = cosineSimilarity;
+module.exports.parseModelThresholds = parseModelThresholds;
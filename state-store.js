@@ -0,0 +1,409 @@
+const net = require('net');
+const tls = require('tls');
+
+/**
+ * Shared state store
+ *
+ * Storage for state that has to be shared between gateway instances:
+ * response cache entries, rate-limit buckets and OpenCode sessions.
+ * MemoryStateStore keeps everything in the current process (default);
+ * RedisStateStore talks RESP to any Redis-compatible server without
+ * extra dependencies.
+ *
+ * Every method is async. Values are JSON-serializable, TTLs are in ms.
+ */
+
+// Token bucket wykonywany atomowo po stronie Redis (wiele instancji gateway)
+const CONSUME_TOKEN_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(bucket[1]) or capacity
+local ts = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * capacity / window)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], window * 2)
+return { allowed, tostring(tokens) }
+`;
+
+function refillBucket(bucket, capacity, windowMs, now) {
+  const elapsed = Math.max(0, now - bucket.ts);
+  return Math.min(capacity, bucket.tokens + (elapsed * capacity) / windowMs);
+}
+
+function bucketResult(allowed, tokens, capacity, windowMs, now) {
+  // Czas do odzyskania jednego tokenu
+  const msPerToken = windowMs / capacity;
+  return {
+    allowed,
+    remaining: Math.floor(tokens),
+    resetAt: now + (tokens >= 1 ? 0 : Math.ceil((1 - tokens) * msPerToken))
+  };
+}
+
+class MemoryStateStore {
+  constructor({ sweepInterval = 60000 } = {}) {
+    this.type = 'memory';
+    this.entries = new Map(); // { key: { value, expiresAt } }
+    this.sweepInterval = setInterval(() => this.sweep(), sweepInterval);
+    this.sweepInterval.unref?.();
+  }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.read(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, ttl = null) {
+    this.entries.set(key, { value, expiresAt: ttl ? Date.now() + ttl : null });
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async keys(prefix = '') {
+    return Array.from(this.entries.keys()).filter(key => key.startsWith(prefix) && this.read(key));
+  }
+
+  async clear(prefix = '') {
+    const keys = await this.keys(prefix);
+    keys.forEach(key => this.entries.delete(key));
+    return keys.length;
+  }
+
+  async append(key, value, ttl = null) {
+    const entry = this.read(key) || { value: [], expiresAt: null };
+    entry.value.push(value);
+    if (ttl) entry.expiresAt = Date.now() + ttl;
+    this.entries.set(key, entry);
+    return entry.value.length;
+  }
+
+  async range(key) {
+    const entry = this.read(key);
+    return entry ? entry.value.slice() : [];
+  }
+
+  async expire(key, ttl) {
+    const entry = this.read(key);
+    if (!entry) return false;
+    entry.expiresAt = Date.now() + ttl;
+    return true;
+  }
+
+  async consumeToken(key, capacity, windowMs, now = Date.now()) {
+    const entry = this.read(key);
+    let tokens = entry ? refillBucket(entry.value, capacity, windowMs, now) : capacity;
+    const allowed = tokens >= 1;
+    if (allowed) tokens -= 1;
+
+    this.entries.set(key, { value: { tokens, ts: now }, expiresAt: now + windowMs * 2 });
+    return bucketResult(allowed, tokens, capacity, windowMs, now);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async close() {
+    clearInterval(this.sweepInterval);
+  }
+}
+
+class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+function encodeCommand(args) {
+  let command = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const text = String(arg);
+    command += `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+  }
+  return command;
+}
+
+/**
+ * Parse one RESP reply starting at `offset`.
+ * Returns { value, offset } or null when the buffer is incomplete.
+ */
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf-8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisError(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf-8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new RedisError(`Unexpected RESP reply type '${type}'`);
+  }
+}
+
+function escapePattern(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+class RedisStateStore {
+  constructor({ url = 'redis://localhost:6379', prefix = 'portatel:', connectTimeout = 5000, commandTimeout = 2000 } = {}) {
+    const parsed = new URL(url);
+    this.type = 'redis';
+    this.host = parsed.hostname || 'localhost';
+    this.port = parseInt(parsed.port || '6379', 10);
+    this.useTls = parsed.protocol === 'rediss:';
+    this.username = decodeURIComponent(parsed.username || '');
+    this.password = decodeURIComponent(parsed.password || '');
+    this.db = parseInt(parsed.pathname.slice(1) || '0', 10);
+    this.prefix = prefix;
+    this.connectTimeout = connectTimeout;
+    this.commandTimeout = commandTimeout;
+
+    this.socket = null;
+    this.connected = false;
+    this.buffer = Buffer.alloc(0);
+    this.pending = []; // odpowiedzi oczekiwane w kolejności wysłania
+    this.offline = []; // komendy czekające na połączenie
+  }
+
+  connect() {
+    const options = { host: this.host, port: this.port };
+    const socket = this.useTls ? tls.connect({ ...options, servername: this.host }) : net.createConnection(options);
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+
+    const timer = setTimeout(() => socket.destroy(new RedisError(`Connection to ${this.host}:${this.port} timed out`)), this.connectTimeout);
+
+    socket.once(this.useTls ? 'secureConnect' : 'connect', () => {
+      clearTimeout(timer);
+      this.connected = true;
+
+      const handshake = [];
+      if (this.password) {
+        handshake.push(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+      }
+      if (this.db) {
+        handshake.push(['SELECT', this.db]);
+      }
+      for (const args of handshake) {
+        this.write(args, () => {}, error => socket.destroy(error));
+      }
+
+      const queued = this.offline;
+      this.offline = [];
+      queued.forEach(({ args, resolve, reject }) => this.write(args, resolve, reject));
+    });
+
+    socket.on('data', chunk => this.onData(chunk));
+    socket.on('error', error => {
+      this.lastError = error;
+    });
+    socket.on('close', () => {
+      clearTimeout(timer);
+      const error = this.lastError || new RedisError('Connection closed');
+      this.socket = null;
+      this.connected = false;
+      this.lastError = null;
+
+      // Nowe komendy otworzą połączenie ponownie
+      const failed = [...this.pending, ...this.offline];
+      this.pending = [];
+      this.offline = [];
+      failed.forEach(({ reject }) => reject(error));
+    });
+  }
+
+  write(args, resolve, reject) {
+    this.pending.push({ resolve, reject });
+    this.socket.write(encodeCommand(args));
+  }
+
+  onData(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    let offset = 0;
+    while (offset < this.buffer.length) {
+      let reply;
+      try {
+        reply = parseReply(this.buffer, offset);
+      } catch (error) {
+        this.socket.destroy(error);
+        return;
+      }
+      if (!reply) break;
+      offset = reply.offset;
+
+      const handler = this.pending.shift();
+      if (!handler) continue;
+      if (reply.value instanceof RedisError) {
+        handler.reject(reply.value);
+      } else {
+        handler.resolve(reply.value);
+      }
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  command(...args) {
+    return new Promise((promiseResolve, promiseReject) => {
+      // Odpowiedzi przychodzą w kolejności wysłania, więc po przekroczeniu czasu połączenie jest zamykane
+      // (odrzuca też pozostałe oczekujące komendy); kolejna komenda otworzy nowe
+      const timer = setTimeout(() => {
+        const error = new RedisError(`${args[0]} timed out after ${this.commandTimeout} ms`);
+        promiseReject(error);
+        if (this.socket) this.socket.destroy(error);
+      }, this.commandTimeout);
+      const resolve = value => {
+        clearTimeout(timer);
+        promiseResolve(value);
+      };
+      const reject = error => {
+        clearTimeout(timer);
+        promiseReject(error);
+      };
+
+      if (this.connected) {
+        this.write(args, resolve, reject);
+        return;
+      }
+      this.offline.push({ args, resolve, reject });
+      if (!this.socket) {
+        this.connect();
+      }
+    });
+  }
+
+  async get(key) {
+    const value = await this.command('GET', this.prefix + key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value, ttl = null) {
+    const args = ['SET', this.prefix + key, JSON.stringify(value)];
+    if (ttl) args.push('PX', Math.ceil(ttl));
+    await this.command(...args);
+  }
+
+  async delete(key) {
+    return (await this.command('DEL', this.prefix + key)) > 0;
+  }
+
+  async keys(prefix = '') {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [nextCursor, batch] = await this.command('SCAN', cursor, 'MATCH', `${escapePattern(this.prefix + prefix)}*`, 'COUNT', 100);
+      cursor = nextCursor;
+      keys.push(...batch.map(key => key.slice(this.prefix.length)));
+    } while (cursor !== '0');
+    return Array.from(new Set(keys));
+  }
+
+  async clear(prefix = '') {
+    const keys = await this.keys(prefix);
+    let removed = 0;
+    for (let i = 0; i < keys.length; i += 100) {
+      removed += await this.command('DEL', ...keys.slice(i, i + 100).map(key => this.prefix + key));
+    }
+    return removed;
+  }
+
+  async append(key, value, ttl = null) {
+    const length = await this.command('RPUSH', this.prefix + key, JSON.stringify(value));
+    if (ttl) await this.command('PEXPIRE', this.prefix + key, Math.ceil(ttl));
+    return length;
+  }
+
+  async range(key) {
+    const values = await this.command('LRANGE', this.prefix + key, 0, -1);
+    return values.map(value => JSON.parse(value));
+  }
+
+  async expire(key, ttl) {
+    return (await this.command('PEXPIRE', this.prefix + key, Math.ceil(ttl))) === 1;
+  }
+
+  async consumeToken(key, capacity, windowMs, now = Date.now()) {
+    const [allowed, tokens] = await this.command('EVAL', CONSUME_TOKEN_SCRIPT, 1, this.prefix + key, capacity, windowMs, now);
+    return bucketResult(allowed === 1, parseFloat(tokens), capacity, windowMs, now);
+  }
+
+  async close() {
+    if (!this.socket) return;
+    const socket = this.socket;
+    await this.command('QUIT').catch(() => {});
+    socket.destroy();
+  }
+}
+
+/**
+ * Create a state store from settings ({ type: 'memory' | 'redis', url, prefix, commandTimeout }).
+ */
+function createStateStore({ type = 'memory', url, prefix, commandTimeout } = {}) {
+  if (type === 'memory') {
+    return new MemoryStateStore();
+  }
+  if (type === 'redis') {
+    return new RedisStateStore({ url, prefix, commandTimeout });
+  }
+  throw new Error(`Unknown state store type '${type}'. Supported: memory, redis`);
+}
+
+module.exports = {
+  MemoryStateStore,
+  RedisStateStore,
+  RedisError,
+  createStateStore,
+  encodeCommand,
+  parseReply
+};
@@ -0,0 +1,114 @@
+const {
+  validateAnthropicRequest,
+  convertAnthropicRequest,
+  convertToAnthropicResponse,
+  streamAnthropicEvents,
+  createAnthropicError
+} = require('./anthropic-adapter.js');
+
+let testsRun = 0;
+let testsPassed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (!condition) {
+    console.error(`❌ Test ${testsRun} FAILED: ${message}`);
+    return;
+  }
+  testsPassed++;
+  console.log(`✅ Test ${testsRun} PASSED: ${message}`);
+}
+
+async function* fromArray(chunks) {
+  for (const chunk of chunks) {
+    yield chunk;
+  }
+}
+
+async function collect(events) {
+  const collected = [];
+  for await (const event of events) {
+    collected.push(event);
+  }
+  return collected;
+}
+
+async function runTests() {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('   Anthropic Adapter Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  const userMessage = { role: 'user', content: 'Hello' };
+
+  // Test 1: Request validation
+  assert(validateAnthropicRequest({ model: 'claude-3', max_tokens: 100, messages: [userMessage] }) === null, 'Valid request accepted');
+  assert(validateAnthropicRequest({ model: 'claude-3', messages: [userMessage] }).startsWith('max_tokens'), 'Missing max_tokens rejected');
+  assert(validateAnthropicRequest({ model: 'claude-3', max_tokens: 100, messages: [{ role: 'system', content: 'x' }] }).includes('role'), 'System role in messages rejected');
+  assert(validateAnthropicRequest({ model: 'claude-3', max_tokens: 100, messages: [{ role: 'user', content: [{ type: 'audio' }] }] }).includes('audio'), 'Unknown content block rejected');
+  const assistantImage = { role: 'assistant', content: [{ type: 'image', source: { type: 'url', url: 'https://example.com/a.png' } }] };
+  assert(validateAnthropicRequest({ model: 'claude-3', max_tokens: 100, messages: [userMessage, assistantImage] }).includes('image'), 'Image in assistant message rejected');
+
+  // Test 2: Request conversion
+  const converted = convertAnthropicRequest({
+    model: 'claude-3',
+    max_tokens: 200,
+    system: [{ type: 'text', text: 'Be brief' }],
+    stop_sequences: ['END'],
+    messages: [
+      { role: 'user', content: [{ type: 'text', text: 'Weather?' }, { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } }] },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'weather', input: { city: 'Warsaw' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: 'Sunny', is_error: false }, { type: 'text', text: 'Thanks' }] }
+    ],
+    tools: [{ name: 'weather', input_schema: { type: 'object', properties: { city: { type: 'string' } } } }],
+    tool_choice: { type: 'any' }
+  });
+  assert(converted.messages[0].role === 'system' && converted.messages[0].content === 'Be brief', 'System blocks become a system message');
+  assert(converted.messages[1].content[1].image_url.url === 'data:image/png;base64,AAAA', 'Base64 image becomes a data URL');
+  assert(converted.messages[2].content === null && converted.messages[2].tool_calls[0].function.arguments === '{"city":"Warsaw"}', 'tool_use becomes an assistant tool call');
+  assert(converted.messages[3].role === 'tool' && converted.messages[3].tool_call_id === 'toolu_1' && converted.messages[4].content === 'Thanks', 'tool_result precedes the remaining user text');
+  assert(converted.stop[0] === 'END' && converted.tool_choice === 'required' && converted.tools[0].function.name === 'weather', 'stop_sequences, tools and tool_choice converted');
+
+  // Test 3: Response conversion
+  const message = convertToAnthropicResponse({
+    choices: [{
+      finish_reason: 'tool_calls',
+      message: { content: 'Checking', tool_calls: [{ id: 'call_1', function: { name: 'weather', arguments: '{"city":"Paris"}' } }] }
+    }],
+    usage: { prompt_tokens: 12, completion_tokens: 5 }
+  }, 'claude-3');
+  assert(message.type === 'message' && message.model === 'claude-3' && message.id.startsWith('msg_'), 'Message carries the requested model');
+  assert(message.content[0].text === 'Checking' && message.content[1].input.city === 'Paris', 'Text and tool_use blocks returned');
+  assert(message.stop_reason === 'tool_use' && message.usage.input_tokens === 12 && message.usage.output_tokens === 5, 'Stop reason and usage mapped');
+
+  // Test 4: Streaming events
+  const events = await collect(streamAnthropicEvents(fromArray([
+    { choices: [{ delta: { content: 'Hi' } }] },
+    { choices: [{ delta: { content: ' there' } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'weather', arguments: '{"city":' } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"Rome"}' } }] }, finish_reason: 'tool_calls' }] },
+    { choices: [], usage: { prompt_tokens: 3, completion_tokens: 7 } }
+  ]), 'claude-3'));
+  const types = events.map(event => event.type);
+  assert(types[0] === 'message_start' && types[types.length - 1] === 'message_stop', 'Stream starts with message_start and ends with message_stop');
+  assert(events.filter(event => event.type === 'content_block_start').map(event => event.content_block.type).join(',') === 'text,tool_use', 'Text and tool_use blocks opened in order');
+  assert(events.filter(event => event.type === 'content_block_stop').length === 2, 'Every block closed');
+  const partialJson = events.filter(event => event.delta?.type === 'input_json_delta').map(event => event.delta.partial_json).join('');
+  assert(partialJson === '{"city":"Rome"}', 'Tool arguments streamed as input_json_delta');
+  const messageDelta = events.find(event => event.type === 'message_delta');
+  assert(messageDelta.delta.stop_reason === 'tool_use' && messageDelta.usage.output_tokens === 7, 'message_delta carries stop reason and output tokens');
+
+  // Test 5: Error format
+  assert(createAnthropicError(429, 'Slow down').error.type === 'rate_limit_error', 'HTTP 429 maps to rate_limit_error');
+  assert(createAnthropicError(503, 'Busy').error.type === 'overloaded_error' && createAnthropicError(500, 'x').error.type === 'api_error', 'Server errors mapped');
+
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`   Results: ${testsPassed}/${testsRun} tests passed`);
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(testsPassed === testsRun ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
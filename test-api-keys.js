@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiKeyManager = require('./api-keys.js');
+
+let testsRun = 0;
+let testsPassed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (!condition) {
+    console.error(`❌ Test ${testsRun} FAILED: ${message}`);
+    return;
+  }
+  testsPassed++;
+  console.log(`✅ Test ${testsRun} PASSED: ${message}`);
+}
+
+function expectError(fn, code, message) {
+  try {
+    fn();
+    assert(false, message);
+  } catch (error) {
+    assert(error instanceof ApiKeyManager.ApiKeyError && error.code === code, message);
+  }
+}
+
+async function runTests() {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('   Gateway API Key Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+  const dbPath = path.join(tmpDir, 'api-keys-db.json');
+
+  try {
+    // Test 1: Key creation
+    const manager = new ApiKeyManager(dbPath);
+    assert(!manager.hasKeys(), 'Empty store has no keys');
+    const { key, record } = manager.createKey({ userId: 'github_1', name: 'ci', allowedModels: ['gpt-4o', 'gpt-5*'], rpm: 2, dailyTokens: 100 });
+    assert(ApiKeyManager.isGatewayKey(key), 'Minted key has sk-gw- prefix');
+    assert(!('keyHash' in record), 'Returned record does not expose the hash');
+    assert(manager.hasKeys(), 'Store reports issued keys');
+
+    const stored = fs.readFileSync(dbPath, 'utf-8');
+    assert(!stored.includes(key), 'Plaintext key is not written to disk');
+
+    // Test 2: Authentication
+    const authenticated = manager.authenticate(key);
+    assert(authenticated.id === record.id, 'Presented key resolves to its record');
+    expectError(() => manager.authenticate('sk-gw-unknown'), 'invalid_api_key', 'Unknown key rejected');
+
+    // Test 3: Model allow-list
+    assert(manager.isModelAllowed(authenticated, 'gpt-4o'), 'Exact model allowed');
+    assert(manager.isModelAllowed(authenticated, 'gpt-5-nano'), 'Prefix pattern allows matching model');
+    expectError(() => manager.authorizeRequest(authenticated, 'gpt-4'), 'model_not_allowed', 'Model outside allow-list rejected');
+
+    // Test 4: Requests per minute
+    manager.authorizeRequest(authenticated, 'gpt-4o');
+    manager.authorizeRequest(authenticated, 'gpt-4o');
+    expectError(() => manager.authorizeRequest(authenticated, 'gpt-4o'), 'rate_limit_exceeded', 'RPM limit enforced');
+
+    // Test 5: Daily token budget
+    const budgetKey = manager.createKey({ userId: 'github_1', dailyTokens: 50 });
+    const budgetRecord = manager.authenticate(budgetKey.key);
+    manager.recordTokens(budgetRecord.id, 60);
+    assert(manager.getKey(budgetRecord.id).usage.tokens === 60, 'Token usage recorded for today');
+    expectError(() => manager.authorizeRequest(budgetRecord, 'gpt-4o'), 'insufficient_quota', 'Exhausted daily budget rejected');
+
+    // Test 6: Expiry and revocation
+    const expiring = manager.createKey({ userId: 'github_2', expiresAt: new Date(Date.now() - 1000).toISOString() });
+    expectError(() => manager.authenticate(expiring.key), 'api_key_expired', 'Expired key rejected');
+    manager.updateKey(record.id, { revoked: true });
+    expectError(() => manager.authenticate(key), 'api_key_revoked', 'Revoked key rejected');
+
+    // Test 7: Persistence and listing
+    manager.saveKeys();
+    const reloaded = new ApiKeyManager(dbPath);
+    assert(reloaded.listKeys().length === 3, 'Keys reloaded from disk');
+    assert(reloaded.listKeys('github_2').length === 1, 'Keys can be listed per user');
+    assert(reloaded.deleteKey(expiring.record.id) && reloaded.listKeys().length === 2, 'Key deleted');
+    assert(fs.readdirSync(tmpDir).every(file => !file.endsWith('.tmp')), 'No temporary file left after saving');
+
+    // Test 8: Unreadable database
+    fs.writeFileSync(dbPath, '{"truncated', 'utf-8');
+    let loadError = null;
+    try {
+      new ApiKeyManager(dbPath);
+    } catch (error) {
+      loadError = error;
+    }
+    assert(loadError && loadError.message.includes(dbPath), 'Corrupted database fails to load instead of starting empty');
+    assert(fs.readFileSync(dbPath, 'utf-8') === '{"truncated', 'Corrupted database left untouched');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`   Results: ${testsPassed}/${testsRun} tests passed`);
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(testsPassed === testsRun ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+const { ChatStreamAssembler, completionToChunks } = require('./chat-stream.js');
+
+let testsRun = 0;
+let testsPassed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (!condition) {
+    console.error(`❌ Test ${testsRun} FAILED: ${message}`);
+    return;
+  }
+  testsPassed++;
+  console.log(`✅ Test ${testsRun} PASSED: ${message}`);
+}
+
+function chunk(choices, extra = {}) {
+  return { id: 'chatcmpl-1', object: 'chat.completion.chunk', created: 1700000000, model: 'gpt-4o', choices, ...extra };
+}
+
+async function runTests() {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('   Chat Stream Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  // Test 1: Text stream assembled into a completion
+  const text = new ChatStreamAssembler();
+  text.add(chunk([{ index: 0, delta: { role: 'assistant', content: 'Hel' }, finish_reason: null }]));
+  assert(!text.isComplete(), 'Stream without finish_reason is not complete');
+  text.add(chunk([{ index: 0, delta: { content: 'lo' }, finish_reason: null }]));
+  text.add(chunk([{ index: 0, delta: {}, finish_reason: 'stop' }]));
+  text.add(chunk([], { usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 } }));
+
+  const completion = text.toCompletion('gpt-4o');
+  assert(text.isComplete(), 'Stream with finish_reason is complete');
+  assert(completion.object === 'chat.completion' && completion.id === 'chatcmpl-1', 'Completion keeps stream id');
+  assert(completion.choices[0].message.content === 'Hello' && completion.choices[0].finish_reason === 'stop', 'Content deltas concatenated');
+  assert(completion.usage.total_tokens === 5, 'Usage taken from the usage chunk');
+
+  // Test 2: Tool call deltas merged by index
+  const tools = new ChatStreamAssembler();
+  tools.add(chunk([{ index: 0, delta: { role: 'assistant', tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '' } }] }, finish_reason: null }]));
+  tools.add(chunk([{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '{"city":' } }] }, finish_reason: null }]));
+  tools.add(chunk([{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '"Paris"}' } }] }, finish_reason: 'tool_calls' }]));
+  const toolMessage = tools.toCompletion('gpt-4o').choices[0].message;
+  assert(toolMessage.content === null && toolMessage.tool_calls.length === 1, 'Tool-only message has null content');
+  assert(toolMessage.tool_calls[0].function.arguments === '{"city":"Paris"}' && toolMessage.tool_calls[0].id === 'call_1', 'Tool call arguments concatenated');
+
+  // Test 3: Replay
+  const chunks = completionToChunks(completion, { includeUsage: true });
+  assert(chunks.every(item => item.object === 'chat.completion.chunk'), 'Replay produces chat.completion.chunk objects');
+  assert(chunks[0].choices[0].delta.content === 'Hello' && chunks[0].choices[0].delta.role === 'assistant', 'First chunk carries role and content');
+  assert(chunks[1].choices[0].finish_reason === 'stop', 'Finish chunk replayed');
+  assert(chunks[2].usage.total_tokens === 5 && chunks[2].choices.length === 0, 'Usage chunk added when requested');
+  assert(completionToChunks(completion).length === 2, 'Usage chunk omitted by default');
+
+  // Test 4: Round trip
+  const replayed = new ChatStreamAssembler();
+  completionToChunks(tools.toCompletion('gpt-4o')).forEach(item => replayed.add(item));
+  assert(JSON.stringify(replayed.toCompletion('gpt-4o').choices) === JSON.stringify(tools.toCompletion('gpt-4o').choices), 'Replayed chunks assemble into the same choices');
+
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`   Results: ${testsPassed}/${testsRun} tests passed`);
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(testsPassed === testsRun ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
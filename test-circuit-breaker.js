@@ -0,0 +1,86 @@
+const CircuitBreakerRegistry = require('./circuit-breaker.js');
+const { CircuitBreaker, STATES } = require('./circuit-breaker.js');
+
+let testsRun = 0;
+let testsPassed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (!condition) {
+    console.error(`❌ Test ${testsRun} FAILED: ${message}`);
+    return;
+  }
+  testsPassed++;
+  console.log(`✅ Test ${testsRun} PASSED: ${message}`);
+}
+
+async function runTests() {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('   Circuit Breaker Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  // Test 1: Opens after consecutive failures
+  const breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 1000 });
+  breaker.recordFailure(new Error('boom'), 0);
+  breaker.recordFailure(new Error('boom'), 0);
+  breaker.recordSuccess();
+  breaker.recordFailure(new Error('boom'), 0);
+  assert(breaker.state === STATES.CLOSED && breaker.failures === 1, 'Success resets the failure count');
+  breaker.recordFailure(new Error('boom'), 0);
+  breaker.recordFailure(new Error('boom'), 0);
+  assert(breaker.state === STATES.OPEN && !breaker.canPass(500), 'Circuit opens at the failure threshold');
+
+  // Test 2: Half-open trial
+  assert(breaker.canPass(1000), 'Trial allowed after resetTimeout');
+  breaker.onRequest(1000);
+  assert(breaker.state === STATES.HALF_OPEN && !breaker.canPass(1100), 'Only one trial in flight when half-open');
+  breaker.recordFailure(new Error('still down'), 1100);
+  assert(breaker.state === STATES.OPEN && breaker.getStatus(1100).retryInMs === 1000, 'Failed trial opens the circuit again');
+  breaker.onRequest(2100);
+  breaker.recordSuccess();
+  assert(breaker.state === STATES.CLOSED && breaker.getStatus().opened === 2, 'Successful trial closes the circuit');
+
+  // Test 3: Unreported trial slot is released
+  const stuck = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 100 });
+  stuck.recordFailure(null, 0);
+  stuck.onRequest(100);
+  assert(!stuck.canPass(150) && stuck.canPass(200), 'Trial slot released after another resetTimeout');
+
+  // Test 4: Registry checks provider and model circuits
+  const registry = new CircuitBreakerRegistry({ failureThreshold: 2, resetTimeout: 1000 });
+  registry.recordFailure('openrouter', 'model-a', null, 0);
+  registry.recordSuccess('openrouter', 'model-b');
+  registry.recordFailure('openrouter', 'model-a', null, 0);
+  assert(!registry.isAvailable('openrouter', 'model-a', 10), 'Failing model circuit opens');
+  assert(registry.isAvailable('openrouter', 'model-b', 10), 'Other models of the provider stay available');
+  assert(registry.allowRequest('openrouter', 'model-a', 10) === false && registry.get('openrouter', 'model-a').stats.rejected === 1, 'Rejected request counted');
+
+  registry.recordFailure('gemini', 'model-x', null, 0);
+  registry.recordFailure('gemini', 'model-y', null, 0);
+  assert(!registry.isAvailable('gemini', 'model-z', 10), 'Open provider circuit blocks all its models');
+
+  const listed = registry.list(10);
+  assert(listed.some(circuit => circuit.provider === 'gemini' && circuit.model === null && circuit.state === STATES.OPEN), 'Provider circuits listed with their state');
+  assert(registry.reset() === listed.length && registry.list().length === 0, 'Reset clears all circuits');
+
+  // Test 5: Number of model circuits is capped
+  const capped = new CircuitBreakerRegistry({ failureThreshold: 1, resetTimeout: 1000, maxModelCircuits: 2 });
+  capped.recordFailure('loc', 'failing', null, 0);
+  capped.recordSuccess('loc', 'model-1');
+  capped.recordSuccess('loc', 'model-2');
+  capped.recordSuccess('loc', 'model-3');
+  const models = capped.list(10).filter(circuit => circuit.model).map(circuit => circuit.model);
+  assert(models.length === 2 && models.includes('failing') && models.includes('model-3'), 'Least recently used closed circuit dropped, open one kept');
+  assert(capped.list(10).some(circuit => circuit.provider === 'loc' && circuit.model === null), 'Provider circuit not counted against the cap');
+
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`   Results: ${testsPassed}/${testsRun} tests passed`);
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(testsPassed === testsRun ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+const {
+  MAX_COMPLETION_CHOICES,
+  generateCompletionId,
+  validateCompletionRequest,
+  normalizePrompts,
+  convertPromptToMessages,
+  createTextCompletion,
+  createTextCompletionChunk
+} = require('./completions-adapter.js');
+
+let testsRun = 0;
+let testsPassed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (!condition) {
+    console.error(`❌ Test ${testsRun} FAILED: ${message}`);
+    return;
+  }
+  testsPassed++;
+  console.log(`✅ Test ${testsRun} PASSED: ${message}`);
+}
+
+async function runTests() {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('   Completions Adapter Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  // Test 1: Request validation
+  assert(validateCompletionRequest({ model: 'gpt-3.5-turbo-instruct', prompt: 'Once upon' }) === null, 'String prompt accepted');
+  assert(validateCompletionRequest({ model: 'gpt-3.5-turbo-instruct', prompt: ['a', 'b'], n: 2, echo: true }) === null, 'Prompt array with n and echo accepted');
+  assert(validateCompletionRequest({ model: 'gpt-3.5-turbo-instruct' }).param === 'prompt', 'Missing prompt rejected');
+  assert(validateCompletionRequest({ model: 'gpt-3.5-turbo-instruct', prompt: [1, 2, 3] }).message.includes('Token array'), 'Token array prompt rejected');
+  assert(validateCompletionRequest({ model: 'gpt-3.5-turbo-instruct', prompt: 'x', suffix: 5 }).param === 'suffix', 'Non-string suffix rejected');
+
+  // Test 2: Choice limit
+  assert(validateCompletionRequest({ model: 'm', prompt: 'x', n: MAX_COMPLETION_CHOICES }) === null, 'n up to the limit accepted');
+  assert(validateCompletionRequest({ model: 'm', prompt: 'x', n: MAX_COMPLETION_CHOICES + 1 }).param === 'n', 'n above the limit rejected');
+  const tooMany = validateCompletionRequest({ model: 'm', prompt: Array(MAX_COMPLETION_CHOICES).fill('x'), n: 2 });
+  assert(tooMany.param === 'prompt' && tooMany.message.includes(`got ${MAX_COMPLETION_CHOICES * 2}`), 'Prompts × n above the limit rejected');
+  assert(validateCompletionRequest({ model: 'm', prompt: Array(MAX_COMPLETION_CHOICES + 1).fill('x') }) !== null, 'Too many prompts rejected');
+
+  // Test 3: Prompt conversion
+  assert(normalizePrompts('a').length === 1 && normalizePrompts(['a', 'b']).length === 2, 'Prompts normalized to an array');
+  const plain = convertPromptToMessages('Once upon');
+  assert(plain[0].role === 'system' && plain[1].content === 'Once upon', 'Prompt sent as a user message after the instructions');
+  const insertion = convertPromptToMessages('def add(a, b):', 'return result');
+  assert(insertion[1].content.includes('Prefix:\ndef add(a, b):') && insertion[1].content.includes('Suffix:\nreturn result'), 'Suffix turns the request into an insertion');
+
+  // Test 4: text_completion objects
+  const id = generateCompletionId();
+  const completion = createTextCompletion(id, 'gpt-3.5-turbo-instruct', [{ text: 'a time', index: 0, logprobs: null, finish_reason: 'stop' }], { total_tokens: 3 });
+  assert(id.startsWith('cmpl-') && completion.object === 'text_completion' && completion.model === 'gpt-3.5-turbo-instruct', 'Completion carries id and requested model');
+  const chunk = createTextCompletionChunk(id, 'gpt-3.5-turbo-instruct', 2, 'there', 'length');
+  assert(chunk.choices[0].index === 2 && chunk.choices[0].text === 'there' && chunk.choices[0].finish_reason === 'length', 'Chunk carries choice index, text and finish reason');
+
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`   Results: ${testsPassed}/${testsRun} tests passed`);
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(testsPassed === testsRun ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
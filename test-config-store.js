@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createConfigStore, JsonConfigStore } = require('./config-store.js');
+
+let testsRun = 0;
+let testsPassed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (!condition) {
+    console.error(`❌ Test ${testsRun} FAILED: ${message}`);
+    return;
+  }
+  testsPassed++;
+  console.log(`✅ Test ${testsRun} PASSED: ${message}`);
+}
+
+async function runTests() {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('   Config Store Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-store-'));
+  const filePath = path.join(tmpDir, 'nested', 'config-store.json');
+
+  try {
+    // Test 1: Factory defaults to JSON store
+    const store = createConfigStore({ path: filePath });
+    assert(store instanceof JsonConfigStore, 'Factory creates JSON store by default');
+    assert(store.load() === null, 'Missing file loads as null');
+    assert(store.getVersion() === 0, 'Fresh store starts at version 0');
+
+    // Test 2: Each save bumps the version and records history
+    const config = { modelMapping: { 'gpt-4': 'qwen/qwen3-235b-a22b:free' }, fallbackMapping: {} };
+    const v1 = store.save(config, { section: 'models', action: 'update', detail: 'gpt-4', user: 'admin' });
+    const v2 = store.save({ ...config, fallbackMapping: { a: 'b' } }, { section: 'fallbacks', action: 'add', detail: 'a -> b' });
+    assert(v1 === 1 && v2 === 2, 'Versions increase with every change');
+    assert(fs.existsSync(filePath), 'Store file created (including parent directory)');
+    assert(fs.readdirSync(path.dirname(filePath)).length === 1, 'No temporary files left after atomic write');
+
+    const history = store.getHistory();
+    assert(history.length === 2 && history[0].version === 2, 'History returned newest first');
+    assert(history[1].user === 'admin' && history[1].section === 'models', 'History keeps change details');
+
+    // Test 3: A new instance sees the latest state
+    const reloaded = createConfigStore({ path: filePath });
+    const persisted = reloaded.load();
+    assert(persisted.version === 2, 'Reloaded store reports latest version');
+    assert(persisted.config.fallbackMapping.a === 'b', 'Reloaded config contains last saved data');
+    assert(reloaded.save(persisted.config, { section: 'models' }) === 3, 'Version continues after reload');
+
+    // Test 4: Corrupted file is reported, not silently replaced
+    fs.writeFileSync(filePath, '{ not json');
+    try {
+      createConfigStore({ path: filePath }).load();
+      assert(false, 'Corrupted store file should throw');
+    } catch (error) {
+      assert(error instanceof SyntaxError, 'Corrupted store file throws on load');
+    }
+
+    // Test 5: Rewriting stored history
+    assert(reloaded.rewriteHistory(config => ({ ...config, modelMapping: {} })) === 0, 'JSON store has no past configs to rewrite');
+    let hasSqlite = true;
+    try {
+      require.resolve('better-sqlite3');
+    } catch (error) {
+      hasSqlite = false;
+    }
+    if (hasSqlite) {
+      const sqlite = createConfigStore({ type: 'sqlite', path: path.join(tmpDir, 'config-store.db') });
+      sqlite.save({ providerApiKeys: { openrouter: ['plain-key'] } }, { section: 'providers' });
+      sqlite.save({ providerApiKeys: { openrouter: ['enc:v1:current'] } }, { section: 'secrets' });
+      const rewritten = sqlite.rewriteHistory(config => ({ ...config, providerApiKeys: { openrouter: config.providerApiKeys.openrouter.map(key => key.startsWith('enc:') ? key : '[redacted]') } }));
+      const rows = sqlite.db.prepare('SELECT config FROM config_versions ORDER BY version').all().map(row => row.config);
+      assert(rewritten === 1 && !rows.some(config => config.includes('plain-key')), 'SQLite store rewrites only changed past versions');
+      assert(sqlite.load().version === 2 && sqlite.getHistory().length === 2, 'Rewrite keeps versions and history');
+      sqlite.close();
+    } else {
+      console.log('⏭️  SQLite history rewrite skipped (better-sqlite3 not installed)');
+    }
+
+    // Test 6: Unknown backend
+    try {
+      createConfigStore({ type: 'mongo' });
+      assert(false, 'Unknown store type should throw');
+    } catch (error) {
+      assert(error.message.includes('Unknown config store type'), 'Unknown store type rejected');
+    }
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`   Results: ${testsPassed}/${testsRun} tests passed`);
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(testsPassed === testsRun ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+const { hedgeRequest } = require('./hedge-request.js');
+
+let testsRun = 0;
+let testsPassed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (!condition) {
+    console.error(`❌ Test ${testsRun} FAILED: ${message}`);
+    return;
+  }
+  testsPassed++;
+  console.log(`✅ Test ${testsRun} PASSED: ${message}`);
+}
+
+// Task settling after `ms` with its name or an error; logs start and abort
+function task(log, name, ms, { fail = false } = {}) {
+  return signal => new Promise((resolve, reject) => {
+    log.push(`start:${name}`);
+    const timer = setTimeout(() => (fail ? reject(new Error(`${name} failed`)) : resolve(name)), ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      log.push(`abort:${name}`);
+      reject(new Error(`${name} aborted`));
+    });
+  });
+}
+
+async function runTests() {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('   Hedged Request Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  // Test 1: Fast primary - no hedge
+  let log = [];
+  let result = await hedgeRequest([task(log, 'a', 10), task(log, 'b', 10)], { delayMs: 100 });
+  assert(result.value === 'a' && result.index === 0 && result.started === 1 && !result.hedged, 'Primary answering before the delay wins alone');
+  assert(!log.includes('start:b'), 'Hedge not started');
+
+  // Test 2: Slow primary - hedge wins, primary aborted
+  log = [];
+  result = await hedgeRequest([task(log, 'a', 500), task(log, 'b', 20)], { delayMs: 30 });
+  assert(result.value === 'b' && result.index === 1 && result.started === 2 && result.hedged, 'Hedge answering first wins');
+  assert(log.includes('abort:a'), 'Losing primary aborted');
+
+  // Test 3: Slow hedge - primary still wins
+  log = [];
+  result = await hedgeRequest([task(log, 'a', 60), task(log, 'b', 500)], { delayMs: 20 });
+  assert(result.value === 'a' && log.includes('abort:b'), 'Primary answering first aborts the hedge');
+
+  // Test 4: Failures
+  log = [];
+  const started = Date.now();
+  result = await hedgeRequest([task(log, 'a', 5, { fail: true }), task(log, 'b', 5)], { delayMs: 1000 });
+  assert(result.value === 'b' && Date.now() - started < 500, 'Failed primary starts the hedge without waiting');
+  assert(result.started === 2 && !result.hedged, 'Start after a failure is not counted as hedged');
+  let error = null;
+  await hedgeRequest([task([], 'a', 5, { fail: true }), task([], 'b', 5, { fail: true })], { delayMs: 10 }).catch(e => { error = e; });
+  assert(error && error.message === 'b failed', 'All failed - last error thrown');
+
+  // Test 5: Caller abort
+  log = [];
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 20);
+  error = null;
+  await hedgeRequest([task(log, 'a', 500), task(log, 'b', 500)], { delayMs: 100, signal: controller.signal }).catch(e => { error = e; });
+  assert(error && log.includes('abort:a') && !log.includes('start:b'), 'Caller abort stops running tasks and starts no hedge');
+
+  // Test 6: Late result discarded
+  const discarded = [];
+  const ignoresAbort = (value, ms) => () => new Promise(resolve => setTimeout(() => resolve(value), ms));
+  result = await hedgeRequest([ignoresAbort('a', 40), ignoresAbort('b', 5)], { delayMs: 10, discard: value => discarded.push(value) });
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert(result.value === 'b' && discarded.join() === 'a', 'Result arriving after the winner is discarded');
+
+  // Test 7: Primary already responding - no hedge
+  log = [];
+  const responding = (name, ms) => (signal, onResponding) => {
+    setTimeout(onResponding, 5);
+    return task(log, name, ms)(signal);
+  };
+  result = await hedgeRequest([responding('a', 60), task(log, 'b', 10)], { delayMs: 20 });
+  assert(result.value === 'a' && !result.hedged && !log.includes('start:b'), 'Hedge not started once the primary has started answering');
+
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`   Results: ${testsPassed}/${testsRun} tests passed`);
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(testsPassed === testsRun ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,86 @@
+const KeyPool = require('./key-pool.js');
+const { parseRateLimitHeaders, parseResetValue, isKeyRejection } = require('./key-pool.js');
+
+let testsRun = 0;
+let testsPassed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (!condition) {
+    console.error(`❌ Test ${testsRun} FAILED: ${message}`);
+    return;
+  }
+  testsPassed++;
+  console.log(`✅ Test ${testsRun} PASSED: ${message}`);
+}
+
+async function runTests() {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('   Key Pool Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  const now = 1700000000000;
+
+  // Test 1: Reset values
+  assert(parseResetValue('30', now) === 30000, 'Seconds from now');
+  assert(parseResetValue(String(now + 5000), now) === 5000, 'Epoch milliseconds (OpenRouter)');
+  assert(parseResetValue(String(now / 1000 + 7), now) === 7000, 'Epoch seconds');
+  assert(parseResetValue('1m30s', now) === 90000 && parseResetValue('250ms', now) === 250, 'Durations');
+  assert(parseResetValue(new Date(now + 60000).toUTCString(), now) === 60000, 'HTTP date');
+  assert(parseResetValue('soon', now) === null && parseResetValue(undefined, now) === null, 'Unknown values ignored');
+
+  // Test 2: Headers
+  assert(parseRateLimitHeaders({ 'retry-after': '2', 'x-ratelimit-reset': String(now + 60000) }, now).resetMs === 2000, 'Retry-After preferred');
+  const limits = parseRateLimitHeaders({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(now + 60000) }, now);
+  assert(limits.exhausted && limits.resetMs === 60000, 'Exhausted key and reset from x-ratelimit headers');
+  assert(!parseRateLimitHeaders({ 'x-ratelimit-remaining': '12' }, now).exhausted && parseRateLimitHeaders({}, now).resetMs === null, 'Remaining quota is not exhausted');
+
+  // Test 3: Rotation skips parked keys
+  const pool = new KeyPool({ defaultParkMs: 10000, minParkMs: 1000 });
+  const keys = ['k1', 'k2', 'k3'];
+  assert(['k1', 'k2', 'k3', 'k1'].every(key => pool.pick('openrouter', keys, now) === key), 'Round-robin over free keys');
+  pool.park('openrouter', 'k2', 30000, 'rate_limit', now);
+  assert(pool.pick('openrouter', keys, now) === 'k3' && pool.pick('openrouter', keys, now) === 'k1', 'Parked key skipped');
+  assert(pool.availableCount('openrouter', keys, now) === 2 && pool.availableCount('gemini', keys, now) === 3, 'Parking is per provider');
+
+  // Test 4: Park durations and release
+  assert(pool.park('openrouter', 'k1', null, 'rate_limit', now) === 10000 && pool.park('openrouter', 'k3', 0, 'rate_limit', now) === 1000, 'Default and minimum park time');
+  assert(pool.pick('openrouter', keys, now + 500) === null && pool.nextReleaseIn('openrouter', keys, now + 500) === 500, 'All keys parked');
+  assert(pool.pick('openrouter', keys, now + 1000) === 'k3', 'Key returns after its reset time');
+  assert(pool.list(now + 1000).length === 2 && pool.release('openrouter', 'k2') && pool.list(now + 1000).length === 1, 'Parked keys listed and released');
+
+  // Test 5: Key health and quarantine
+  const health = new KeyPool();
+  health.recordSuccess('openrouter', 'k1', now);
+  assert(!health.recordFailure('openrouter', 'k1', { status: 500, message: 'Upstream error' }, now), 'Server error does not quarantine');
+  assert(health.recordFailure('openrouter', 'k2', { status: 402, message: 'Insufficient credits' }, now), 'Payment required for the account quarantines');
+  assert(!health.recordFailure('openrouter', 'k3', { status: 403, message: 'Your input was flagged by moderation' }, now) &&
+    !health.recordFailure('openrouter', 'k3', { status: 402, message: 'This request requires more credits, or fewer max_tokens' }, now), 'Request-specific 402/403 does not quarantine');
+  assert(isKeyRejection(401) && isKeyRejection(403, 'Key is disabled') && !isKeyRejection(403), 'Key rejections');
+  let status = health.keyStatus('openrouter', keys, now);
+  assert(status[0].status === 'active' && status[0].requests === 2 && status[0].failures === 1 && status[0].lastError === 'HTTP 500: Upstream error', 'Requests, failures and last error tracked');
+  assert(status[1].status === 'quarantined' && status[1].quarantine.reason === 'http_402' && status[2].status === 'active', 'Quarantined key reported');
+  assert(['k1', 'k3', 'k1'].every(key => health.pick('openrouter', keys, now) === key), 'Quarantined key skipped');
+
+  // Test 6: All keys unavailable and re-validation
+  health.recordFailure('openrouter', 'k1', { status: 401, message: 'Invalid key' }, now);
+  health.park('openrouter', 'k3', 5000, 'rate_limit', now);
+  assert(health.pick('openrouter', keys, now) === null && health.nextReleaseIn('openrouter', keys, now) === 5000, 'Release time ignores quarantined keys');
+  assert(health.nextReleaseIn('openrouter', ['k1', 'k2'], now) === null, 'Only quarantined keys - no release time');
+  health.markChecked('openrouter', 'k2', 'HTTP 402', now);
+  assert(health.quarantined().length === 2 && health.quarantined().find(entry => entry.key === 'k2').checkError === 'HTTP 402', 'Failed re-validation keeps the quarantine');
+  assert(health.restore('openrouter', 'k2') && health.pick('openrouter', keys, now) === 'k2', 'Restored key back in rotation');
+  health.forget('openrouter', 'k1');
+  assert(health.keyStatus('openrouter', ['k1'], now)[0].status === 'active' && health.quarantined().length === 0, 'Removed key forgotten');
+
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`   Results: ${testsPassed}/${testsRun} tests passed`);
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(testsPassed === testsRun ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,74 @@
+const ModelRouter = require('./model-routing.js');
+const { normalizeRouting } = require('./model-routing.js');
+
+let testsRun = 0;
+let testsPassed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (!condition) {
+    console.error(`❌ Test ${testsRun} FAILED: ${message}`);
+    return;
+  }
+  testsPassed++;
+  console.log(`✅ Test ${testsRun} PASSED: ${message}`);
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return error instanceof TypeError;
+  }
+}
+
+async function runTests() {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('   Model Routing Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  // Test 1: Validation
+  const routing = normalizeRouting({ strategy: 'weighted', targets: ['a', { model: 'b', weight: 3 }] });
+  assert(routing.targets[0].weight === 1 && routing.targets[1].weight === 3, 'String targets get weight 1');
+  assert(normalizeRouting({ targets: ['a'] }).strategy === 'priority', 'Priority is the default strategy');
+  assert(throws(() => normalizeRouting({ strategy: 'fastest', targets: ['a'] })), 'Unknown strategy rejected');
+  assert(throws(() => normalizeRouting({ targets: [] })) && throws(() => normalizeRouting({ targets: ['a', 'a'] })), 'Empty or repeated targets rejected');
+  assert(throws(() => normalizeRouting({ targets: [{ model: 'a', weight: 0 }] })), 'Non-positive weight rejected');
+
+  const targets = normalizeRouting({ targets: ['a', 'b', 'c'] }).targets;
+  const router = new ModelRouter();
+
+  // Test 2: Priority and round-robin
+  assert(router.order('v', { strategy: 'priority', targets }).join() === 'a,b,c', 'Priority keeps configured order');
+  const rotations = [1, 2, 3, 4].map(() => router.order('v', { strategy: 'round-robin', targets })[0]);
+  assert(rotations.join() === 'a,b,c,a', 'Round-robin rotates the first target');
+  assert(router.order('other', { strategy: 'round-robin', targets })[0] === 'a', 'Rotation is kept per virtual model');
+
+  // Test 3: Latency and errors
+  const stats = { a: { p50LatencyMs: 900, recentErrors: 2 }, b: { p50LatencyMs: 300, recentErrors: 0 }, c: { p50LatencyMs: null, recentErrors: 1 } };
+  assert(router.order('v', { strategy: 'latency', targets }, model => stats[model]).join() === 'c,b,a', 'Latency: unmeasured first, then fastest p50');
+  assert(router.order('v', { strategy: 'least-errors', targets }, model => stats[model]).join() === 'b,c,a', 'Least errors first');
+
+  // Test 4: Weighted
+  const fixed = new ModelRouter({ random: () => 0.5 });
+  const weighted = normalizeRouting({ strategy: 'weighted', targets: [{ model: 'a', weight: 1 }, { model: 'b', weight: 3 }] });
+  assert(fixed.order('w', weighted).join() === 'b,a', 'Weighted pick follows the weights');
+  const counts = { a: 0, b: 0 };
+  const random = new ModelRouter();
+  for (let i = 0; i < 2000; i++) {
+    counts[random.order('w', weighted)[0]] += 1;
+  }
+  assert(counts.b > counts.a * 2, 'Heavier target chosen first more often');
+
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`   Results: ${testsPassed}/${testsRun} tests passed`);
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(testsPassed === testsRun ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
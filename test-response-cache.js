@@ -0,0 +1,89 @@
+const ResponseCache = require('./response-cache.js');
+const { SharedResponseCache } = require('./response-cache.js');
+const { MemoryStateStore } = require('./state-store.js');
+
+let testsRun = 0;
+let testsPassed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (!condition) {
+    console.error(`❌ Test ${testsRun} FAILED: ${message}`);
+    return;
+  }
+  testsPassed++;
+  console.log(`✅ Test ${testsRun} PASSED: ${message}`);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function runTests() {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('   Response Cache Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  // Test 1: Hits and misses
+  const cache = new ResponseCache({ ttl: 1000, maxEntries: 3 });
+  cache.set('a', { text: 'alpha' });
+  assert(cache.get('a').text === 'alpha', 'Stored value returned');
+  assert(cache.get('missing') === undefined, 'Unknown key is a miss');
+  assert(cache.getStats().hits === 1 && cache.getStats().misses === 1, 'Hits and misses counted');
+
+  // Test 2: LRU eviction by entry count
+  cache.set('b', { text: 'beta' });
+  cache.set('c', { text: 'gamma' });
+  cache.get('a'); // "a" staje się najświeższy
+  cache.set('d', { text: 'delta' });
+  assert(!cache.has('b') && cache.has('a'), 'Least recently used entry evicted first');
+  assert(cache.size === 3 && cache.getStats().evictions === 1, 'Entry limit enforced and eviction counted');
+  cache.destroy();
+
+  // Test 3: Byte limit
+  const small = new ResponseCache({ maxBytes: 100 });
+  small.set('x', { text: 'x'.repeat(40) });
+  small.set('y', { text: 'y'.repeat(40) });
+  assert(!small.has('x') && small.has('y'), 'Oldest entry evicted when byte limit exceeded');
+  assert(small.getStats().bytes <= 100, 'Tracked size stays within maxBytes');
+  assert(small.set('z', { text: 'z'.repeat(200) }) === false && !small.has('z'), 'Value larger than maxBytes is not cached');
+
+  // Test 4: Overwrite keeps byte accounting consistent
+  small.set('y', { text: 'short' });
+  assert(small.getStats().bytes === Buffer.byteLength(JSON.stringify({ text: 'short' })), 'Overwritten entry replaces its size');
+  assert(small.clear() === 1 && small.getStats().bytes === 0, 'Clear empties cache and resets size');
+  small.destroy();
+
+  // Test 5: Expiry (lazy and by sweeper)
+  const expiring = new ResponseCache({ ttl: 20 });
+  expiring.set('old', { text: 'old' });
+  expiring.set('older', { text: 'older' });
+  await sleep(40);
+  assert(expiring.get('old') === undefined, 'Expired entry is a miss');
+  assert(expiring.sweep() === 1 && expiring.size === 0, 'Sweeper removes remaining expired entries');
+  assert(expiring.getStats().expirations === 2, 'Expirations counted');
+  expiring.destroy();
+
+  // Test 6: Shared cache on a state store
+  const store = new MemoryStateStore();
+  const shared = new SharedResponseCache(store, { ttl: 1000, maxBytes: 100 });
+  const otherInstance = new SharedResponseCache(store);
+  await shared.set('{"model":"gpt-4o"}', { text: 'shared' });
+  assert((await otherInstance.get('{"model":"gpt-4o"}')).text === 'shared', 'Entry visible to another instance using the same store');
+  assert((await store.keys('cache:'))[0].length === 'cache:'.length + 64, 'Store key is a hash of the request');
+  assert(await shared.set('big', { text: 'b'.repeat(200) }) === false, 'Shared cache skips values above maxBytes');
+  assert(await otherInstance.get('missing') === undefined && otherInstance.getStats().misses === 1, 'Shared cache counts misses');
+  assert(await shared.clear() === 1, 'Shared cache cleared');
+  await store.close();
+
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`   Results: ${testsPassed}/${testsRun} tests passed`);
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(testsPassed === testsRun ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+const {
+  ResponseStore,
+  validateResponsesRequest,
+  convertResponsesRequest,
+  buildResponse,
+  streamResponsesEvents,
+  outputToChatMessage
+} = require('./responses-adapter.js');
+
+let testsRun = 0;
+let testsPassed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (!condition) {
+    console.error(`❌ Test ${testsRun} FAILED: ${message}`);
+    return;
+  }
+  testsPassed++;
+  console.log(`✅ Test ${testsRun} PASSED: ${message}`);
+}
+
+async function* fromArray(chunks) {
+  for (const chunk of chunks) {
+    yield chunk;
+  }
+}
+
+async function collect(events) {
+  const collected = [];
+  for await (const event of events) {
+    collected.push(event);
+  }
+  return collected;
+}
+
+async function runTests() {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('   Responses Adapter Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  // Test 1: Request validation
+  assert(validateResponsesRequest({ model: 'gpt-4o', input: 'Hi' }) === null, 'String input accepted');
+  assert(validateResponsesRequest({ model: 'gpt-4o' }).param === 'input', 'Missing input rejected');
+  assert(validateResponsesRequest({ model: 'gpt-4o', input: [{ type: 'function_call_output', output: 'x' }] }).param === 'input[0].call_id', 'function_call_output without call_id rejected');
+  assert(validateResponsesRequest({ model: 'gpt-4o', input: 'Hi', tools: [{ type: 'web_search' }] }).param === 'tools', 'Non-function tools rejected');
+
+  // Test 2: Request conversion
+  const previous = [{ role: 'user', content: 'My name is Ann' }, { role: 'assistant', content: 'Hello Ann' }];
+  const { chatBody, conversation } = convertResponsesRequest({
+    model: 'gpt-4o',
+    instructions: 'Be brief',
+    max_output_tokens: 50,
+    input: [
+      { role: 'developer', content: 'Use metric units' },
+      { role: 'user', content: [{ type: 'input_text', text: 'Look' }, { type: 'input_image', image_url: 'https://example.com/a.png' }] },
+      { type: 'function_call', call_id: 'call_1', name: 'weather', arguments: '{}' },
+      { type: 'function_call', call_id: 'call_2', name: 'time', arguments: '{}' },
+      { type: 'function_call_output', call_id: 'call_1', output: { temp: 20 } }
+    ],
+    tools: [{ type: 'function', name: 'weather' }],
+    tool_choice: { type: 'function', name: 'weather' }
+  }, previous);
+  assert(chatBody.messages[0].role === 'system' && chatBody.messages[0].content === 'Be brief', 'instructions sent as a system message');
+  assert(conversation.length === 6 && conversation[0].content === 'My name is Ann' && !conversation.some(message => message.content === 'Be brief'), 'Stored conversation continues the previous one without instructions');
+  assert(conversation[2].role === 'system' && conversation[3].content[1].image_url.url === 'https://example.com/a.png', 'developer role and input_image converted');
+  assert(conversation[4].tool_calls.length === 2 && conversation[5].content === '{"temp":20}', 'Consecutive function calls grouped, output serialized');
+  assert(chatBody.max_tokens === 50 && chatBody.tool_choice.function.name === 'weather', 'max_output_tokens and tool_choice converted');
+
+  // Test 3: Response object
+  const response = buildResponse({
+    choices: [{ finish_reason: 'length', message: { content: 'Partial', tool_calls: [{ id: 'call_3', function: { name: 'weather', arguments: '{}' } }] } }],
+    usage: { prompt_tokens: 4, completion_tokens: 6, total_tokens: 10 }
+  }, { model: 'gpt-4o', previous_response_id: 'resp_prev' });
+  assert(response.id.startsWith('resp_') && response.object === 'response' && response.previous_response_id === 'resp_prev', 'Response object created');
+  assert(response.status === 'incomplete' && response.incomplete_details.reason === 'max_output_tokens', 'finish_reason length marks the response incomplete');
+  assert(response.output_text === 'Partial' && response.output[1].call_id === 'call_3' && response.usage.total_tokens === 10, 'Output items, output_text and usage set');
+  const chatMessage = outputToChatMessage(response.output);
+  assert(chatMessage.content === 'Partial' && chatMessage.tool_calls[0].id === 'call_3', 'Output converted back to an assistant message');
+
+  // Test 4: Streaming events
+  const events = await collect(streamResponsesEvents(fromArray([
+    { choices: [{ delta: { content: 'Hel' } }] },
+    { choices: [{ delta: { content: 'lo' }, finish_reason: 'stop' }] },
+    { choices: [], usage: { prompt_tokens: 2, completion_tokens: 3 } }
+  ]), { model: 'gpt-4o' }));
+  const types = events.map(event => event.type);
+  assert(types[0] === 'response.created' && types[types.length - 1] === 'response.completed', 'Stream starts with response.created and ends with response.completed');
+  assert(events.every((event, index) => event.sequence_number === index), 'Sequence numbers increase by one');
+  const done = events.find(event => event.type === 'response.output_text.done');
+  const completed = events[events.length - 1].response;
+  assert(done.text === 'Hello' && completed.output_text === 'Hello' && completed.usage.output_tokens === 3, 'Completed response carries text and usage');
+
+  // Test 5: Response store
+  const store = new ResponseStore(1000, 2);
+  store.save({ id: 'resp_1' }, [], 'key_a');
+  assert(store.get('resp_1', 'key_a').owner === 'key_a', 'Owner reads its response');
+  assert(store.get('resp_1', 'key_b') === null && store.get('resp_1') === null, 'Other keys and anonymous callers do not see it');
+  assert(store.delete('resp_1', 'key_b') === false && store.size === 1, 'Other keys cannot delete it');
+  store.save({ id: 'resp_2' }, []);
+  store.save({ id: 'resp_3' }, []);
+  assert(store.size === 2 && store.get('resp_1', 'key_a') === null, 'Oldest entry evicted above maxEntries');
+  const expiring = new ResponseStore(-1);
+  expiring.save({ id: 'resp_4' }, []);
+  assert(expiring.get('resp_4') === null, 'Expired entry not returned');
+  const bounded = new ResponseStore(1000, 10, 400);
+  bounded.save({ id: 'resp_5' }, [{ role: 'user', content: 'a'.repeat(100) }]);
+  bounded.save({ id: 'resp_6' }, [{ role: 'user', content: 'b'.repeat(100) }]);
+  bounded.save({ id: 'resp_7' }, [{ role: 'user', content: 'c'.repeat(100) }]);
+  assert(bounded.get('resp_5') === null && bounded.get('resp_7') !== null && bounded.bytes <= 400, 'Oldest entry evicted above maxBytes');
+  assert(bounded.save({ id: 'resp_8' }, [{ role: 'user', content: 'd'.repeat(500) }]) === false && bounded.get('resp_8') === null, 'Entry larger than maxBytes not stored');
+  bounded.delete('resp_7');
+  assert(bounded.size === 1 && bounded.bytes === bounded.get('resp_6').size, 'Deleting an entry releases its bytes');
+  store.destroy();
+  expiring.destroy();
+  bounded.destroy();
+
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`   Results: ${testsPassed}/${testsRun} tests passed`);
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(testsPassed === testsRun ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+const SecretStore = require('./secret-store.js');
+const { SecretDecryptionError } = require('./secret-store.js');
+
+let testsRun = 0;
+let testsPassed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (!condition) {
+    console.error(`❌ Test ${testsRun} FAILED: ${message}`);
+    return;
+  }
+  testsPassed++;
+  console.log(`✅ Test ${testsRun} PASSED: ${message}`);
+}
+
+function decryptError(store, value) {
+  try {
+    store.decrypt(value);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function runTests() {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('   Secret Store Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  const apiKey = 'sk-or-v1-0123456789abcdef';
+
+  // Test 1: Round trip
+  const store = new SecretStore({ masterKey: 'first-master-key' });
+  const encrypted = store.encrypt(apiKey);
+  assert(store.enabled && store.isEncrypted(encrypted) && !encrypted.includes(apiKey), 'Key encrypted without the plain value');
+  assert(store.decrypt(encrypted) === apiKey, 'Encrypted key decrypted');
+  assert(store.encrypt(apiKey) !== encrypted, 'Random IV per value');
+
+  // Test 2: Without a master key
+  const plain = new SecretStore();
+  assert(!plain.enabled && plain.encrypt(apiKey) === apiKey && plain.decrypt(apiKey) === apiKey, 'Disabled store keeps plain values');
+  assert(decryptError(plain, encrypted) instanceof SecretDecryptionError, 'Encrypted value without a master key rejected');
+
+  // Test 3: Wrong key and tampering
+  assert(decryptError(new SecretStore({ masterKey: 'other-key' }), encrypted) instanceof SecretDecryptionError, 'Unknown master key rejected');
+  const parts = encrypted.split(':');
+  parts[5] = Buffer.from('tampered').toString('base64');
+  assert(decryptError(store, parts.join(':')) instanceof SecretDecryptionError, 'Tampered ciphertext rejected');
+
+  // Test 4: Master key rotation
+  const rotated = new SecretStore({ masterKey: 'second-master-key', previousKeys: ['first-master-key'] });
+  assert(rotated.decrypt(encrypted) === apiKey, 'Previous master key still decrypts');
+  assert(rotated.needsRotation(encrypted) && rotated.needsRotation(apiKey), 'Old and plain values need re-encryption');
+  const reencrypted = rotated.encrypt(rotated.decrypt(encrypted));
+  assert(!rotated.needsRotation(reencrypted) && new SecretStore({ masterKey: 'second-master-key' }).decrypt(reencrypted) === apiKey, 'Re-encrypted value readable with the new key only');
+  assert(!plain.needsRotation(apiKey), 'Nothing to rotate without a master key');
+
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`   Results: ${testsPassed}/${testsRun} tests passed`);
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(testsPassed === testsRun ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
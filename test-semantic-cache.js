@@ -0,0 +1,69 @@
+const SemanticCache = require('./semantic-cache.js');
+const { cosineSimilarity, parseModelThresholds } = require('./semantic-cache.js');
+
+let testsRun = 0;
+let testsPassed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (!condition) {
+    console.error(`❌ Test ${testsRun} FAILED: ${message}`);
+    return;
+  }
+  testsPassed++;
+  console.log(`✅ Test ${testsRun} PASSED: ${message}`);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function runTests() {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('   Semantic Cache Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  // Test 1: Cosine similarity
+  assert(Math.abs(cosineSimilarity([1, 2, 3], [2, 4, 6]) - 1) < 1e-9, 'Parallel vectors have similarity 1');
+  assert(cosineSimilarity([1, 0], [0, 1]) === 0, 'Orthogonal vectors have similarity 0');
+  assert(cosineSimilarity([1, 0], [1, 0, 0]) === 0, 'Vectors of different length never match');
+
+  // Test 2: Threshold parsing
+  const thresholds = parseModelThresholds('gpt-4o=0.97, gpt-5 = 0.9,broken,bad=x');
+  assert(thresholds['gpt-4o'] === 0.97 && thresholds['gpt-5'] === 0.9 && Object.keys(thresholds).length === 2, 'Per-model thresholds parsed, invalid pairs skipped');
+
+  // Test 3: Lookup above / below threshold
+  const cache = new SemanticCache({ threshold: 0.95, modelThresholds: { strict: 0.999 }, maxEntries: 2 });
+  cache.add('ctx', 'gpt-4o', [1, 0.1, 0], { id: 'answer-1' });
+  const hit = cache.lookup('ctx', 'gpt-4o', [1, 0.3, 0]);
+  assert(hit && hit.response.id === 'answer-1' && hit.similarity > 0.95, 'Near-duplicate prompt served from cache');
+  assert(cache.lookup('ctx', 'gpt-4o', [0, 1, 0]) === null, 'Unrelated prompt misses');
+  assert(cache.lookup('ctx', 'strict', [1, 0.3, 0]) === null, 'Per-model threshold applied');
+
+  // Test 4: Partitions
+  assert(cache.lookup('other-ctx', 'gpt-4o', [1, 0.1, 0]) === null, 'Different conversation context never matches');
+
+  // Test 5: Best match wins and size is bounded
+  cache.add('ctx', 'gpt-4o', [1, 0.12, 0], { id: 'answer-2' });
+  assert(cache.lookup('ctx', 'gpt-4o', [1, 0.12, 0]).response.id === 'answer-2', 'Most similar entry returned');
+  cache.add('ctx', 'gpt-4o', [0, 0, 1], { id: 'answer-3' });
+  assert(cache.size === 2 && cache.lookup('ctx', 'gpt-4o', [1, 0.1, 0]).response.id === 'answer-2', 'Oldest entry evicted at maxEntries');
+  assert(cache.getStats().hits === 3 && cache.getStats().misses === 3, 'Hits and misses counted');
+
+  // Test 6: Expiry
+  const expiring = new SemanticCache({ ttl: 20 });
+  expiring.add('ctx', 'gpt-4o', [1, 0], { id: 'old' });
+  await sleep(40);
+  assert(expiring.lookup('ctx', 'gpt-4o', [1, 0]) === null && expiring.size === 0, 'Expired entries removed on lookup');
+
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`   Results: ${testsPassed}/${testsRun} tests passed`);
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(testsPassed === testsRun ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,247 @@
+const net = require('net');
+const { MemoryStateStore, RedisStateStore, createStateStore, parseReply, encodeCommand } = require('./state-store.js');
+
+let testsRun = 0;
+let testsPassed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (!condition) {
+    console.error(`❌ Test ${testsRun} FAILED: ${message}`);
+    return;
+  }
+  testsPassed++;
+  console.log(`✅ Test ${testsRun} PASSED: ${message}`);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Minimal Redis stand-in: the subset of commands used by RedisStateStore.
+ * EVAL emulates the token bucket script in JS (no Lua interpreter here).
+ */
+function startFakeRedis(password) {
+  const data = new Map(); // { key: { value, expiresAt } }
+  const received = [];
+
+  const read = key => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+  const bulk = value => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  const array = items => `*${items.length}\r\n${items.map(item => (typeof item === 'number' ? `:${item}\r\n` : bulk(item))).join('')}`;
+
+  function execute(args, state) {
+    const [name, ...rest] = args;
+    const command = name.toUpperCase();
+    received.push(command);
+
+    if (command === 'AUTH') {
+      state.authenticated = rest[rest.length - 1] === password;
+      return state.authenticated ? '+OK\r\n' : '-WRONGPASS invalid password\r\n';
+    }
+    if (password && !state.authenticated) {
+      return '-NOAUTH Authentication required.\r\n';
+    }
+
+    switch (command) {
+      case 'SELECT':
+      case 'QUIT':
+        return '+OK\r\n';
+      case 'GET':
+        return bulk(read(rest[0])?.value ?? null);
+      case 'SET': {
+        const ttlIndex = rest.findIndex(arg => arg.toUpperCase() === 'PX');
+        data.set(rest[0], { value: rest[1], expiresAt: ttlIndex > -1 ? Date.now() + parseInt(rest[ttlIndex + 1], 10) : null });
+        return '+OK\r\n';
+      }
+      case 'DEL':
+        return `:${rest.filter(key => read(key) && data.delete(key)).length}\r\n`;
+      case 'RPUSH': {
+        const entry = read(rest[0]) || { value: [], expiresAt: null };
+        entry.value.push(...rest.slice(1));
+        data.set(rest[0], entry);
+        return `:${entry.value.length}\r\n`;
+      }
+      case 'LRANGE':
+        return array(read(rest[0])?.value || []);
+      case 'PEXPIRE': {
+        const entry = read(rest[0]);
+        if (!entry) return ':0\r\n';
+        entry.expiresAt = Date.now() + parseInt(rest[1], 10);
+        return ':1\r\n';
+      }
+      case 'SCAN': {
+        const pattern = rest[rest.findIndex(arg => arg.toUpperCase() === 'MATCH') + 1];
+        const prefix = pattern.slice(0, -1).replace(/\\(.)/g, '$1');
+        const keys = Array.from(data.keys()).filter(key => key.startsWith(prefix) && read(key));
+        return `*2\r\n${bulk('0')}${array(keys)}`;
+      }
+      case 'EVAL': {
+        const [, , key, capacityArg, windowArg, nowArg] = rest;
+        const capacity = Number(capacityArg);
+        const windowMs = Number(windowArg);
+        const now = Number(nowArg);
+        const bucket = read(key)?.value || { tokens: capacity, ts: now };
+        let tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.ts) * capacity / windowMs);
+        let allowed = 0;
+        if (tokens >= 1) {
+          tokens -= 1;
+          allowed = 1;
+        }
+        data.set(key, { value: { tokens, ts: now }, expiresAt: now + windowMs * 2 });
+        return array([allowed, String(tokens)]);
+      }
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  }
+
+  const server = net.createServer(socket => {
+    const state = { authenticated: false };
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let reply;
+      while ((reply = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(reply.offset);
+        socket.write(execute(reply.value, state));
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, received }));
+  });
+}
+
+async function runContract(name, store) {
+  // Test: get / set / delete
+  await store.set('cache:a', { text: 'alpha' });
+  assert((await store.get('cache:a')).text === 'alpha', `${name}: value round-trips as JSON`);
+  assert(await store.get('cache:missing') === null, `${name}: missing key returns null`);
+  assert(await store.delete('cache:a') === true && await store.get('cache:a') === null, `${name}: key deleted`);
+
+  // Test: TTL
+  await store.set('cache:short', 1, 30);
+  await sleep(50);
+  assert(await store.get('cache:short') === null, `${name}: value expires after TTL`);
+
+  // Test: lists
+  await store.append('session-messages:s1', { role: 'user', content: 'hi' }, 1000);
+  await store.append('session-messages:s1', { role: 'assistant', content: 'hello' });
+  const messages = await store.range('session-messages:s1');
+  assert(messages.length === 2 && messages[1].content === 'hello', `${name}: list append and range`);
+
+  // Test: key listing and prefix clear
+  await store.set('session:s1', { id: 's1' });
+  await store.set('session:s2', { id: 's2' });
+  assert((await store.keys('session:')).sort().join(',') === 'session:s1,session:s2', `${name}: keys listed by prefix`);
+  assert(await store.clear('session') === 3 && (await store.keys('session')).length === 0, `${name}: prefix cleared`);
+
+  // Test: token bucket
+  const now = Date.now();
+  const first = await store.consumeToken('ratelimit:k', 2, 1000, now);
+  await store.consumeToken('ratelimit:k', 2, 1000, now);
+  const denied = await store.consumeToken('ratelimit:k', 2, 1000, now);
+  assert(first.allowed && first.remaining === 1, `${name}: token consumed from full bucket`);
+  assert(!denied.allowed && denied.resetAt === now + 500, `${name}: empty bucket denies and reports refill time`);
+  const refilled = await store.consumeToken('ratelimit:k', 2, 1000, now + 500);
+  assert(refilled.allowed, `${name}: bucket refills over the window`);
+}
+
+async function runTests() {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('   State Store Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  // Test 1: RESP encoding and parsing
+  assert(encodeCommand(['SET', 'k', 'zażółć']) === '*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$10\r\nzażółć\r\n', 'Command encoded with byte lengths');
+  const parsed = parseReply(Buffer.from('*3\r\n:1\r\n$-1\r\n$5\r\nhello\r\n'));
+  assert(JSON.stringify(parsed.value) === '[1,null,"hello"]', 'Nested reply parsed');
+  assert(parseReply(Buffer.from('$5\r\nhel')) === null, 'Incomplete reply waits for more data');
+
+  // Test 2: Memory store contract
+  const memory = createStateStore();
+  assert(memory instanceof MemoryStateStore, 'Factory creates memory store by default');
+  await runContract('memory', memory);
+  await memory.close();
+
+  // Test 3: Redis store against a local stand-in (with AUTH and SELECT)
+  const fake = await startFakeRedis('secret');
+  const redis = createStateStore({ type: 'redis', url: `redis://:secret@127.0.0.1:${fake.port}/2`, prefix: 'test:' });
+  assert(redis instanceof RedisStateStore, 'Factory creates Redis store');
+  try {
+    await runContract('redis', redis);
+    assert(fake.received[0] === 'AUTH' && fake.received[1] === 'SELECT', 'Handshake sends AUTH and SELECT first');
+
+    // Test 4: Shared state between two instances
+    const other = new RedisStateStore({ url: `redis://:secret@127.0.0.1:${fake.port}`, prefix: 'test:' });
+    await redis.set('cache:shared', { from: 'instance-1' });
+    assert((await other.get('cache:shared')).from === 'instance-1', 'Second instance sees the same state');
+    await other.close();
+
+    // Test 5: Server errors are rejected
+    const wrongPassword = new RedisStateStore({ url: `redis://:nope@127.0.0.1:${fake.port}` });
+    try {
+      await wrongPassword.get('x');
+      assert(false, 'Wrong password should fail');
+    } catch (error) {
+      assert(/WRONGPASS|NOAUTH|closed/.test(error.message), 'Authentication failure rejects the command');
+    }
+    await wrongPassword.close();
+  } finally {
+    await redis.close();
+    fake.server.close();
+  }
+
+  // Test 6: Unreachable server fails fast instead of hanging
+  const unreachable = new RedisStateStore({ url: 'redis://127.0.0.1:1', connectTimeout: 500 });
+  try {
+    await unreachable.get('x');
+    assert(false, 'Unreachable server should fail');
+  } catch (error) {
+    assert(true, 'Unreachable server rejects pending commands');
+  }
+
+  // Test 7: Stalled server - commands time out instead of hanging
+  const stalled = net.createServer(socket => socket.on('error', () => {}));
+  await new Promise(resolve => stalled.listen(0, '127.0.0.1', resolve));
+  const stalledStore = new RedisStateStore({ url: `redis://127.0.0.1:${stalled.address().port}`, commandTimeout: 200 });
+  try {
+    const startedAt = Date.now();
+    const results = await Promise.allSettled([stalledStore.get('x'), stalledStore.consumeToken('ratelimit:k', 2, 1000)]);
+    assert(results.every(result => result.status === 'rejected') && results[0].reason.message.includes('timed out'), 'Commands without a reply are rejected');
+    assert(Date.now() - startedAt < 1000, 'Timeout applies per command');
+    await sleep(20);
+    assert(!stalledStore.connected, 'Stalled connection is closed');
+  } finally {
+    await stalledStore.close();
+    stalled.close();
+  }
+
+  try {
+    createStateStore({ type: 'memcached' });
+    assert(false, 'Unknown store type should throw');
+  } catch (error) {
+    assert(error.message.includes('Unknown state store type'), 'Unknown store type rejected');
+  }
+
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`   Results: ${testsPassed}/${testsRun} tests passed`);
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(testsPassed === testsRun ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
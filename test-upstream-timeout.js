@@ -0,0 +1,84 @@
+const net = require('net');
+const https = require('https');
+const { UpstreamTimer, UpstreamTimeoutError, createConnectAgent, normalizeTimeouts } = require('./upstream-timeout.js');
+
+let testsRun = 0;
+let testsPassed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (!condition) {
+    console.error(`❌ Test ${testsRun} FAILED: ${message}`);
+    return;
+  }
+  testsPassed++;
+  console.log(`✅ Test ${testsRun} PASSED: ${message}`);
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return error instanceof TypeError;
+  }
+}
+
+async function runTests() {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('   Upstream Timeout Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  // Test 1: Validation
+  assert(JSON.stringify(normalizeTimeouts({ firstByte: 5000, total: 0 })) === '{"firstByte":5000,"total":0}', 'Valid timeouts kept');
+  assert(throws(() => normalizeTimeouts({ read: 10 })) && throws(() => normalizeTimeouts({ total: -1 })) && throws(() => normalizeTimeouts('10')), 'Unknown, negative or non-object timeouts rejected');
+
+  // Test 2: First byte deadline
+  let timer = new UpstreamTimer({ firstByte: 20, total: 1000 });
+  await wait(40);
+  assert(timer.signal.aborted && timer.error instanceof UpstreamTimeoutError && timer.error.phase === 'firstByte', 'First byte deadline aborts the signal');
+  assert(timer.wrapError(new Error('canceled')).code === 'ETIMEDOUT', 'Abort error replaced with the timeout error');
+
+  timer = new UpstreamTimer({ firstByte: 20, total: 60 });
+  timer.firstByte();
+  await wait(40);
+  assert(!timer.signal.aborted, 'First byte stops the first byte deadline');
+  await wait(40);
+  assert(timer.signal.aborted && timer.error.phase === 'total', 'Total deadline still applies');
+
+  timer = new UpstreamTimer({ firstByte: 20, total: 20 });
+  timer.clear();
+  await wait(40);
+  assert(!timer.signal.aborted, 'Cleared timer does not abort');
+
+  // Test 3: Parent signal
+  const parent = new AbortController();
+  timer = new UpstreamTimer({ total: 1000 }, parent.signal);
+  parent.abort();
+  const original = new Error('canceled');
+  assert(timer.signal.aborted && timer.error === null && timer.wrapError(original) === original, 'Parent abort is not a timeout');
+  timer.clear();
+
+  // Test 4: Connect deadline (TCP server that never completes the TLS handshake)
+  const server = net.createServer(() => {}).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const started = Date.now();
+  const error = await new Promise(resolve => {
+    https.get({ host: '127.0.0.1', port: server.address().port, agent: createConnectAgent(50) }, () => resolve(null)).on('error', resolve);
+  });
+  assert(error && error.code === 'ETIMEDOUT' && error.phase === 'connect' && Date.now() - started < 1000, 'Unfinished connection destroyed after the connect deadline');
+  server.close();
+
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`   Results: ${testsPassed}/${testsRun} tests passed`);
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(testsPassed === testsRun ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UsageLedger = require('./usage-ledger.js');
+
+let testsRun = 0;
+let testsPassed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (!condition) {
+    console.error(`❌ Test ${testsRun} FAILED: ${message}`);
+    return;
+  }
+  testsPassed++;
+  console.log(`✅ Test ${testsRun} PASSED: ${message}`);
+}
+
+async function runTests() {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('   Usage Ledger Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-ledger-'));
+  const filePath = path.join(tmpDir, 'usage-ledger.jsonl');
+
+  try {
+    const ledger = new UsageLedger(filePath);
+
+    // Test 1: Empty ledger
+    const empty = await ledger.aggregate();
+    assert(empty.totals.requests === 0, 'Missing ledger file aggregates to zero');
+
+    // Test 2: Records are appended as JSON lines
+    const base = { endpoint: '/v1/chat/completions', provider: 'openrouter', resolvedModel: 'qwen/qwen3-235b-a22b:free', latencyMs: 100 };
+    ledger.record({ ...base, timestamp: '2026-01-01T10:00:00.000Z', userId: 'alice', requestedModel: 'gpt-4o', promptTokens: 10, completionTokens: 5, totalTokens: 15, status: 'success' });
+    ledger.record({ ...base, timestamp: '2026-01-01T12:00:00.000Z', userId: 'bob', requestedModel: 'gpt-4o', totalTokens: 0, cacheHit: true, status: 'success', latencyMs: 0 });
+    ledger.record({ ...base, timestamp: '2026-01-02T09:00:00.000Z', userId: 'alice', requestedModel: 'gpt-5', promptTokens: 20, completionTokens: 20, totalTokens: 40, fallbackUsed: true, status: 'success', latencyMs: 200 });
+    ledger.record({ ...base, timestamp: '2026-01-02T09:30:00.000Z', userId: 'alice', requestedModel: 'gpt-5', status: 'error', errorCode: 'timeout_error' });
+    await ledger.flush();
+    fs.appendFileSync(filePath, '{"truncated\n');
+
+    const lines = fs.readFileSync(filePath, 'utf-8').trim().split('\n');
+    assert(lines.length === 5, 'One line per record');
+
+    // Test 3: Totals (corrupted line skipped)
+    const { totals } = await ledger.aggregate();
+    assert(totals.requests === 4, 'Corrupted line ignored');
+    assert(totals.totalTokens === 55 && totals.promptTokens === 30, 'Token totals summed');
+    assert(totals.errors === 1 && totals.cacheHits === 1 && totals.fallbacks === 1, 'Errors, cache hits and fallbacks counted');
+    assert(totals.avgLatencyMs === 100, 'Average latency computed');
+
+    // Test 4: Grouping
+    const byDay = await ledger.aggregate({}, 'day');
+    assert(byDay.groups.length === 2 && byDay.groups[0].day === '2026-01-01', 'Grouped by day in date order');
+
+    const byUser = await ledger.aggregate({}, 'user');
+    assert(byUser.groups[0].user === 'alice' && byUser.groups[0].totalTokens === 55, 'Grouped by user, sorted by tokens');
+
+    const byModel = await ledger.aggregate({}, 'model');
+    assert(byModel.groups.find(group => group.model === 'gpt-5').requests === 2, 'Grouped by requested model');
+
+    const summary = await ledger.summarize({}, ['hour', 'provider', 'user']);
+    assert(summary.groups.hour.length === 3 && summary.groups.hour[0].hour === '2026-01-01T10:00', 'Grouped by hour in time order');
+    assert(summary.groups.provider[0].errors === 1 && summary.groups.user.length === 2, 'Several dimensions aggregated in one pass');
+
+    // Test 5: Filters
+    const dayFiltered = await ledger.aggregate({ from: '2026-01-02', to: '2026-01-02' });
+    assert(dayFiltered.totals.requests === 2, 'Date range filter includes the whole "to" day');
+
+    const userFiltered = await ledger.aggregate({ userId: 'bob' });
+    assert(userFiltered.totals.requests === 1, 'User filter applied');
+
+    // Test 6: Recent records and invalid grouping
+    const recent = await ledger.recent({}, 2);
+    assert(recent.length === 2 && recent[0].errorCode === 'timeout_error', 'Recent records returned newest first');
+
+    try {
+      await ledger.aggregate({}, 'color');
+      assert(false, 'Unknown groupBy should throw');
+    } catch (error) {
+      assert(error.message.includes('Unsupported groupBy'), 'Unknown groupBy rejected');
+    }
+
+    // Test 7: Buffered writes
+    ledger.record({ ...base, userId: 'carol', requestedModel: 'gpt-4o', totalTokens: 7, status: 'success' });
+    const withBuffered = await ledger.aggregate({ userId: 'carol' });
+    assert(withBuffered.totals.requests === 1, 'Queries include records still in the write buffer');
+    ledger.record({ ...base, userId: 'carol', requestedModel: 'gpt-4o', totalTokens: 3, status: 'success' });
+    await ledger.close();
+    assert(fs.readFileSync(filePath, 'utf-8').trim().split('\n').length === 7, 'close() flushes buffered records');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`   Results: ${testsPassed}/${testsRun} tests passed`);
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(testsPassed === testsRun ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
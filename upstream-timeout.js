@@ -0,0 +1,121 @@
+/**
+ * Upstream Timeouts
+ *
+ * Deadlines for a single upstream attempt (ms, 0 = no limit):
+ * - connect: TCP (and TLS) connection to the provider, enforced by the agent from createConnectAgent
+ * - firstByte: first byte of the response body, or the first chunk of a stream
+ * - total: the whole attempt, including reading a stream to the end
+ *
+ * UpstreamTimer aborts its signal when firstByte or total expires, or when the
+ * parent signal (client disconnect) aborts. Errors caused by an expired
+ * deadline are replaced with an UpstreamTimeoutError via wrapError().
+ */
+
+const http = require('http');
+const https = require('https');
+
+class UpstreamTimeoutError extends Error {
+  constructor(phase, timeout) {
+    super(`Upstream ${phase} timeout after ${timeout}ms`);
+    this.name = 'UpstreamTimeoutError';
+    this.code = 'ETIMEDOUT';
+    this.phase = phase;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Validate timeouts from the API or the config store.
+ * Returns { connect, firstByte, total } with only the given fields or throws a TypeError.
+ */
+function normalizeTimeouts(timeouts = {}) {
+  if (typeof timeouts !== 'object' || timeouts === null || Array.isArray(timeouts)) {
+    throw new TypeError('timeouts must be an object with connect, firstByte and total (ms)');
+  }
+  const normalized = {};
+  for (const [phase, value] of Object.entries(timeouts)) {
+    if (!['connect', 'firstByte', 'total'].includes(phase)) {
+      throw new TypeError(`Unknown timeout '${phase}'. Supported: connect, firstByte, total`);
+    }
+    if (!Number.isInteger(value) || value < 0) {
+      throw new TypeError(`Timeout ${phase} must be a non-negative integer (ms, 0 = no limit)`);
+    }
+    normalized[phase] = value;
+  }
+  return normalized;
+}
+
+class UpstreamTimer {
+  constructor({ firstByte = 0, total = 0 } = {}, parentSignal = null) {
+    this.controller = new AbortController();
+    this.error = null;
+    this.timers = {};
+    this.parentSignal = parentSignal;
+    this.onParentAbort = () => this.controller.abort(parentSignal.reason);
+
+    if (parentSignal?.aborted) {
+      this.controller.abort(parentSignal.reason);
+    } else {
+      parentSignal?.addEventListener('abort', this.onParentAbort, { once: true });
+      this.start('firstByte', firstByte);
+      this.start('total', total);
+    }
+  }
+
+  get signal() {
+    return this.controller.signal;
+  }
+
+  start(phase, timeout) {
+    if (timeout > 0) {
+      this.timers[phase] = setTimeout(() => {
+        this.error = new UpstreamTimeoutError(phase, timeout);
+        this.clear();
+        this.controller.abort(this.error);
+      }, timeout);
+    }
+  }
+
+  // Pierwszy bajt odpowiedzi - dalej obowiązuje tylko limit total
+  firstByte() {
+    clearTimeout(this.timers.firstByte);
+  }
+
+  // Koniec próby (sukces lub błąd)
+  clear() {
+    clearTimeout(this.timers.firstByte);
+    clearTimeout(this.timers.total);
+    this.parentSignal?.removeEventListener('abort', this.onParentAbort);
+  }
+
+  // Błąd przerwania po upływie limitu zamieniony na UpstreamTimeoutError
+  wrapError(error) {
+    return this.error || error;
+  }
+}
+
+/**
+ * Agent with a connect deadline. A socket that is not connected in time is
+ * destroyed with an UpstreamTimeoutError('connect'). Reused keep-alive
+ * sockets are already connected.
+ */
+function createConnectAgent(connectTimeout, secure = true) {
+  const agent = secure ? new https.Agent({ keepAlive: true }) : new http.Agent({ keepAlive: true });
+  if (!(connectTimeout > 0)) {
+    return agent;
+  }
+
+  const createConnection = agent.createConnection.bind(agent);
+  agent.createConnection = (...args) => {
+    const socket = createConnection(...args);
+    if (socket) {
+      const timer = setTimeout(() => socket.destroy(new UpstreamTimeoutError('connect', connectTimeout)), connectTimeout);
+      socket.once(secure ? 'secureConnect' : 'connect', () => clearTimeout(timer));
+      socket.once('close', () => clearTimeout(timer));
+    }
+    return socket;
+  };
+  return agent;
+}
+
+module.exports = { UpstreamTimer, UpstreamTimeoutError, createConnectAgent, normalizeTimeouts };
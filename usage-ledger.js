@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * Usage Ledger
+ *
+ * Append-only JSONL log with one record per completion / embedding call:
+ * user and key, requested and resolved model, provider, token counts,
+ * latency, cache hit and fallback information. Queries stream the file,
+ * so aggregates survive restarts and need no extra storage.
+ *
+ * Records are appended through a write stream, so recording never blocks
+ * the event loop; queries wait for buffered records and close() flushes
+ * them on shutdown.
+ */
+
+const GROUP_KEYS = {
+  hour: record => `${record.timestamp.slice(0, 13)}:00`,
+  day: record => record.timestamp.slice(0, 10),
+  model: record => record.requestedModel || 'unknown',
+  resolvedModel: record => record.resolvedModel || 'unknown',
+  provider: record => record.provider || 'unknown',
+  user: record => record.userId || 'anonymous',
+  key: record => record.apiKeyId || 'none',
+  endpoint: record => record.endpoint || 'unknown'
+};
+
+function createBucket() {
+  return {
+    requests: 0,
+    errors: 0,
+    cacheHits: 0,
+    fallbacks: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    latencyMsTotal: 0
+  };
+}
+
+function addToBucket(bucket, record) {
+  bucket.requests += 1;
+  if (record.status === 'error') bucket.errors += 1;
+  if (record.cacheHit) bucket.cacheHits += 1;
+  if (record.fallbackUsed) bucket.fallbacks += 1;
+  bucket.promptTokens += record.promptTokens || 0;
+  bucket.completionTokens += record.completionTokens || 0;
+  bucket.totalTokens += record.totalTokens || 0;
+  bucket.latencyMsTotal += record.latencyMs || 0;
+}
+
+function finalizeBucket(bucket) {
+  const { latencyMsTotal, ...rest } = bucket;
+  return {
+    ...rest,
+    avgLatencyMs: bucket.requests > 0 ? Math.round(latencyMsTotal / bucket.requests) : 0
+  };
+}
+
+// Daty "YYYY-MM-DD" w parametrze `to` obejmują cały dzień
+function parseDate(value, endOfDay = false) {
+  if (!value) return null;
+  const text = /^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value;
+  const time = new Date(text).getTime();
+  return Number.isNaN(time) ? undefined : time;
+}
+
+class UsageLedger {
+  // logger: obiekt z metodą error(module, message, error) - w gatewayu jego logger
+  constructor(filePath = './usage-ledger.jsonl', { logger = console } = {}) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.stream = null;
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  }
+
+  // Strumień otwierany przy pierwszym zapisie i ponownie po błędzie zapisu lub close()
+  getStream() {
+    if (!this.stream || this.stream.destroyed) {
+      const stream = fs.createWriteStream(this.filePath, { flags: 'a', encoding: 'utf-8' });
+      stream.on('error', error => {
+        this.logger.error('USAGE', 'Failed to write usage ledger', error, { path: this.filePath });
+      });
+      this.stream = stream;
+    }
+    return this.stream;
+  }
+
+  record(entry) {
+    const record = { timestamp: new Date().toISOString(), ...entry };
+    this.getStream().write(`${JSON.stringify(record)}\n`);
+    return record;
+  }
+
+  /**
+   * Resolve once every record written so far has reached the file.
+   */
+  flush() {
+    const stream = this.stream;
+    if (!stream || stream.destroyed || stream.writableEnded || stream.writableLength === 0) {
+      return Promise.resolve();
+    }
+    // Zapisy są wykonywane po kolei - callback pustego zapisu oznacza zapisanie poprzednich
+    return new Promise(resolve => stream.write('', () => resolve()));
+  }
+
+  /**
+   * Flush buffered records and close the file (gateway shutdown).
+   */
+  close() {
+    const stream = this.stream;
+    this.stream = null;
+    if (!stream || stream.destroyed) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => stream.end(() => resolve()));
+  }
+
+  /**
+   * Iterate over ledger records matching the filters
+   * ({ from, to, userId, apiKeyId, model, provider }).
+   */
+  async *records(filters = {}) {
+    await this.flush();
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const from = parseDate(filters.from);
+    const to = parseDate(filters.to, true);
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath, { encoding: 'utf-8' }),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        continue; // Uszkodzona (np. przerwana) linia nie blokuje pozostałych
+      }
+
+      const time = new Date(record.timestamp).getTime();
+      if (from && time < from) continue;
+      if (to && time > to) continue;
+      if (filters.userId && record.userId !== filters.userId) continue;
+      if (filters.apiKeyId && record.apiKeyId !== filters.apiKeyId) continue;
+      if (filters.model && record.requestedModel !== filters.model) continue;
+      if (filters.provider && record.provider !== filters.provider) continue;
+
+      yield record;
+    }
+  }
+
+  /**
+   * Aggregate matching records in a single pass, grouped by each of the
+   * given dimensions. Time dimensions are sorted chronologically, the
+   * others by total tokens.
+   */
+  async summarize(filters = {}, dimensions = []) {
+    for (const dimension of dimensions) {
+      if (!GROUP_KEYS[dimension]) {
+        throw new Error(`Unsupported groupBy '${dimension}'. Supported: ${Object.keys(GROUP_KEYS).join(', ')}`);
+      }
+    }
+
+    const totals = createBucket();
+    const groups = new Map(dimensions.map(dimension => [dimension, new Map()]));
+
+    for await (const record of this.records(filters)) {
+      addToBucket(totals, record);
+      for (const [dimension, buckets] of groups) {
+        const key = GROUP_KEYS[dimension](record);
+        if (!buckets.has(key)) buckets.set(key, createBucket());
+        addToBucket(buckets.get(key), record);
+      }
+    }
+
+    const result = { totals: finalizeBucket(totals), groups: {} };
+    for (const [dimension, buckets] of groups) {
+      const chronological = dimension === 'day' || dimension === 'hour';
+      result.groups[dimension] = Array.from(buckets.entries())
+        .map(([key, bucket]) => ({ [dimension]: key, ...finalizeBucket(bucket) }))
+        .sort((a, b) => (chronological ? a[dimension].localeCompare(b[dimension]) : b.totalTokens - a.totalTokens));
+    }
+    return result;
+  }
+
+  /**
+   * Aggregate matching records. Without `groupBy` returns only totals.
+   */
+  async aggregate(filters = {}, groupBy = null) {
+    const { totals, groups } = await this.summarize(filters, groupBy ? [groupBy] : []);
+    return groupBy ? { totals, groupBy, groups: groups[groupBy] } : { totals };
+  }
+
+  async recent(filters = {}, limit = 100) {
+    const records = [];
+    for await (const record of this.records(filters)) {
+      records.push(record);
+      if (records.length > limit) records.shift();
+    }
+    return records.reverse();
+  }
+}
+
+UsageLedger.GROUP_BY = Object.keys(GROUP_KEYS);
+
+module.exports = UsageLedger;